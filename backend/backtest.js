@@ -0,0 +1,352 @@
+/* ===========================
+   Backtest
+   Replays stored signals in entry order through the live-pick consensus (consensus.js) under
+   parameter sets; a pick is "published" the first time it qualifies before its market resolves.
+   - Wallet records only count picks graded before each point in time
+   - Wallets vote only while they would have live: from when they were tracked (still-backfilling wallets never),
+     and not while the pause rule, re-run on the records known at the time, has them paused
+   - Segment edges, clusters and lead-lag roles are read as they are now (hindsight on those inputs)
+   - Flat 1 unit per pick at the supporters' stake-weighted entry price
+=========================== */
+
+import {
+  CONFIDENCE_THRESHOLDS,
+  HEDGE_RATIO,
+  buildWalletStats,
+  getConfidenceEmoji,
+  netOutcome,
+  scoreMarketPicks,
+  segmentFactor,
+  tallyWalletVotes
+} from "./consensus.js";
+import { VOID_OUTCOMES, gradePick } from "./resolution.js";
+import { decidePause, populationPrior, rateWallet } from "./walletRating.js";
+
+const GRADES = ["WIN", "LOSS", ...VOID_OUTCOMES];
+const TIERS = Object.keys(CONFIDENCE_THRESHOLDS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The tracker's WALLET_RATING_* defaults: pause window, bar, picks before judging, prior weight, interval mass, cadence
+export const DEFAULT_PAUSE_RULE = {
+  windowDays: 30,
+  threshold: 0.5,
+  minPicks: 5,
+  priorStrength: 20,
+  credibleMass: 0.9,
+  intervalMinutes: 60
+};
+
+const timeOf = value => (value ? new Date(value).getTime() : NaN);
+const round = (value, digits = 4) => (value == null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Every combination of the listed values
+ * @param {Object<string, Array>} grid - param → candidate values
+ * @returns {Array<object>}
+ */
+export function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (sets, [param, values]) => sets.flatMap(set => values.map(value => ({ ...set, [param]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Units won on a 1-unit stake bought at `price`
+ * @param {"WIN"|"LOSS"|"PUSH"|"VOID"} grade
+ * @param {number|null} price
+ * @returns {number|null} null when the price is unknown
+ */
+export function unitReturn(grade, price) {
+  if (VOID_OUTCOMES.includes(grade)) return 0;
+  if (!(price > 0 && price < 1)) return null;
+  return grade === "WIN" ? 1 / price - 1 : -1;
+}
+
+// Final grade per market × outcome: the market's resolved outcome, else what graded signals say
+function gradeLookup(signals) {
+  const resolvedOf = new Map();
+  const gradedAt = new Map();
+  const signalGrade = new Map();
+
+  for (const sig of signals) {
+    if (sig.resolved_outcome && !resolvedOf.has(sig.market_id)) resolvedOf.set(sig.market_id, sig.resolved_outcome);
+    if (!GRADES.includes(sig.outcome)) continue;
+    signalGrade.set(`${sig.market_id}_${sig.picked_outcome}`, sig.outcome);
+    const at = timeOf(sig.outcome_at);
+    if (Number.isFinite(at)) gradedAt.set(sig.market_id, Math.min(gradedAt.get(sig.market_id) ?? Infinity, at));
+  }
+
+  return {
+    grade: (marketId, outcome) =>
+      gradePick(outcome, resolvedOf.get(marketId)) || signalGrade.get(`${marketId}_${outcome}`) || null,
+    resolvedAt: marketId => gradedAt.get(marketId) ?? null
+  };
+}
+
+/**
+ * Replay one parameter set
+ * @param {object} history
+ * @param {Array<object>} history.signals - signals rows
+ * @param {Map<string, object>} [history.eventTotals] - wallet_id||event_slug → { outcome: stake } from the position ledger
+ * @param {Map<string, object>} [history.segmentStats] - wallet_id|league|market_type → wallet_segment_stats row
+ * @param {Map<number, number>} [history.clusterOf]
+ * @param {Map<number, string>} [history.roleOf]
+ * @param {Map<number, number>} [history.trackedSince] - wallet_id → ms its votes count from (Infinity: still backfilling)
+ * @param {object} [history.pauseRule] - overrides of DEFAULT_PAUSE_RULE
+ * @param {object} params
+ * @param {number} params.minWallets
+ * @param {number} [params.hedgeRatio]
+ * @param {Object<string, number>} [params.thresholds] - star tier → minimum confidence
+ * @param {number} [params.minStars] - lowest tier published (early signals go out regardless, as live)
+ * @param {number} [params.earlyMinJoiners]
+ * @returns {{ picks: Array<object>, summary: object }}
+ */
+export function replaySignals(
+  {
+    signals,
+    eventTotals = new Map(),
+    segmentStats = new Map(),
+    clusterOf = new Map(),
+    roleOf = new Map(),
+    trackedSince = new Map(),
+    pauseRule = {}
+  },
+  { minWallets, hedgeRatio = HEDGE_RATIO, thresholds = CONFIDENCE_THRESHOLDS, minStars = 1, earlyMinJoiners = 3 }
+) {
+  const publishAt = thresholds[TIERS[minStars - 1]];
+  const { grade, resolvedAt } = gradeLookup(signals);
+  const rule = { ...DEFAULT_PAUSE_RULE, ...pauseRule };
+
+  // Hedged wallet/events sit out of votes and ratings alike
+  const isNetPick = sig => {
+    const totals = eventTotals.get(`${sig.wallet_id}||${sig.event_slug}`);
+    return !totals || netOutcome(totals, hedgeRatio) === sig.picked_outcome;
+  };
+
+  // Votes, in the order wallets entered
+  const entries = signals
+    .map(sig => ({ sig, at: timeOf(sig.entered_at || sig.created_at) }))
+    .filter(({ sig, at }) => sig.wallet_id && sig.market_id && sig.picked_outcome && Number.isFinite(at))
+    .filter(({ sig }) => isNetPick(sig))
+    .sort((a, b) => a.at - b.at);
+
+  // Grades become known to wallet records at outcome_at
+  const gradings = signals
+    .filter(sig => GRADES.includes(sig.outcome) && Number.isFinite(timeOf(sig.outcome_at)))
+    .map(sig => ({ sig, at: timeOf(sig.outcome_at) }))
+    .sort((a, b) => a.at - b.at);
+  let nextGrading = 0;
+
+  // --- Pause state as the rating job would have left it: the pause window's records as known at `now` ---
+  const paused = new Map();
+  let windowFrom = 0;
+  let nextRatingAt = -Infinity;
+  const ratePauses = now => {
+    while (windowFrom < nextGrading && gradings[windowFrom].at < now - rule.windowDays * DAY_MS) windowFrom++;
+
+    const records = new Map();
+    for (let i = windowFrom; i < nextGrading; i++) {
+      const { sig } = gradings[i];
+      if (!sig.wallet_id || !isNetPick(sig)) continue;
+      if (!records.has(sig.wallet_id)) records.set(sig.wallet_id, { wins: 0, losses: 0, pushes: 0, stake: 0, pnl: 0 });
+      const record = records.get(sig.wallet_id);
+      if (sig.outcome === "WIN") record.wins++;
+      else if (sig.outcome === "LOSS") record.losses++;
+      else record.pushes++;
+      record.stake += Number(sig.amount || 0);
+      record.pnl += Number(sig.pnl || 0);
+    }
+
+    const prior = populationPrior([...records.values()], rule.priorStrength);
+    for (const [walletId, record] of records.entries()) {
+      const rating = rateWallet(record, prior, { credibleMass: rule.credibleMass });
+      paused.set(walletId, decidePause(rating, paused.get(walletId), { threshold: rule.threshold, minPicks: rule.minPicks }));
+    }
+  };
+  const votesAt = (walletId, at) => at >= (trackedSince.get(walletId) ?? -Infinity) && !paused.get(walletId);
+
+  const knownRows = new Map(); // wallet_id → rows as buildWalletStats reads them
+  const rowOf = new Map(); // signal → its known row
+  const gradedSignals = new Set();
+  const statsCache = new Map();
+
+  const walletStatsFor = walletIds => {
+    const stats = new Map();
+    for (const walletId of walletIds) {
+      if (!statsCache.has(walletId)) {
+        statsCache.set(walletId, buildWalletStats(knownRows.get(walletId) || []).get(walletId));
+      }
+      if (statsCache.get(walletId)) stats.set(walletId, statsCache.get(walletId));
+    }
+    return stats;
+  };
+
+  const markets = new Map(); // market_id → Map(wallet_id → outcome → entry)
+  const published = new Map();
+
+  for (const { sig, at } of entries) {
+    while (nextGrading < gradings.length && gradings[nextGrading].at <= at) {
+      const graded = gradings[nextGrading++].sig;
+      gradedSignals.add(graded);
+      const row = rowOf.get(graded);
+      if (row) {
+        row.outcome = graded.outcome;
+        statsCache.delete(graded.wallet_id);
+      }
+    }
+
+    if (at >= nextRatingAt) {
+      ratePauses(at);
+      nextRatingAt = at + rule.intervalMinutes * 60_000;
+    }
+
+    const row = { wallet_id: sig.wallet_id, amount: sig.amount, outcome: gradedSignals.has(sig) ? sig.outcome : null };
+    rowOf.set(sig, row);
+    if (!knownRows.has(sig.wallet_id)) knownRows.set(sig.wallet_id, []);
+    knownRows.get(sig.wallet_id).push(row);
+    statsCache.delete(sig.wallet_id);
+
+    const voteFactor = segmentFactor(segmentStats.get(`${sig.wallet_id}|${sig.league}|${sig.market_type}`));
+    if (voteFactor === 0) continue;
+
+    // Same per wallet / market / outcome entry as rebuildWalletLivePicks
+    if (!markets.has(sig.market_id)) markets.set(sig.market_id, new Map());
+    const wallets = markets.get(sig.market_id);
+    if (!wallets.has(sig.wallet_id)) wallets.set(sig.wallet_id, {});
+    const outcomeMap = wallets.get(sig.wallet_id);
+    if (!outcomeMap[sig.picked_outcome]) {
+      outcomeMap[sig.picked_outcome] = { pnl: 0, stake: 0, enteredAt: null, segmentFactor: voteFactor, priceStake: 0, pricedStake: 0 };
+    }
+    const entry = outcomeMap[sig.picked_outcome];
+    const stake = Number(sig.amount || 0);
+    entry.pnl += Number(sig.pnl || 0);
+    entry.stake += stake;
+    entry.enteredAt ??= new Date(at).toISOString();
+    const price = Number(sig.avg_entry_price);
+    if (price > 0 && price < 1 && stake > 0) {
+      entry.priceStake += price * stake;
+      entry.pricedStake += stake;
+    }
+
+    // Nothing goes out once the market has resolved
+    const settledAt = resolvedAt(sig.market_id);
+    if (settledAt != null && at >= settledAt) continue;
+
+    // Only wallets voting at this moment are tallied, like rebuildWalletLivePicks' non-voting filter
+    const outcomes = {};
+    const voters = [...wallets.keys()].filter(walletId => votesAt(walletId, at));
+    for (const walletId of voters) tallyWalletVotes(outcomes, walletId, wallets.get(walletId));
+
+    const picks = scoreMarketPicks(outcomes, {
+      walletStats: walletStatsFor(voters),
+      clusterOf,
+      roleOf,
+      minWallets,
+      earlyMinJoiners
+    });
+
+    for (const pick of picks) {
+      const key = `${sig.market_id}_${pick.outcome}`;
+      if (published.has(key)) continue;
+      if (pick.confidence < publishAt && !pick.earlySignal) continue;
+
+      let priceStake = 0;
+      let pricedStake = 0;
+      for (const walletOutcomes of wallets.values()) {
+        priceStake += walletOutcomes[pick.outcome]?.priceStake || 0;
+        pricedStake += walletOutcomes[pick.outcome]?.pricedStake || 0;
+      }
+
+      published.set(key, {
+        market_id: sig.market_id,
+        event_slug: sig.event_slug,
+        league: sig.league || null,
+        market_type: sig.market_type || null,
+        picked_outcome: pick.outcome,
+        published_at: new Date(at).toISOString(),
+        confidence: pick.confidence,
+        tier: getConfidenceEmoji(pick.confidence, thresholds),
+        vote_count: pick.effectiveVotes.length,
+        early_signal: pick.earlySignal,
+        entry_price: pricedStake > 0 ? round(priceStake / pricedStake) : null
+      });
+    }
+  }
+
+  const picks = [...published.values()].map(pick => {
+    const result = grade(pick.market_id, pick.picked_outcome);
+    const settledAt = resolvedAt(pick.market_id);
+    return {
+      ...pick,
+      result: result || "PENDING",
+      resolved_at: result && settledAt != null ? new Date(settledAt).toISOString() : null,
+      units: result ? round(unitReturn(result, pick.entry_price)) : null
+    };
+  });
+
+  return { picks, summary: summarizePicks(picks) };
+}
+
+/**
+ * Record, ROI and max drawdown for a list of backtest picks
+ * - ROI: units won / units staked, over graded picks with a known entry price (pushes stake 0)
+ * - Drawdown: deepest fall of cumulative units from a running peak, in resolution order
+ * @param {Array<object>} picks - from replaySignals
+ * @returns {object}
+ */
+export function summarizePicks(picks) {
+  const record = { picks: picks.length, wins: 0, losses: 0, pushes: 0, pending: 0 };
+  let staked = 0;
+  let units = 0;
+
+  for (const pick of picks) {
+    if (pick.result === "WIN") record.wins++;
+    else if (pick.result === "LOSS") record.losses++;
+    else if (VOID_OUTCOMES.includes(pick.result)) record.pushes++;
+    else record.pending++;
+
+    if (pick.units == null) continue;
+    units += pick.units;
+    if (!VOID_OUTCOMES.includes(pick.result)) staked++;
+  }
+
+  let peak = 0;
+  let running = 0;
+  let maxDrawdown = 0;
+  const settled = picks
+    .filter(p => p.units != null)
+    .sort((a, b) => timeOf(a.resolved_at || a.published_at) - timeOf(b.resolved_at || b.published_at));
+  for (const pick of settled) {
+    running += pick.units;
+    peak = Math.max(peak, running);
+    maxDrawdown = Math.max(maxDrawdown, peak - running);
+  }
+
+  const decided = record.wins + record.losses;
+  return {
+    ...record,
+    win_rate: decided ? round(record.wins / decided) : null,
+    units: round(units, 2),
+    roi: staked ? round(units / staked) : null,
+    max_drawdown: round(maxDrawdown, 2)
+  };
+}
+
+/**
+ * Replay every parameter set over the same history
+ * @param {object} history - see replaySignals
+ * @param {Array<object>} paramSets - e.g. from expandGrid
+ * @returns {Array<{ params: object, summary: object, tiers: Object<string, object>, picks: Array<object> }>}
+ */
+export function runBacktest(history, paramSets) {
+  return paramSets.map(params => {
+    const { picks, summary } = replaySignals(history, params);
+    const tiers = {};
+    for (const tier of TIERS) {
+      const inTier = picks.filter(p => p.tier === tier);
+      if (inTier.length) tiers[tier] = summarizePicks(inTier);
+    }
+    return { params, summary, tiers, picks };
+  });
+}
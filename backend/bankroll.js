@@ -0,0 +1,190 @@
+/* ===========================
+   Bankroll Simulation
+   Sent picks → what flat, unit-per-star and fractional-Kelly staking would have made,
+   bought at the outcome price recorded when the signal went out (wallet_live_picks.sent_price)
+   - Stakes are sized when a pick is sent, from the bankroll settled by then; results land at resolution
+   - Kelly's win probability: the pick's star tier's settled hit rate so far, shrunk toward the price
+=========================== */
+
+import { getConfidenceEmoji, pickConfidence } from "./consensus.js";
+import { VOID_OUTCOMES } from "./resolution.js";
+
+export const STRATEGIES = ["flat", "units", "kelly"];
+
+// Settled tier picks before a tier's hit rate outweighs the market price in Kelly's estimate
+const KELLY_PRIOR_PICKS = 20;
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const timeOf = value => (value ? new Date(value).getTime() : NaN);
+
+/**
+ * Stars (1–5) for a pick's confidence, vote count for legacy rows
+ * @param {{ confidence?: number, vote_count?: number }} pick
+ * @returns {number}
+ */
+export function pickStars(pick) {
+  return [...getConfidenceEmoji(pickConfidence(pick))].length;
+}
+
+/**
+ * Profit on `stake` bought at `price`
+ * @param {string} outcome - WIN / LOSS / PUSH / VOID
+ * @param {number} stake
+ * @param {number} price - 0–1
+ * @returns {number}
+ */
+export function stakeReturn(outcome, stake, price) {
+  if (outcome === "WIN") return stake * (1 / price - 1);
+  if (outcome === "LOSS") return -stake;
+  return 0;
+}
+
+/**
+ * Kelly fraction of bankroll for a binary payout at `price`
+ * @param {number} winProb
+ * @param {number} price
+ * @returns {number} 0 when there is no edge
+ */
+export function kellyFraction(winProb, price) {
+  const odds = 1 / price - 1;
+  if (!(odds > 0)) return 0;
+  return Math.max(0, (winProb * odds - (1 - winProb)) / odds);
+}
+
+function emptyLedger(startingBankroll) {
+  return {
+    bankroll: startingBankroll,
+    peak: startingBankroll,
+    staked: 0,
+    pnl: 0,
+    picks: 0,
+    wins: 0,
+    losses: 0,
+    pushes: 0,
+    open: 0,
+    losing_streak: 0,
+    longest_losing_streak: 0,
+    max_drawdown: 0,
+    max_drawdown_pct: 0
+  };
+}
+
+/**
+ * Run every strategy over the sent picks
+ * @param {Array<object>} picks - wallet_live_picks rows with signal_sent_at, sent_price, outcome, resolved_at, confidence
+ * @param {object} [options]
+ * @param {number} [options.startingBankroll]
+ * @param {number} [options.flatStake] - also the size of one star unit
+ * @param {number} [options.kellyMultiplier] - fraction of full Kelly
+ * @param {number} [options.kellyMaxFraction] - cap per pick, as a share of bankroll
+ * @returns {{ strategies: Object<string, object>, skipped: number, picks: Array<object> }}
+ *   per-pick stakes / results under each strategy in `picks`; picks without a sent price are skipped
+ */
+export function simulateBankroll(picks, {
+  startingBankroll = 10_000,
+  flatStake = 100,
+  kellyMultiplier = 0.25,
+  kellyMaxFraction = 0.05
+} = {}) {
+  const priced = picks.filter(p => Number(p.sent_price) > 0 && Number(p.sent_price) < 1 && Number.isFinite(timeOf(p.signal_sent_at)));
+  const ledgers = Object.fromEntries(STRATEGIES.map(s => [s, emptyLedger(startingBankroll)]));
+  const tierRecord = new Map(); // stars → { wins, decided }
+
+  // Sends and settlements interleaved in time. At the same instant, picks sent earlier settle first, then sends,
+  // then picks settled the moment they went out (no resolved_at, or one before the send) — always after their own send
+  const events = [];
+  for (const pick of priced) {
+    const sentAt = timeOf(pick.signal_sent_at);
+    events.push({ at: sentAt, rank: 1, type: "send", pick });
+    if (["WIN", "LOSS", ...VOID_OUTCOMES].includes(pick.outcome)) {
+      const settledAt = Math.max(timeOf(pick.resolved_at) || sentAt, sentAt);
+      events.push({ at: settledAt, rank: settledAt === sentAt ? 2 : 0, type: "settle", pick });
+    }
+  }
+  events.sort((a, b) => a.at - b.at || a.rank - b.rank);
+
+  const results = new Map();
+
+  for (const { type, pick } of events) {
+    const price = Number(pick.sent_price);
+    const stars = pickStars(pick);
+
+    if (type === "send") {
+      const record = tierRecord.get(stars) || { wins: 0, decided: 0 };
+      const winProb = (record.wins + KELLY_PRIOR_PICKS * price) / (record.decided + KELLY_PRIOR_PICKS);
+      const kellyShare = Math.min(kellyMaxFraction, kellyMultiplier * kellyFraction(winProb, price));
+
+      const stakes = {
+        flat: flatStake,
+        units: flatStake * stars,
+        kelly: ledgers.kelly.bankroll > 0 ? round(ledgers.kelly.bankroll * kellyShare) : 0
+      };
+      results.set(pick, { stars, win_prob: round(winProb, 4), stakes, pnl: {} });
+
+      for (const strategy of STRATEGIES) {
+        if (stakes[strategy] <= 0) continue;
+        ledgers[strategy].picks++;
+        ledgers[strategy].open++;
+        ledgers[strategy].staked += stakes[strategy];
+      }
+      continue;
+    }
+
+    const entry = results.get(pick);
+    if (!entry) continue;
+    for (const strategy of STRATEGIES) {
+      const stake = entry.stakes[strategy];
+      if (stake <= 0) continue;
+
+      const ledger = ledgers[strategy];
+      const profit = stakeReturn(pick.outcome, stake, price);
+      entry.pnl[strategy] = round(profit);
+      ledger.open--;
+      ledger.pnl += profit;
+      ledger.bankroll += profit;
+
+      if (pick.outcome === "WIN") {
+        ledger.wins++;
+        ledger.losing_streak = 0;
+      } else if (pick.outcome === "LOSS") {
+        ledger.losses++;
+        ledger.losing_streak++;
+        ledger.longest_losing_streak = Math.max(ledger.longest_losing_streak, ledger.losing_streak);
+      } else {
+        ledger.pushes++;
+        ledger.staked -= stake; // refunded
+      }
+
+      ledger.peak = Math.max(ledger.peak, ledger.bankroll);
+      const drawdown = ledger.peak - ledger.bankroll;
+      ledger.max_drawdown = Math.max(ledger.max_drawdown, drawdown);
+      ledger.max_drawdown_pct = Math.max(ledger.max_drawdown_pct, ledger.peak > 0 ? drawdown / ledger.peak : 0);
+    }
+
+    if (pick.outcome === "WIN" || pick.outcome === "LOSS") {
+      const record = tierRecord.get(stars) || { wins: 0, decided: 0 };
+      tierRecord.set(stars, { wins: record.wins + (pick.outcome === "WIN" ? 1 : 0), decided: record.decided + 1 });
+    }
+  }
+
+  const strategies = {};
+  for (const [strategy, ledger] of Object.entries(ledgers)) {
+    const { peak, ...rest } = ledger;
+    strategies[strategy] = {
+      ...rest,
+      starting_bankroll: startingBankroll,
+      bankroll: round(ledger.bankroll),
+      staked: round(ledger.staked),
+      pnl: round(ledger.pnl),
+      roi: ledger.staked > 0 ? round(ledger.pnl / ledger.staked, 4) : null,
+      max_drawdown: round(ledger.max_drawdown),
+      max_drawdown_pct: round(ledger.max_drawdown_pct, 4)
+    };
+  }
+
+  return {
+    strategies,
+    skipped: picks.length - priced.length,
+    picks: priced.map(pick => ({ id: pick.id, ...results.get(pick) }))
+  };
+}
@@ -0,0 +1,115 @@
+/* ===========================
+   Confidence Calibration
+   Do higher star tiers (and bigger vote counts) actually win more, and more than their prices implied?
+   - Hit rate with a Jeffreys interval (Beta(wins + ½, losses + ½)); pushes / voids are left out
+   - Implied probability: the average price the pick went out at (sent_price)
+   - Flags, once a group has enough graded picks:
+       trails market — interval entirely below the implied probability
+       beats market  — interval entirely above it (informational)
+       inverted      — interval entirely below the hit rate of the tier beneath
+=========================== */
+
+import { CONFIDENCE_THRESHOLDS, getConfidenceEmoji, pickConfidence } from "./consensus.js";
+import { VOID_OUTCOMES } from "./resolution.js";
+import { betaQuantile } from "./walletRating.js";
+
+// Lower bound of each raw vote-count bucket
+export const VOTE_COUNT_BUCKETS = [1, 5, 8, 10, 15, 20, 30];
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+function voteBucket(voteCount) {
+  const count = Number(voteCount) || 0;
+  const index = VOTE_COUNT_BUCKETS.findLastIndex(lower => count >= lower);
+  if (index === -1) return "0";
+  const upper = VOTE_COUNT_BUCKETS[index + 1];
+  return upper ? `${VOTE_COUNT_BUCKETS[index]}–${upper - 1}` : `${VOTE_COUNT_BUCKETS[index]}+`;
+}
+
+function calibrateGroup(group, picks, { credibleMass, minPicks }) {
+  let wins = 0, losses = 0, pushes = 0, priceSum = 0, priced = 0;
+  for (const pick of picks) {
+    if (pick.outcome === "WIN") wins++;
+    else if (pick.outcome === "LOSS") losses++;
+    else pushes++;
+
+    const price = Number(pick.sent_price);
+    if (pick.outcome !== "PUSH" && pick.outcome !== "VOID" && price > 0 && price < 1) {
+      priceSum += price;
+      priced++;
+    }
+  }
+
+  const decided = wins + losses;
+  const tail = (1 - credibleMass) / 2;
+  return {
+    group,
+    picks: decided,
+    wins,
+    losses,
+    pushes,
+    hit_rate: decided ? round(wins / decided) : null,
+    ci_lower: decided ? round(betaQuantile(tail, wins + 0.5, losses + 0.5)) : null,
+    ci_upper: decided ? round(betaQuantile(1 - tail, wins + 0.5, losses + 0.5)) : null,
+    avg_implied: priced ? round(priceSum / priced) : null,
+    priced,
+    flags: [],
+    miscalibrated: false,
+    enough: decided >= minPicks
+  };
+}
+
+function flagGroups(rows) {
+  let below = null;
+  for (const row of rows) {
+    if (!row.enough) continue;
+    if (row.avg_implied != null && row.ci_upper < row.avg_implied) row.flags.push("trails market");
+    if (row.avg_implied != null && row.ci_lower > row.avg_implied) row.flags.push("beats market");
+    if (below && row.ci_upper < below.hit_rate) row.flags.push(`inverted vs ${below.group}`);
+    row.miscalibrated = row.flags.some(f => f !== "beats market");
+    below = row;
+  }
+  return rows.map(({ enough, ...row }) => row);
+}
+
+/**
+ * Calibration of graded picks by star tier and by raw vote count
+ * @param {Array<object>} picks - wallet_live_picks rows with outcome, confidence, vote_count, sent_price
+ * @param {{ credibleMass?: number, minPicks?: number }} [options] - minPicks: graded picks before a group is flagged
+ * @returns {{ tiers: Array<object>, voteCounts: Array<object> }} rows in ascending order
+ */
+export function calibrationReport(picks, { credibleMass = 0.9, minPicks = 10 } = {}) {
+  const graded = picks.filter(p => ["WIN", "LOSS", ...VOID_OUTCOMES].includes(p.outcome));
+  const options = { credibleMass, minPicks };
+
+  const byTier = Object.keys(CONFIDENCE_THRESHOLDS).map(tier =>
+    calibrateGroup(tier, graded.filter(p => getConfidenceEmoji(pickConfidence(p)) === tier), options)
+  );
+
+  const buckets = new Map();
+  for (const pick of graded) {
+    const bucket = voteBucket(pick.vote_count);
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(pick);
+  }
+  const byVotes = [...buckets.entries()]
+    .sort(([a], [b]) => parseInt(a, 10) - parseInt(b, 10))
+    .map(([bucket, rows]) => calibrateGroup(`${bucket} votes`, rows, options));
+
+  return { tiers: flagGroups(byTier), voteCounts: flagGroups(byVotes) };
+}
+
+/**
+ * One text line per group (daily summary / command output); empty groups skipped
+ * @param {Array<object>} rows - tiers or voteCounts from calibrationReport
+ * @returns {Array<string>}
+ */
+export function formatCalibrationRows(rows) {
+  const pct = value => (value == null ? "—" : `${(value * 100).toFixed(0)}%`);
+  return rows
+    .filter(row => row.picks)
+    .map(row => {
+      const flags = row.flags.length ? ` ${row.miscalibrated ? "⚠️" : "✅"} ${row.flags.join(", ")}` : "";
+      return `${row.group}: ${pct(row.hit_rate)} hit (${pct(row.ci_lower)}–${pct(row.ci_upper)}) vs ${pct(row.avg_implied)} implied, n=${row.picks}${flags}`;
+    });
+}
@@ -0,0 +1,82 @@
+/* ===========================
+   Closing Line Value
+   How the price of a pick's side moved between entry and the closing line (its price at game start).
+   CLV > 0: the market moved toward the pick after entry — a read on signal quality before results land
+   - per pick: sent price (our entry) vs. start price
+   - per wallet: the wallet's own average entry on the same side vs. the same start price
+=========================== */
+
+import { CONFIDENCE_THRESHOLDS, getConfidenceEmoji, pickConfidence } from "./consensus.js";
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const isPrice = value => value != null && Number(value) > 0 && Number(value) < 1;
+
+/**
+ * CLV of an entry against the closing line, both outcome prices in (0, 1)
+ * @param {number} entryPrice
+ * @param {number} closingPrice
+ * @returns {{ clv: number, clv_pct: number }|null} clv in probability points, clv_pct relative to the entry
+ */
+export function closingLineValue(entryPrice, closingPrice) {
+  if (!isPrice(entryPrice) || !isPrice(closingPrice)) return null;
+  const entry = Number(entryPrice);
+  const close = Number(closingPrice);
+  return { clv: round(close - entry), clv_pct: round(close / entry - 1) };
+}
+
+/**
+ * Averages over CLV values
+ * @param {Array<{ clv: number, clv_pct: number }>} values
+ * @returns {{ picks: number, avg_clv: number|null, avg_clv_pct: number|null, beat_close_rate: number|null }}
+ */
+export function summarizeClv(values) {
+  const n = values.length;
+  if (!n) return { picks: 0, avg_clv: null, avg_clv_pct: null, beat_close_rate: null };
+  return {
+    picks: n,
+    avg_clv: round(values.reduce((sum, v) => sum + v.clv, 0) / n),
+    avg_clv_pct: round(values.reduce((sum, v) => sum + v.clv_pct, 0) / n),
+    beat_close_rate: round(values.filter(v => v.clv > 0).length / n)
+  };
+}
+
+/**
+ * CLV overall, per star tier and per wallet
+ * @param {Array<object>} picks - sent wallet_live_picks rows with sent_price, start_price, wallets, market_id, picked_outcome
+ * @param {Array<object>} [signals] - signals rows (wallet_id, market_id, picked_outcome, avg_entry_price) for the wallet view
+ * @returns {{ overall: object, tiers: Object<string, object>, wallets: Array<object> }}
+ */
+export function clvReport(picks, signals = []) {
+  const overall = [];
+  const tiers = Object.fromEntries(Object.keys(CONFIDENCE_THRESHOLDS).map(tier => [tier, []]));
+  const byWallet = new Map();
+
+  const entryOf = new Map(
+    signals.map(s => [`${s.wallet_id}_${s.market_id}_${s.picked_outcome}`, s.avg_entry_price])
+  );
+
+  for (const pick of picks) {
+    if (!isPrice(pick.start_price)) continue;
+
+    const value = closingLineValue(pick.sent_price, pick.start_price);
+    if (value) {
+      overall.push(value);
+      tiers[getConfidenceEmoji(pickConfidence(pick))].push(value);
+    }
+
+    for (const walletId of pick.wallets || []) {
+      const walletValue = closingLineValue(entryOf.get(`${walletId}_${pick.market_id}_${pick.picked_outcome}`), pick.start_price);
+      if (!walletValue) continue;
+      if (!byWallet.has(walletId)) byWallet.set(walletId, []);
+      byWallet.get(walletId).push(walletValue);
+    }
+  }
+
+  return {
+    overall: summarizeClv(overall),
+    tiers: Object.fromEntries(Object.entries(tiers).map(([tier, values]) => [tier, summarizeClv(values)])),
+    wallets: [...byWallet.entries()]
+      .map(([walletId, values]) => ({ wallet_id: Number(walletId), ...summarizeClv(values) }))
+      .sort((a, b) => b.avg_clv - a.avg_clv)
+  };
+}
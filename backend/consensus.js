@@ -0,0 +1,286 @@
+/* ===========================
+   Consensus Scoring
+   Weighted wallet votes → 0–100 confidence with a per-pick breakdown
+=========================== */
+
+import { entryOrder, isOriginatorLed } from "./leadLag.js";
+import { collapseClusterVotes } from "./walletClusters.js";
+
+// Support weight at which confidence reaches ~63 (1 - 1/e) for an unopposed pick
+export const CONFIDENCE_SCALE = 20;
+
+// Resolved picks before a wallet's record counts at half strength
+const SAMPLE_PRIOR = 10;
+
+// Vote multiplier per wallet segment status (league × market type).
+// Only a proven lack of edge costs a vote — the confidence thresholds assume full-weight votes
+export const SEGMENT_FACTORS = { proven: 1, unproven: 1, none: 0 };
+
+/* ===========================
+   Confidence thresholds
+   - Applied to the 0–100 weighted score; an unopposed group of average
+     wallets hits the same tiers the old raw counts did (8 / 15 / 25 / 35 / 45)
+=========================== */
+export const CONFIDENCE_THRESHOLDS = {
+  "⭐": 33,
+  "⭐⭐": 53,
+  "⭐⭐⭐": 71,
+  "⭐⭐⭐⭐": 83,
+  "⭐⭐⭐⭐⭐": 89
+};
+
+// A wallet's top outcome must carry this multiple of its other outcomes' stake, or the event counts as hedged
+export const HEDGE_RATIO = 1.05;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Per-wallet record and usual stake size from signals rows
+ * @param {Array<object>} signals - rows with wallet_id, outcome, amount
+ * @returns {Map<number, { wins: number, losses: number, usualStake: number|null }>}
+ */
+export function buildWalletStats(signals) {
+  const raw = new Map();
+
+  for (const sig of signals || []) {
+    if (!sig.wallet_id) continue;
+    if (!raw.has(sig.wallet_id)) raw.set(sig.wallet_id, { wins: 0, losses: 0, stakes: [] });
+    const entry = raw.get(sig.wallet_id);
+
+    if (sig.outcome === "WIN") entry.wins++;
+    else if (sig.outcome === "LOSS") entry.losses++;
+
+    const stake = Number(sig.amount);
+    if (stake > 0) entry.stakes.push(stake);
+  }
+
+  const stats = new Map();
+  for (const [walletId, { wins, losses, stakes }] of raw.entries()) {
+    stats.set(walletId, { wins, losses, usualStake: median(stakes) });
+  }
+  return stats;
+}
+
+/**
+ * Weight each vote by skill (accuracy shrunk by sample size), stake vs. usual size and entry order.
+ * An average wallet — coin-flip record, usual stake, mid-pack entry — weighs 1.
+ * `segmentFactor` (see segmentFactor) scales the vote by the wallet's edge in this league / market type.
+ * @param {Array<{ wallet_id: number, stake: number, enteredAt: string|Date|null, segmentFactor?: number }>} votes
+ * @param {Map} walletStats - from buildWalletStats
+ * @returns {Array<object>} scored votes
+ */
+export function scoreVotes(votes, walletStats) {
+  const ordered = [...votes]
+    .filter(v => v.enteredAt)
+    .sort((a, b) => new Date(a.enteredAt) - new Date(b.enteredAt));
+  const rankOf = new Map(ordered.map((v, i) => [v.wallet_id, ordered.length > 1 ? i / (ordered.length - 1) : 0.5]));
+
+  return votes.map(vote => {
+    const stats = walletStats.get(vote.wallet_id) || { wins: 0, losses: 0, usualStake: null };
+    const sample = stats.wins + stats.losses;
+
+    // Laplace-smoothed hit rate, pulled toward 50% until the sample is meaningful
+    const hitRate = (stats.wins + 1) / (sample + 2);
+    const accuracy = 0.5 + (hitRate - 0.5) * (sample / (sample + SAMPLE_PRIOR));
+    const accuracyFactor = accuracy / 0.5;
+
+    const stakeRatio = stats.usualStake ? Number(vote.stake || 0) / stats.usualStake : 1;
+    const stakeFactor = clamp(Math.sqrt(stakeRatio), 0.5, 2);
+
+    // First in = 1.25, last in = 0.75
+    const rank = rankOf.has(vote.wallet_id) ? rankOf.get(vote.wallet_id) : 0.5;
+    const earlyFactor = 1.25 - 0.5 * rank;
+    const segment = vote.segmentFactor ?? 1;
+
+    return {
+      wallet_id: vote.wallet_id,
+      weight: Number((accuracyFactor * stakeFactor * earlyFactor * segment).toFixed(4)),
+      accuracy: Number(accuracy.toFixed(4)),
+      sample,
+      stake_factor: Number(stakeFactor.toFixed(4)),
+      early_factor: Number(earlyFactor.toFixed(4)),
+      segment_factor: segment
+    };
+  });
+}
+
+/**
+ * Confidence for one outcome given the votes for it and against it (other outcomes, same market)
+ * @param {Array<object>} supportVotes
+ * @param {Array<object>} opposingVotes
+ * @param {Map} walletStats
+ * @returns {{ confidence: number, breakdown: object }}
+ */
+export function scoreConsensus(supportVotes, opposingVotes, walletStats) {
+  const support = scoreVotes(supportVotes, walletStats);
+  const against = scoreVotes(opposingVotes, walletStats);
+
+  const supportWeight = support.reduce((sum, v) => sum + v.weight, 0);
+  const opposeWeight = against.reduce((sum, v) => sum + v.weight, 0);
+
+  const agreement = supportWeight > 0 ? supportWeight / (supportWeight + opposeWeight) : 0;
+  const strength = 1 - Math.exp(-supportWeight / CONFIDENCE_SCALE);
+  const confidence = Math.round(100 * strength * agreement);
+
+  return {
+    confidence,
+    breakdown: {
+      support_weight: Number(supportWeight.toFixed(4)),
+      oppose_weight: Number(opposeWeight.toFixed(4)),
+      agreement: Number(agreement.toFixed(4)),
+      strength: Number(strength.toFixed(4)),
+      votes: support
+    }
+  };
+}
+
+/**
+ * Score an unweighted, unopposed vote count on the same 0–100 scale (legacy rows)
+ * @param {number} count
+ * @returns {number}
+ */
+export function voteCountConfidence(count) {
+  return Math.round(100 * (1 - Math.exp(-(Number(count) || 0) / CONFIDENCE_SCALE)));
+}
+
+/**
+ * Classify a wallet's record in one segment
+ * @param {object|null} rating - from rateWallet, for the segment
+ * @param {{ minPicks?: number, threshold?: number }} [options]
+ * @returns {"proven"|"unproven"|"none"}
+ */
+export function classifySegment(rating, { minPicks = 10, threshold = 0.5 } = {}) {
+  if (!rating || rating.picks < minPicks) return "unproven";
+  return rating.win_prob >= threshold && rating.roi_shrunk >= 0 ? "proven" : "none";
+}
+
+/**
+ * Vote multiplier for a stored segment row; segments never rated count as unproven (full weight)
+ * @param {{ edge?: string }|undefined} segmentStat
+ * @returns {number}
+ */
+export function segmentFactor(segmentStat) {
+  return SEGMENT_FACTORS[segmentStat?.edge] ?? SEGMENT_FACTORS.unproven;
+}
+
+/**
+ * Star tier for a 0–100 confidence
+ * @param {number} confidence
+ * @param {Object<string, number>} [thresholds] - same shape as CONFIDENCE_THRESHOLDS
+ * @returns {string}
+ */
+export function getConfidenceEmoji(confidence, thresholds = CONFIDENCE_THRESHOLDS) {
+  if (confidence < thresholds["⭐⭐"]) return "⭐";
+  if (confidence < thresholds["⭐⭐⭐"]) return "⭐⭐";
+  if (confidence < thresholds["⭐⭐⭐⭐"]) return "⭐⭐⭐";
+  if (confidence < thresholds["⭐⭐⭐⭐⭐"]) return "⭐⭐⭐⭐";
+  return "⭐⭐⭐⭐⭐";
+}
+
+/**
+ * A live pick's 0–100 confidence; rows from before weighted scoring fall back to their vote count
+ * @param {{ confidence?: number, vote_count?: number }} pick
+ * @returns {number}
+ */
+export function pickConfidence(pick) {
+  return Number.isFinite(pick.confidence) && pick.confidence > 0
+    ? pick.confidence
+    : voteCountConfidence(pick.vote_count);
+}
+
+/**
+ * A wallet's net outcome from its stake per outcome; null when hedged
+ * (binary: the other side, multi-outcome: the whole spread across other candidates)
+ * @param {Object<string, number>} totals - outcome → stake
+ * @param {number} [hedgeRatio]
+ * @returns {string|null}
+ */
+export function netOutcome(totals, hedgeRatio = HEDGE_RATIO) {
+  const entries = Object.entries(totals || {}).sort((a, b) => b[1] - a[1]);
+  if (!entries.length) return null;
+
+  const [topOutcome, topAmount] = entries[0];
+  const restAmount = entries.slice(1).reduce((sum, [, amount]) => sum + amount, 0);
+  if (restAmount > 0 && topAmount / restAmount < hedgeRatio) return null;
+
+  return topOutcome;
+}
+
+/**
+ * Add one wallet's entries in a market to that market's per-outcome tally
+ * @param {Object<string, object>} outcomes - outcome → { walletIds, votes, totalPnl, totalStake, sideCounts }, mutated
+ * @param {number} walletId
+ * @param {Object<string, { pnl: number, stake: number, enteredAt: string|null, segmentFactor: number }>} outcomeMap
+ */
+export function tallyWalletVotes(outcomes, walletId, outcomeMap) {
+  for (const [outcome, { pnl, stake, enteredAt, segmentFactor: voteSegmentFactor }] of Object.entries(outcomeMap)) {
+    if (!outcomes[outcome]) {
+      outcomes[outcome] = { walletIds: new Set(), votes: [], totalPnl: 0, totalStake: 0, sideCounts: {} };
+    }
+    outcomes[outcome].walletIds.add(walletId);
+    outcomes[outcome].votes.push({ wallet_id: walletId, stake, enteredAt, segmentFactor: voteSegmentFactor });
+    outcomes[outcome].totalPnl += pnl;
+    outcomes[outcome].totalStake += stake;
+
+    // Count all picks per side (so side_counts shows both teams)
+    for (const sideOutcome of Object.keys(outcomeMap)) {
+      outcomes[outcome].sideCounts[sideOutcome] = (outcomes[outcome].sideCounts[sideOutcome] || 0) + 1;
+    }
+  }
+}
+
+/**
+ * An early signal stands only while the rest of the market doesn't outweigh it
+ * @param {{ support_weight: number, oppose_weight: number }|null} breakdown - from scoreConsensus
+ * @returns {boolean}
+ */
+export function earlySignalHolds(breakdown) {
+  return Boolean(breakdown) && breakdown.support_weight >= breakdown.oppose_weight;
+}
+
+/**
+ * Consensus picks for one market's tally: clusters collapsed to one vote, wallet minimum applied
+ * (an originator-led pick with enough joiners still fires early, unless the other outcomes outweigh it),
+ * confidence against the other outcomes
+ * @param {Object<string, object>} outcomes - from tallyWalletVotes
+ * @param {{ walletStats: Map, clusterOf: Map, roleOf: Map, minWallets: number, earlyMinJoiners: number }} options
+ * @returns {Array<{ outcome: string, effectiveVotes: Array, earlySignal: boolean, confidence: number, breakdown: object, voteCounts: object }>}
+ */
+export function scoreMarketPicks(outcomes, { walletStats, clusterOf, roleOf, minWallets, earlyMinJoiners }) {
+  const picks = [];
+
+  for (const [outcome, data] of Object.entries(outcomes)) {
+    const effectiveVotes = collapseClusterVotes(data.votes, clusterOf);
+
+    const belowMinimum = effectiveVotes.length < minWallets;
+    const earlySignal = belowMinimum && isOriginatorLed(entryOrder(effectiveVotes, roleOf), earlyMinJoiners);
+    if (belowMinimum && !earlySignal) continue;
+
+    // Weighted confidence: this outcome's votes vs. every other outcome's in the market
+    const opposingVotes = collapseClusterVotes(
+      Object.entries(outcomes)
+        .filter(([other]) => other !== outcome)
+        .flatMap(([, otherData]) => otherData.votes),
+      clusterOf
+    );
+    const { confidence, breakdown } = scoreConsensus(effectiveVotes, opposingVotes, walletStats);
+    if (earlySignal && !earlySignalHolds(breakdown)) continue;
+
+    // Each member of a collapsed cluster holds a fraction of its single vote
+    const voteCounts = {};
+    for (const vote of effectiveVotes) {
+      for (const member of vote.members) voteCounts[member] = 1 / vote.members.length;
+    }
+
+    picks.push({ outcome, effectiveVotes, earlySignal, confidence, breakdown, voteCounts });
+  }
+
+  return picks;
+}
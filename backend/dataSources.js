@@ -0,0 +1,193 @@
+/* ===========================
+   Data Sources
+   Leaderboard / activity / markets behind one interface:
+   live (API client), record (live + save every response), replay (recorded fixtures, no network)
+   and the clock each mode runs on
+=========================== */
+
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { ApiError } from "./polymarketApi.js";
+
+const GAMMA = "https://gamma-api.polymarket.com";
+const DATA = "https://data-api.polymarket.com";
+const BROWSER_HEADERS = { "User-Agent": "Mozilla/5.0" };
+
+const query = params => Object.entries(params)
+  .filter(([, v]) => v != null)
+  .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+  .join("&");
+
+// One entry per data-source method: request URL and fixture key from the same params
+const ENDPOINTS = {
+  leaderboard: {
+    url: ({ category, period, limit = 20 }) =>
+      `${DATA}/v1/leaderboard?category=${category}&timePeriod=${period}&orderBy=PNL&limit=${limit}`,
+    key: ({ category, period, limit = 20 }) => `${category}-${period}-${limit}`,
+    headers: BROWSER_HEADERS
+  },
+  activity: {
+    url: ({ wallet, start = 0, offset = 0, limit }) =>
+      `${DATA}/activity?limit=${limit}&offset=${offset}&start=${start}&sortBy=TIMESTAMP&sortDirection=ASC&user=${wallet}`,
+    key: ({ wallet, start = 0, offset = 0, limit }) => `${wallet}-${start}-${offset}-${limit}`,
+    headers: BROWSER_HEADERS
+  },
+  marketBySlug: {
+    url: ({ slug }) => `${GAMMA}/markets/slug/${slug}`,
+    key: ({ slug }) => slug
+  },
+  marketById: {
+    url: ({ id }) => `${GAMMA}/markets/${id}`,
+    key: ({ id }) => String(id)
+  },
+  eventBySlug: {
+    url: ({ slug }) => `${GAMMA}/events/slug/${slug}`,
+    key: ({ slug }) => slug
+  },
+  marketList: {
+    url: params => `${GAMMA}/markets?${query(params)}`,
+    key: params => query(Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)))) || "all"
+  }
+};
+
+/**
+ * Fixture file for one request: <dir>/<method>/<key>.json
+ * @param {string} dir
+ * @param {string} method
+ * @param {object} params
+ * @returns {string}
+ */
+export function fixturePath(dir, method, params) {
+  const key = ENDPOINTS[method].key(params).replace(/[^A-Za-z0-9._-]+/g, "_");
+  return path.join(dir, method, `${key}.json`);
+}
+
+// Methods take the same params everywhere, so each source only has to supply `request(method, params)`
+function buildSource(request) {
+  return {
+    leaderboard: ({ category, period, limit }) => request("leaderboard", { category, period, limit }),
+    activity: (wallet, { start, offset, limit }) => request("activity", { wallet, start, offset, limit }),
+    marketBySlug: slug => request("marketBySlug", { slug }),
+    marketById: id => request("marketById", { id }),
+    eventBySlug: slug => request("eventBySlug", { slug }),
+    marketList: (params = {}) => request("marketList", params)
+  };
+}
+
+/**
+ * Live Polymarket APIs through the shared client. HTTP errors reject with ApiError (`status` set).
+ * @param {{ getJson: function }} api - from createApiClient
+ * @returns {object} data source
+ */
+export function createLiveSource(api) {
+  return buildSource(liveRequest(api));
+}
+
+function liveRequest(api) {
+  return (method, params) => {
+    const endpoint = ENDPOINTS[method];
+    return api.getJson(endpoint.url(params), { headers: endpoint.headers });
+  };
+}
+
+/**
+ * Live source that also writes every response — HTTP errors included — to `dir` for later replay
+ * @param {{ getJson: function }} api
+ * @param {{ dir: string }} options
+ * @returns {object} data source
+ */
+export function createRecordingSource(api, { dir }) {
+  const live = liveRequest(api);
+
+  const save = async (method, params, fixture) => {
+    const file = fixturePath(dir, method, params);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, JSON.stringify(fixture, null, 2));
+  };
+
+  return buildSource(async (method, params) => {
+    try {
+      const body = await live(method, params);
+      await save(method, params, { status: 200, body });
+      return body;
+    } catch (err) {
+      // Only answers from the API are recorded; network failures and open circuits are not responses
+      if (err.status) await save(method, params, { status: err.status, body: null });
+      throw err;
+    }
+  });
+}
+
+/**
+ * Recorded responses only. A request with no fixture replays as a 404, like a market the API doesn't know.
+ * @param {{ dir: string }} options
+ * @returns {object} data source
+ */
+export function createFixtureSource({ dir }) {
+  return buildSource(async (method, params) => {
+    const file = fixturePath(dir, method, params);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      console.warn(`⚠️ No fixture for ${method} ${file}`);
+      fixture = { status: 404, body: null };
+    }
+
+    if (fixture.status !== 200) {
+      throw new ApiError(`HTTP ${fixture.status}`, { url: ENDPOINTS[method].url(params), status: fixture.status });
+    }
+    return fixture.body;
+  });
+}
+
+/**
+ * Data source for a mode
+ * @param {"live"|"record"|"replay"} mode
+ * @param {{ api?: object, dir?: string }} options - `api` for live / record, `dir` for record / replay
+ * @returns {object} data source
+ */
+export function createDataSource(mode, { api, dir }) {
+  if (mode === "replay") return createFixtureSource({ dir });
+  if (mode === "record") return createRecordingSource(api, { dir });
+  if (mode !== "live") throw new Error(`Unknown data source mode: ${mode}`);
+  return createLiveSource(api);
+}
+
+/**
+ * Clock for a mode. Live runs on wall time; record also writes when the recording started to <dir>/clock.json;
+ * replay restarts from that instant (or `start`) and runs forward at wall speed, so market states, start windows
+ * and recap periods see the time the fixtures were taken at
+ * @param {"live"|"record"|"replay"} mode
+ * @param {{ dir?: string, start?: string|null, wallNow?: function }} [options]
+ * @returns {{ now: function, date: function }} now() → ms, date() → Date
+ */
+export function createClock(mode, { dir, start = null, wallNow = Date.now } = {}) {
+  const file = dir ? path.join(dir, "clock.json") : null;
+
+  if (mode === "record") {
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(file, JSON.stringify({ recorded_at: new Date(wallNow()).toISOString() }, null, 2));
+  }
+
+  let offset = 0;
+  if (mode === "replay") {
+    let recordedAt = start;
+    if (!recordedAt) {
+      try {
+        recordedAt = JSON.parse(readFileSync(file, "utf8")).recorded_at;
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    const at = Date.parse(recordedAt || "");
+    if (Number.isFinite(at)) offset = at - wallNow();
+    else console.warn(`⚠️ No recorded start time in ${file}, replaying on wall time`);
+  }
+
+  const now = () => wallNow() + offset;
+  return { now, date: () => new Date(now()) };
+}
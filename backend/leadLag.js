@@ -0,0 +1,90 @@
+/* ===========================
+   Lead-Lag Analysis
+   Who enters a market/outcome first, and who piles in afterwards
+=========================== */
+
+// Markets a wallet must share with others before its role is judged at full strength
+const LEAD_PRIOR_MARKETS = 5;
+
+/**
+ * Score each wallet by where it usually lands in the entry order of shared picks.
+ * lead_score: 1 = always first, 0 = always last, shrunk toward 0.5 on small samples.
+ * @param {Array<object>} signals - rows with wallet_id, market_id, picked_outcome, entered_at
+ * @param {{ minMarkets?: number, originatorScore?: number, followerScore?: number }} [options]
+ * @returns {Array<object>} one row per wallet
+ */
+export function scoreLeadLag(signals, { minMarkets = 5, originatorScore = 0.65, followerScore = 0.35 } = {}) {
+  // market_id|outcome → [{ wallet_id, at }]
+  const groups = new Map();
+  for (const sig of signals || []) {
+    if (!sig.wallet_id || !sig.market_id || !sig.picked_outcome || !sig.entered_at) continue;
+    const key = `${sig.market_id}|${sig.picked_outcome}`;
+    if (!groups.has(key)) groups.set(key, new Map());
+    const entries = groups.get(key);
+
+    const at = new Date(sig.entered_at).getTime();
+    if (!entries.has(sig.wallet_id) || at < entries.get(sig.wallet_id)) entries.set(sig.wallet_id, at);
+  }
+
+  const stats = new Map();
+  for (const entries of groups.values()) {
+    if (entries.size < 2) continue;
+    const ordered = [...entries.entries()].sort((a, b) => a[1] - b[1]);
+
+    ordered.forEach(([walletId], i) => {
+      if (!stats.has(walletId)) stats.set(walletId, { markets: 0, first_entries: 0, rank_sum: 0 });
+      const s = stats.get(walletId);
+      s.markets++;
+      s.rank_sum += i / (ordered.length - 1);
+      if (i === 0) s.first_entries++;
+    });
+  }
+
+  return [...stats.entries()].map(([walletId, s]) => {
+    const avgRank = s.rank_sum / s.markets;
+    const leadScore = 0.5 + (0.5 - avgRank) * (s.markets / (s.markets + LEAD_PRIOR_MARKETS));
+
+    let role = "neutral";
+    if (s.markets >= minMarkets && leadScore >= originatorScore) role = "originator";
+    else if (s.markets >= minMarkets && leadScore <= followerScore) role = "follower";
+
+    return {
+      wallet_id: walletId,
+      markets: s.markets,
+      first_entries: s.first_entries,
+      avg_rank: Number(avgRank.toFixed(4)),
+      lead_score: Number(leadScore.toFixed(4)),
+      role
+    };
+  });
+}
+
+/**
+ * Entry order of a pick's votes, earliest first, tagged with each wallet's role
+ * @param {Array<{ wallet_id: number, enteredAt: string|Date|null }>} votes
+ * @param {Map<number, string>} roleOf - wallet_id → role
+ * @returns {Array<{ wallet_id: number, entered_at: string|null, role: string }>}
+ */
+export function entryOrder(votes, roleOf) {
+  return [...votes]
+    .sort((a, b) => {
+      if (!a.enteredAt) return 1;
+      if (!b.enteredAt) return -1;
+      return new Date(a.enteredAt) - new Date(b.enteredAt);
+    })
+    .map(v => ({
+      wallet_id: v.wallet_id,
+      entered_at: v.enteredAt ? new Date(v.enteredAt).toISOString() : null,
+      role: roleOf.get(v.wallet_id) || "neutral"
+    }));
+}
+
+/**
+ * A pick fires early when an originator entered first and enough others have joined
+ * @param {Array<object>} order - from entryOrder
+ * @param {number} minJoiners - wallets required after the originator
+ * @returns {boolean}
+ */
+export function isOriginatorLed(order, minJoiners) {
+  return order[0]?.role === "originator" && order.length - 1 >= minJoiners;
+}
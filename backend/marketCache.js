@@ -0,0 +1,156 @@
+/* ===========================
+   Market Cache
+   Gamma markets by lookup key, expiring by market state, optionally persisted to Supabase `markets`
+=========================== */
+
+import { marketSettlement } from "./resolution.js";
+
+export const DEFAULT_TTL_SECONDS = {
+  live: 60,               // game underway: prices and score move every poll
+  open: 10 * 60,          // not started yet / no start time
+  closed: 2 * 60,         // trading closed, result not final
+  resolved: 7 * 24 * 3600 // settled results don't change (corrections are re-fetched bypassing the cache)
+};
+
+/**
+ * Cache state of a market: resolved → closed → live (started, still trading) → open.
+ * Only a closed market with settled prices counts as resolved; a result read off the score alone
+ * can still change, so it keeps the short closed TTL
+ * @param {object} market
+ * @param {number} [now]
+ * @returns {"resolved"|"closed"|"live"|"open"}
+ */
+export function marketState(market, now = Date.now()) {
+  const { state } = marketSettlement(market, { scoreFallback: false });
+  if (market?.closed && (state === "won" || state === "push" || state === "void")) return "resolved";
+  if (market?.closed) return "closed";
+
+  const start = market?.gameStartTime ? new Date(market.gameStartTime).getTime() : NaN;
+  return Number.isFinite(start) && start <= now ? "live" : "open";
+}
+
+/**
+ * Create a market cache.
+ * - In memory: least-recently-used entries are evicted past `maxEntries`
+ * - With `supabase`: misses fall through to the `markets` table and every store is upserted there,
+ *   so a redeploy starts warm
+ * @param {object} [options]
+ * @param {import("@supabase/supabase-js").SupabaseClient|null} [options.supabase] - enables persistence
+ * @param {string} [options.table]
+ * @param {number} [options.maxEntries]
+ * @param {object} [options.ttlSeconds] - per-state overrides of DEFAULT_TTL_SECONDS
+ * @param {function} [options.now] - clock (ms) for expiry and market state
+ * @returns {{ get: function, set: function, delete: function, prune: function, stats: function }}
+ */
+export function createMarketCache({ supabase = null, table = "markets", maxEntries = 2000, ttlSeconds = {}, now = Date.now } = {}) {
+  const ttl = { ...DEFAULT_TTL_SECONDS, ...ttlSeconds };
+  const entries = new Map(); // key → { market, state, expiresAt }
+  const counters = { hits: 0, misses: 0, persisted_hits: 0, stores: 0, evictions: 0, expired: 0 };
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  };
+
+  async function loadPersisted(key) {
+    const { data, error } = await supabase
+      .from(table)
+      .select("data, state, expires_at")
+      .eq("cache_key", key)
+      .gt("expires_at", new Date(now()).toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ Market cache read failed for ${key}:`, error.message);
+      return null;
+    }
+    return data ? { market: data.data, state: data.state, expiresAt: new Date(data.expires_at).getTime() } : null;
+  }
+
+  /**
+   * @param {string|number} rawKey
+   * @returns {Promise<object|null>} cached market, or null on a miss / expiry
+   */
+  async function get(rawKey) {
+    const key = String(rawKey);
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt > now()) {
+      counters.hits++;
+      remember(key, entry);
+      return entry.market;
+    }
+    if (entry) {
+      entries.delete(key);
+      counters.expired++;
+    }
+
+    if (supabase) {
+      const persisted = await loadPersisted(key);
+      if (persisted) {
+        counters.hits++;
+        counters.persisted_hits++;
+        remember(key, persisted);
+        return persisted.market;
+      }
+    }
+
+    counters.misses++;
+    return null;
+  }
+
+  /**
+   * @param {string|number} rawKey
+   * @param {object} market
+   * @returns {Promise<object>} the market
+   */
+  async function set(rawKey, market) {
+    const key = String(rawKey);
+    const storedAt = now();
+    const state = marketState(market, storedAt);
+    const expiresAt = storedAt + ttl[state] * 1000;
+
+    remember(key, { market, state, expiresAt });
+    counters.stores++;
+
+    if (supabase) {
+      const { error } = await supabase.from(table).upsert({
+        cache_key: key,
+        market_id: market?.id != null ? String(market.id) : null,
+        slug: market?.slug || null,
+        state,
+        data: market,
+        fetched_at: new Date(storedAt).toISOString(),
+        expires_at: new Date(expiresAt).toISOString()
+      }, { onConflict: ["cache_key"] });
+
+      if (error) console.error(`❌ Market cache write failed for ${key}:`, error.message);
+    }
+
+    return market;
+  }
+
+  /**
+   * Drop persisted rows that expired more than `graceSeconds` ago
+   * @param {number} [graceSeconds]
+   * @returns {Promise<void>}
+   */
+  async function prune(graceSeconds = 24 * 3600) {
+    if (!supabase) return;
+    const cutoff = new Date(now() - graceSeconds * 1000).toISOString();
+    const { error } = await supabase.from(table).delete().lt("expires_at", cutoff);
+    if (error) console.error("❌ Market cache prune failed:", error.message);
+  }
+
+  return {
+    get,
+    set,
+    delete: rawKey => entries.delete(String(rawKey)),
+    prune,
+    stats: () => ({ ...counters, size: entries.size, max_entries: maxEntries, persisted: Boolean(supabase) })
+  };
+}
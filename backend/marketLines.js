@@ -0,0 +1,81 @@
+/* ===========================
+   Market Line Parser
+   Spreads / totals line + side from Gamma market metadata
+=========================== */
+
+/**
+ * Gamma list field (outcomes, outcomePrices, clobTokenIds) as an array of strings — it arrives JSON-encoded
+ * @param {string|Array|null} value
+ * @returns {string[]}
+ */
+export function parseList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value !== "string") return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+const formatLine = line => (line > 0 ? `+${line}` : String(line));
+
+/**
+ * Normalize sportsMarketType, inferring it from outcomes / question when Gamma leaves it blank
+ * @param {object} market - Gamma market (or any object with sportsMarketType, question, outcomes)
+ * @returns {"moneyline"|"spreads"|"totals"|"other"}
+ */
+export function marketLineType(market) {
+  const raw = String(market?.sportsMarketType || "").toLowerCase();
+  if (raw === "moneyline" || raw === "spreads" || raw === "totals") return raw;
+  if (raw === "spread") return "spreads";
+  if (raw === "total") return "totals";
+
+  const outcomes = parseList(market?.outcomes).map(o => o.toUpperCase());
+  const question = market?.question || "";
+  if (outcomes.includes("OVER") && outcomes.includes("UNDER")) return "totals";
+  if (/\bO\/U\b/i.test(question)) return "totals";
+  if (/spread/i.test(question)) return "spreads";
+  if (outcomes.length === 2 && !outcomes.includes("YES")) return "moneyline";
+  return "other";
+}
+
+function rawLine(market, type) {
+  const line = Number(market?.line);
+  if (market?.line != null && Number.isFinite(line)) return line;
+
+  const question = market?.question || "";
+  const match = type === "totals"
+    ? question.match(/O\/U\s*(\d+(?:\.\d+)?)/i)
+    : question.match(/\(([+-]?\d+(?:\.\d+)?)\)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Line and side for one outcome of a market.
+ * Spreads: Gamma's line is quoted for the first outcome, so the second outcome gets the opposite sign.
+ * @param {object} market
+ * @param {string} outcome - picked outcome name
+ * @returns {{ market_type: string, line: number|null, line_side: string|null, pick_label: string }}
+ */
+export function parseMarketLine(market, outcome) {
+  const type = marketLineType(market);
+  const label = outcome == null ? "UNKNOWN" : String(outcome);
+  const base = { market_type: type, line: null, line_side: null, pick_label: label };
+
+  if (type !== "spreads" && type !== "totals") return base;
+
+  const line = rawLine(market, type);
+  if (line == null) return base;
+
+  if (type === "totals") {
+    const side = label.toUpperCase() === "UNDER" ? "UNDER" : "OVER";
+    return { market_type: type, line, line_side: side, pick_label: `${side === "OVER" ? "Over" : "Under"} ${line}` };
+  }
+
+  const outcomes = parseList(market?.outcomes);
+  const index = outcomes.findIndex(o => o.toUpperCase() === label.toUpperCase());
+  const sideLine = index === 1 ? -line : line;
+  return { market_type: type, line: sideLine, line_side: label, pick_label: `${label} ${formatLine(sideLine)}` };
+}
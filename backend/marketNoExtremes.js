@@ -3,15 +3,15 @@
    ADD-ON MODULE (SAFE)
 =========================== */
 
-import fetch from "node-fetch";
-
 /**
  * Run the Market NO Extremes scanner
- * @param {import("@supabase/supabase-js").SupabaseClient} supabase
+ * @param {object} scanner - market_no_extremes repository (storage.js)
+ * @param {object} source - data source (dataSources.js): live, recording or fixture replay
  * @param {function} sendToNotes - optional, function to send formatted notes
  * @param {function} sendToTelegram - optional, function to send summary to Telegram
+ * @param {function} [clock] - current time in ms (the replay clock offline)
  */
-export async function runMarketNoExtremes(supabase, sendToNotes, sendToTelegram) {
+export async function runMarketNoExtremes(scanner, source, sendToNotes, sendToTelegram, clock = Date.now) {
   console.log("🟢 Market NO Extremes scanner started");
 
   try {
@@ -20,21 +20,22 @@ export async function runMarketNoExtremes(supabase, sendToNotes, sendToTelegram)
     const MIN_LIQUIDITY = 1000;
     const LIMIT = 500;
 
-    const now = Date.now();
+    const now = clock();
 
     // ------------------------------
     // FETCH markets from Polymarket Gamma API
     // ------------------------------
-    const url = `https://gamma-api.polymarket.com/markets?closed=false&volume_num_min=${MIN_VOLUME}&liquidity_num_min=${MIN_LIQUIDITY}&limit=${LIMIT}`;
-    console.log("🌐 Fetching markets from:", url);
-
-    const res = await fetch(url);
-    if (!res.ok) {
-      console.error("❌ API request failed:", res.status, res.statusText);
+    const query = { closed: false, volume_num_min: MIN_VOLUME, liquidity_num_min: MIN_LIQUIDITY, limit: LIMIT };
+    console.log("🌐 Fetching markets:", JSON.stringify(query));
+
+    let markets;
+    try {
+      markets = await source.marketList(query);
+    } catch (err) {
+      console.error("❌ API request failed:", err.message);
       return;
     }
 
-    const markets = await res.json();
     if (!markets || !markets.length) {
       console.log("⚠️ No markets returned from API");
       return;
@@ -64,7 +65,7 @@ export async function runMarketNoExtremes(supabase, sendToNotes, sendToTelegram)
     if (!filtered.length) return;
 
     // ------------------------------
-    // INSERT into Supabase table (skip duplicates)
+    // INSERT into market_no_extremes (skip duplicates)
     // ------------------------------
     const newMarkets = [];
     for (let i = 0; i < filtered.length; i++) {
@@ -76,13 +77,9 @@ export async function runMarketNoExtremes(supabase, sendToNotes, sendToTelegram)
       const hoursLeft = m.endDate ? ((new Date(m.endDate) - now) / 1000 / 3600) : null;
 
       // Check for duplicates by polymarket_id
-      const { data: existing } = await supabase
-        .from("market_no_extremes")
-        .select("id")
-        .eq("polymarket_id", parseInt(m.id))
-        .limit(1);
+      const { data: exists } = await scanner.exists(parseInt(m.id));
 
-      if (existing && existing.length > 0) {
+      if (exists) {
         console.log(`⚠️ Skipping duplicate: ${m.slug}`);
         continue;
       }
@@ -106,12 +103,10 @@ export async function runMarketNoExtremes(supabase, sendToNotes, sendToTelegram)
         open_interest: null,
         is_active: m.active,
         is_resolved: false,
-        fetched_at: new Date()
+        fetched_at: new Date(now)
       };
 
-      const { error } = await supabase
-        .from("market_no_extremes")
-        .insert([insertData]);
+      const { error } = await scanner.insert(insertData);
 
       if (error) console.error("❌ Insert error:", error, insertData);
       else {
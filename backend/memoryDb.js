@@ -0,0 +1,315 @@
+/* ===========================
+   In-Memory Database
+   Stands in for the Supabase client: the same from(table) query builder and { data, error } results,
+   backed by plain arrays — local runs and tests without a hosted project
+=========================== */
+
+// Tables whose rows are keyed by something other than a serial `id` (upserts without onConflict use these)
+const PRIMARY_KEYS = {
+  sync_cursors: ["name"],
+  markets: ["cache_key"],
+  bankroll_simulation: ["strategy"],
+  wallet_clusters: ["wallet_id"],
+  wallet_lead_lag: ["wallet_id"],
+  wallet_cluster_links: ["wallet_a", "wallet_b"]
+};
+
+// Unique constraints beyond the primary key, as declared in supabase/migrations
+const UNIQUE_KEYS = {
+  wallets: [["polymarket_proxy_wallet"]],
+  signals: [["wallet_id", "event_slug", "picked_outcome"], ["tx_hash"]],
+  signal_trades: [["wallet_id", "tx_hash", "log_index"]],
+  wallet_positions: [["wallet_id", "asset"]],
+  wallet_event_exposure: [["wallet_id", "event_slug"]],
+  wallet_live_picks: [["market_id", "picked_outcome"]],
+  wallet_live_pick_results: [["pick_id", "version"]],
+  notes: [["slug"]],
+  market_no_extremes: [["polymarket_id"]],
+  wallet_segment_stats: [["wallet_id", "league", "market_type"]],
+  wallet_ratings: [["wallet_id", "window_days"]]
+};
+
+// Rows are stored as JSON, like a round trip through PostgREST: Dates become ISO strings
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+const asList = value => (Array.isArray(value) ? value : String(value).split(",").map(s => s.trim()).filter(Boolean));
+
+function compare(a, b) {
+  if (a == null || b == null) return null;
+  const left = a instanceof Date ? a.toISOString() : a;
+  const right = b instanceof Date ? b.toISOString() : b;
+
+  if (typeof left === "number" || typeof right === "number") {
+    const [x, y] = [Number(left), Number(right)];
+    if (Number.isFinite(x) && Number.isFinite(y)) return x - y;
+  }
+  // Timestamps compare as instants, whatever offset they were written with
+  if (ISO_DATE.test(left) && ISO_DATE.test(right)) return Date.parse(left) - Date.parse(right);
+  return String(left) < String(right) ? -1 : String(left) > String(right) ? 1 : 0;
+}
+
+const same = (a, b) => a != null && b != null && String(a instanceof Date ? a.toISOString() : a) === String(b instanceof Date ? b.toISOString() : b);
+
+// PostgREST filter operators over a row value
+const OPERATORS = {
+  eq: (v, x) => same(v, x),
+  neq: (v, x) => v != null && !same(v, x),
+  gt: (v, x) => compare(v, x) > 0,
+  gte: (v, x) => compare(v, x) >= 0,
+  lt: (v, x) => compare(v, x) < 0,
+  lte: (v, x) => compare(v, x) <= 0,
+  in: (v, x) => asList(x).some(item => same(v, item)),
+  is: (v, x) => (x === null || x === "null" ? v == null : v === (x === true || x === "true")),
+  ilike: (v, x) => v != null && new RegExp(
+    `^${String(x).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*").replace(/_/g, ".")}$`, "i"
+  ).test(String(v))
+};
+
+// "col.op.value,col.op.value" as passed to .or()
+function parseOr(expression) {
+  return expression.split(",").map(part => {
+    const [column, op, ...rest] = part.trim().split(".");
+    const raw = rest.join(".");
+    const value = raw === "null" ? null : raw;
+    return row => OPERATORS[op](row[column], value);
+  });
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === "*") return clone(row);
+  const picked = {};
+  for (const column of columns.split(",").map(c => c.trim()).filter(Boolean)) picked[column] = clone(row[column]) ?? null;
+  return picked;
+}
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = "select";
+    this.columns = "*";
+    this.filters = [];
+    this.orders = [];
+    this.window = null;
+    this.cardinality = null;
+    this.returning = false;
+  }
+
+  select(columns = "*") {
+    if (this.action === "select") this.columns = columns;
+    else this.returning = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.action = "upsert";
+    this.payload = rows;
+    this.conflict = onConflict ? asList(onConflict) : null;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(fields) {
+    this.action = "update";
+    this.payload = fields;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push(row => OPERATORS[op](row[column], value));
+    return this;
+  }
+
+  not(column, op, value) {
+    this.filters.push(row => !OPERATORS[op](row[column], value));
+    return this;
+  }
+
+  or(expression) {
+    const alternatives = parseOr(expression);
+    this.filters.push(row => alternatives.some(test => test(row)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from, to };
+    return this;
+  }
+
+  limit(count) {
+    this.window = { from: this.window?.from || 0, to: (this.window?.from || 0) + count - 1 };
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = "maybe";
+    return this;
+  }
+
+  single() {
+    this.cardinality = "one";
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.run();
+    } catch (err) {
+      result = { data: null, error: { message: err.message } };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(test => test(row));
+  }
+
+  run() {
+    const rows = this.db.rows(this.table);
+    let affected;
+
+    if (this.action === "select") {
+      affected = rows.filter(row => this.matches(row));
+    } else if (this.action === "insert") {
+      const conflict = this.db.violation(this.table, asRows(this.payload).map(clone));
+      if (conflict) return { data: null, error: conflict };
+      affected = asRows(this.payload).map(row => this.db.add(this.table, row));
+    } else if (this.action === "upsert") {
+      // Every row is checked before any is written, so a rejected statement changes nothing
+      const keys = this.conflict || this.db.keyOf(this.table);
+      const writes = asRows(this.payload).map(row => {
+        const existing = rows.find(r => keys.every(k => same(r[k], row[k])));
+        if (!existing) return { existing: null, row };
+        return { existing, row: this.ignoreDuplicates ? null : { ...existing, ...clone(row) } };
+      });
+      const changed = writes.filter(w => w.row);
+      const conflict = this.db.violation(this.table, changed.map(w => w.row), changed.map(w => w.existing).filter(Boolean));
+      if (conflict) return { data: null, error: conflict };
+      affected = writes.map(({ existing, row }) => {
+        if (!existing) return this.db.add(this.table, row);
+        if (row) Object.assign(existing, clone(row));
+        return existing;
+      });
+    } else if (this.action === "update") {
+      affected = rows.filter(row => this.matches(row));
+      const conflict = this.db.violation(this.table, affected.map(row => ({ ...row, ...clone(this.payload) })), affected);
+      if (conflict) return { data: null, error: conflict };
+      for (const row of affected) Object.assign(row, clone(this.payload));
+    } else {
+      affected = rows.filter(row => this.matches(row));
+      this.db.tables.set(this.table, rows.filter(row => !affected.includes(row)));
+    }
+
+    if (this.action !== "select" && !this.returning) return { data: null, error: null };
+
+    let data = [...affected];
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      data.sort((a, b) => {
+        const order = compare(a[column], b[column]);
+        if (order === null) return a[column] == null ? (b[column] == null ? 0 : 1) : -1; // nulls last
+        return ascending ? order : -order;
+      });
+    }
+    if (this.window) data = data.slice(this.window.from, this.window.to + 1);
+    data = data.map(row => project(row, this.action === "select" ? this.columns : this.returning));
+
+    if (this.cardinality) {
+      if (data.length > 1) return { data: null, error: { message: "JSON object requested, multiple (or no) rows returned" } };
+      if (!data.length && this.cardinality === "one") return { data: null, error: { message: "JSON object requested, multiple (or no) rows returned" } };
+      return { data: data[0] || null, error: null };
+    }
+    return { data, error: null };
+  }
+}
+
+for (const op of Object.keys(OPERATORS)) {
+  QueryBuilder.prototype[op] = function (column, value) {
+    return this.filter(column, op, value);
+  };
+}
+
+const asRows = payload => (Array.isArray(payload) ? payload : [payload]);
+
+/**
+ * Create an in-memory database with the Supabase client's query surface
+ * @param {{ seed?: Object<string, Array<object>> }} [options] - table → initial rows
+ * @returns {{ from: function, dump: function }}
+ */
+export function createMemoryDb({ seed = {} } = {}) {
+  const db = {
+    tables: new Map(),
+    sequences: new Map(),
+
+    rows(table) {
+      if (!this.tables.has(table)) this.tables.set(table, []);
+      return this.tables.get(table);
+    },
+
+    keyOf(table) {
+      return PRIMARY_KEYS[table] || ["id"];
+    },
+
+    // Postgres' unique violation for `candidates` against the table without `replaced`, or null.
+    // Like Postgres, a key with a null column never conflicts
+    violation(table, candidates, replaced = []) {
+      const kept = this.rows(table).filter(row => !replaced.includes(row));
+      for (const key of [this.keyOf(table), ...(UNIQUE_KEYS[table] || [])]) {
+        const valueOf = row => (key.every(k => row[k] != null) ? JSON.stringify(key.map(k => String(clone(row[k])))) : null);
+        const taken = new Set(kept.map(valueOf).filter(Boolean));
+        for (const candidate of candidates) {
+          const value = valueOf(candidate);
+          if (!value) continue;
+          if (taken.has(value)) {
+            return {
+              code: "23505",
+              message: `duplicate key value violates unique constraint "${table}_${key.join("_")}_key"`,
+              details: `Key (${key.join(", ")})=(${key.map(k => candidate[k]).join(", ")}) already exists.`
+            };
+          }
+          taken.add(value);
+        }
+      }
+      return null;
+    },
+
+    add(table, row) {
+      const stored = clone(row);
+      if (this.keyOf(table)[0] === "id" && stored.id == null) {
+        stored.id = (this.sequences.get(table) || 0) + 1;
+      }
+      if (typeof stored.id === "number") this.sequences.set(table, Math.max(this.sequences.get(table) || 0, stored.id));
+      stored.created_at ??= new Date().toISOString();
+      this.rows(table).push(stored);
+      return stored;
+    }
+  };
+
+  for (const [table, rows] of Object.entries(seed)) {
+    for (const row of rows) db.add(table, row);
+  }
+
+  return {
+    from: table => new QueryBuilder(db, table),
+    // Snapshot of every table, e.g. to inspect a local run
+    dump: () => Object.fromEntries([...db.tables.entries()].map(([table, rows]) => [table, clone(rows)]))
+  };
+}
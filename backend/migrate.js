@@ -0,0 +1,147 @@
+/* ===========================
+   Migration Runner
+   node migrate.js [status|up|drift]   (DATABASE_URL = the project's Postgres connection string)
+   - status: applied / pending migrations, edited-after-apply warnings
+   - up: apply pending migrations in order, one transaction each
+   - drift: compare the schema the migrations describe with the live database (exit 1 on drift)
+=========================== */
+
+import pg from "pg";
+import { diffSchema, loadMigrations, parseSchema } from "./migrations.js";
+
+const DATABASE_URL = process.env.DATABASE_URL;
+// Directory with the numbered NNNN_name.sql files
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || new URL("../supabase/migrations/", import.meta.url).pathname;
+
+const LEDGER_SQL = `
+  create table if not exists schema_migrations (
+    version text primary key,
+    name text not null,
+    checksum text not null,
+    applied_at timestamptz not null default now()
+  )`;
+
+async function appliedMigrations(client) {
+  await client.query(LEDGER_SQL);
+  const { rows } = await client.query("select version, name, checksum, applied_at from schema_migrations order by version");
+  return new Map(rows.map(r => [r.version, r]));
+}
+
+async function status(client, migrations) {
+  const applied = await appliedMigrations(client);
+  for (const m of migrations) {
+    const row = applied.get(m.version);
+    if (!row) console.log(`⏳ ${m.file} pending`);
+    else if (row.checksum !== m.checksum) console.warn(`⚠️ ${m.file} edited after it was applied (${new Date(row.applied_at).toISOString()})`);
+    else console.log(`✅ ${m.file} applied ${new Date(row.applied_at).toISOString()}`);
+  }
+  for (const version of applied.keys()) {
+    if (!migrations.some(m => m.version === version)) console.warn(`⚠️ ${version}_${applied.get(version).name} applied but missing from ${MIGRATIONS_DIR}`);
+  }
+  return 0;
+}
+
+async function up(client, migrations) {
+  const applied = await appliedMigrations(client);
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (!pending.length) {
+    console.log("✅ Database is up to date");
+    return 0;
+  }
+
+  for (const m of pending) {
+    try {
+      await client.query("begin");
+      await client.query(m.sql);
+      await client.query("insert into schema_migrations (version, name, checksum) values ($1, $2, $3)", [m.version, m.name, m.checksum]);
+      await client.query("commit");
+      console.log(`✅ Applied ${m.file}`);
+    } catch (err) {
+      await client.query("rollback");
+      console.error(`❌ ${m.file} failed, rolled back: ${err.message}`);
+      return 1;
+    }
+  }
+  return 0;
+}
+
+// Live schema in parseSchema's shape: public tables → columns (information_schema types) + index column lists
+async function liveSchema(client) {
+  const tables = new Map();
+  const tableOf = name => {
+    if (!tables.has(name)) tables.set(name, { columns: new Map(), indexes: [] });
+    return tables.get(name);
+  };
+
+  const { rows: columns } = await client.query(`
+    select table_name, column_name, data_type
+    from information_schema.columns
+    where table_schema = 'public' and table_name <> 'schema_migrations'
+    order by table_name, ordinal_position`);
+  for (const c of columns) tableOf(c.table_name).columns.set(c.column_name, c.data_type);
+
+  const { rows: indexes } = await client.query(`
+    select t.relname as table_name, i.indisunique as is_unique,
+           array_agg(a.attname order by k.ordinality) as columns
+    from pg_index i
+    join pg_class t on t.oid = i.indrelid
+    join pg_namespace n on n.oid = t.relnamespace
+    cross join lateral unnest(i.indkey) with ordinality as k(attnum, ordinality)
+    join pg_attribute a on a.attrelid = t.oid and a.attnum = k.attnum
+    where n.nspname = 'public' and t.relname <> 'schema_migrations'
+    group by t.relname, i.indexrelid, i.indisunique`);
+  for (const i of indexes) tableOf(i.table_name).indexes.push({ columns: i.columns, unique: i.is_unique });
+
+  return tables;
+}
+
+async function drift(client, migrations) {
+  const report = diffSchema(parseSchema(migrations.map(m => m.sql)), await liveSchema(client));
+
+  const sections = [
+    ["❌ Missing tables", report.missing_tables],
+    ["❌ Missing columns", report.missing_columns],
+    ["❌ Type mismatches", report.type_mismatches],
+    ["❌ Missing indexes / unique constraints", report.missing_indexes],
+    ["ℹ️ Tables in no migration", report.untracked_tables],
+    ["ℹ️ Columns in no migration", report.untracked_columns]
+  ];
+  for (const [title, items] of sections) {
+    if (!items.length) continue;
+    console.log(`${title} (${items.length})`);
+    for (const item of items) console.log(`   ${item}`);
+  }
+
+  console.log(report.drift ? "❌ Schema drift detected — run `npm run migrate` or add a migration" : "✅ No schema drift");
+  return report.drift ? 1 : 0;
+}
+
+const COMMANDS = { status, up, drift };
+
+async function main() {
+  const command = process.argv[2] || "status";
+  if (!COMMANDS[command]) {
+    console.error(`Usage: node migrate.js [${Object.keys(COMMANDS).join("|")}]`);
+    return 1;
+  }
+  if (!DATABASE_URL) {
+    console.error("❌ DATABASE_URL required");
+    return 1;
+  }
+
+  const migrations = loadMigrations(MIGRATIONS_DIR);
+  const client = new pg.Client({ connectionString: DATABASE_URL });
+  await client.connect();
+  try {
+    return await COMMANDS[command](client, migrations);
+  } finally {
+    await client.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error("❌ Migration runner failed:", err.message);
+    process.exit(1);
+  });
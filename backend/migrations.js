@@ -0,0 +1,188 @@
+/* ===========================
+   Migrations
+   Numbered SQL files in supabase/migrations → ordered list + the schema they add up to,
+   and the drift between that schema and a live database
+=========================== */
+
+import { createHash } from "crypto";
+import { readdirSync, readFileSync } from "fs";
+import path from "path";
+
+const MIGRATION_FILE = /^(\d{4})_([\w-]+)\.sql$/;
+
+/**
+ * Migration files in version order
+ * @param {string} dir
+ * @returns {Array<{ version: string, name: string, file: string, sql: string, checksum: string }>}
+ */
+export function loadMigrations(dir) {
+  return readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const sql = readFileSync(path.join(dir, file), "utf8");
+      return { version, name, file, sql, checksum: createHash("sha256").update(sql).digest("hex").slice(0, 16) };
+    });
+}
+
+// information_schema.columns.data_type for the type names migrations use
+const TYPE_ALIASES = {
+  serial: "integer",
+  int: "integer",
+  int4: "integer",
+  integer: "integer",
+  bigserial: "bigint",
+  int8: "bigint",
+  bigint: "bigint",
+  bool: "boolean",
+  boolean: "boolean",
+  timestamptz: "timestamp with time zone",
+  timestamp: "timestamp without time zone",
+  float8: "double precision"
+};
+
+/**
+ * Postgres type as information_schema reports it
+ * @param {string} type - e.g. "int", "timestamptz", "numeric(10,2)", "text[]"
+ * @returns {string}
+ */
+export function normalizeType(type) {
+  const clean = String(type).toLowerCase().trim().replace(/\s+/g, " ");
+  if (clean.endsWith("[]")) return "ARRAY";
+  const base = clean.replace(/\(.*\)$/, "").trim();
+  return TYPE_ALIASES[base] || base;
+}
+
+const COLUMN_CONSTRAINT = /\s+(primary key|references|default|not null|null|unique|check|generated|constraint)\b/i;
+const unquote = name => name.trim().replace(/^"(.*)"$/, "$1");
+const columnList = list => list.split(",").map(c => unquote(c.trim().split(/\s+/)[0]));
+
+function splitTopLevel(body) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of body) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function parseColumn(definition) {
+  const match = definition.match(/^("[^"]+"|\w+)\s+(.*)$/s);
+  if (!match) return null;
+  const [, rawName, rest] = match;
+  const cut = rest.search(COLUMN_CONSTRAINT);
+  const type = (cut === -1 ? rest : rest.slice(0, cut)).trim();
+  return { name: unquote(rawName), type: normalizeType(type), primary: /\bprimary key\b/i.test(rest), unique: /\bunique\b/i.test(rest) };
+}
+
+/**
+ * Schema the migrations add up to. Understands the statements migrations here are written with:
+ * create table [if not exists], alter table ... add column [if not exists], create [unique] index [if not exists]
+ * @param {Array<string>} sqlTexts - migration bodies, in order
+ * @returns {Map<string, { columns: Map<string, string>, indexes: Array<{ columns: string[], unique: boolean }> }>}
+ */
+export function parseSchema(sqlTexts) {
+  const tables = new Map();
+  const tableOf = name => {
+    if (!tables.has(name)) tables.set(name, { columns: new Map(), indexes: [] });
+    return tables.get(name);
+  };
+
+  const statements = sqlTexts
+    .join("\n")
+    .replace(/--[^\n]*/g, "")
+    .split(";")
+    .map(s => s.trim().replace(/\s+/g, " "))
+    .filter(Boolean);
+
+  for (const statement of statements) {
+    let match;
+
+    if ((match = statement.match(/^create table (?:if not exists )?("[^"]+"|\w+) \((.*)\)$/i))) {
+      const table = tableOf(unquote(match[1]));
+      for (const part of splitTopLevel(match[2])) {
+        const constraint = part.match(/^(?:constraint \w+ )?(primary key|unique) \(([^)]+)\)/i);
+        if (constraint) {
+          table.indexes.push({ columns: columnList(constraint[2]), unique: true });
+          continue;
+        }
+        const column = parseColumn(part);
+        if (!column) continue;
+        table.columns.set(column.name, column.type);
+        if (column.primary || column.unique) table.indexes.push({ columns: [column.name], unique: true });
+      }
+    } else if ((match = statement.match(/^alter table ("[^"]+"|\w+) add column (?:if not exists )?(.*)$/i))) {
+      const column = parseColumn(match[2]);
+      if (column) tableOf(unquote(match[1])).columns.set(column.name, column.type);
+    } else if ((match = statement.match(/^create (unique )?index (?:if not exists )?\w+ on ("[^"]+"|\w+) \((.*)\)$/i))) {
+      tableOf(unquote(match[2])).indexes.push({ columns: columnList(match[3]), unique: Boolean(match[1]) });
+    }
+  }
+
+  return tables;
+}
+
+const sameColumns = (a, b) => a.length === b.length && a.every((c, i) => c === b[i]);
+
+/**
+ * Differences between the migrated schema and a live one
+ * - missing_tables / missing_columns / type_mismatches / missing_indexes: the database is behind (drift)
+ * - untracked_tables / untracked_columns: in the database but in no migration (informational)
+ * @param {Map} expected - from parseSchema
+ * @param {Map} live - same shape, read from the database
+ * @returns {object} report; `drift` is true when the database is missing anything
+ */
+export function diffSchema(expected, live) {
+  const report = {
+    missing_tables: [],
+    missing_columns: [],
+    type_mismatches: [],
+    missing_indexes: [],
+    untracked_tables: [],
+    untracked_columns: []
+  };
+
+  for (const [name, table] of expected.entries()) {
+    const actual = live.get(name);
+    if (!actual) {
+      report.missing_tables.push(name);
+      continue;
+    }
+
+    for (const [column, type] of table.columns.entries()) {
+      if (!actual.columns.has(column)) report.missing_columns.push(`${name}.${column}`);
+      else if (actual.columns.get(column) !== type) {
+        report.type_mismatches.push(`${name}.${column}: expected ${type}, found ${actual.columns.get(column)}`);
+      }
+    }
+    for (const column of actual.columns.keys()) {
+      if (!table.columns.has(column)) report.untracked_columns.push(`${name}.${column}`);
+    }
+
+    // A unique index also serves a plain one on the same columns
+    for (const index of table.indexes) {
+      const found = actual.indexes.some(i => sameColumns(i.columns, index.columns) && (i.unique || !index.unique));
+      if (!found) report.missing_indexes.push(`${name} (${index.columns.join(", ")})${index.unique ? " unique" : ""}`);
+    }
+  }
+
+  for (const name of live.keys()) {
+    if (!expected.has(name)) report.untracked_tables.push(name);
+  }
+
+  report.drift = Boolean(
+    report.missing_tables.length || report.missing_columns.length ||
+    report.type_mismatches.length || report.missing_indexes.length
+  );
+  return report;
+}
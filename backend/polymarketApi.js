@@ -0,0 +1,290 @@
+/* ===========================
+   Polymarket API Client
+   One place for Gamma / Data API requests: concurrency cap, per-host token bucket,
+   backoff with jitter (429 Retry-After honored), per-host circuit breaker, metrics
+=========================== */
+
+import fetch from "node-fetch";
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ url?: string, status?: number|null, circuitOpen?: boolean, timedOut?: boolean }} [details]
+   */
+  constructor(message, { url = null, status = null, circuitOpen = false, timedOut = false } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.url = url;
+    this.status = status;
+    this.circuitOpen = circuitOpen;
+    this.timedOut = timedOut;
+  }
+}
+
+// Network errors (timeouts included), throttling and server errors are worth another attempt; other 4xx are not
+const isRetryable = status => status == null || status === 429 || status >= 500;
+
+/**
+ * Delay asked for by a Retry-After header (seconds or an HTTP date), in ms
+ * @param {string|null} header
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+export function retryAfterMs(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(at - now, 0) : null;
+}
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, min(maxMs, baseMs × 2^attempt)]
+ * @param {number} attempt - 0 for the first retry
+ * @param {number} baseMs
+ * @param {number} maxMs
+ * @returns {number}
+ */
+export function backoffMs(attempt, baseMs, maxMs) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function} fn - (item, index) → Promise
+ * @returns {Promise<Array<{ status: "fulfilled"|"rejected", value?: any, reason?: any }>>} like Promise.allSettled
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: "fulfilled", value: await fn(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Create an API client.
+ * - `concurrency` caps requests in flight across every host
+ * - each host refills `ratePerSecond` tokens up to `burst`; a 429 pauses the whole host for Retry-After
+ * - `breakerThreshold` consecutive failures open a host's circuit for `breakerCooldownMs`;
+ *   after the cooldown one trial request decides whether it closes again
+ * - a request still unanswered after `timeoutMs` (body included) is aborted and counts as a failure
+ * @param {object} [options]
+ * @param {function} [options.fetchImpl]
+ * @param {number} [options.concurrency]
+ * @param {number} [options.ratePerSecond]
+ * @param {number} [options.burst]
+ * @param {number} [options.retries] - attempts per request, first one included
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.breakerThreshold]
+ * @param {number} [options.breakerCooldownMs]
+ * @param {number} [options.timeoutMs] - per attempt
+ * @param {object} [options.headers] - sent with every request
+ * @returns {{ getJson: function, stats: function }}
+ */
+export function createApiClient({
+  fetchImpl = fetch,
+  concurrency = 6,
+  ratePerSecond = 5,
+  burst = 10,
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30_000,
+  breakerThreshold = 5,
+  breakerCooldownMs = 60_000,
+  timeoutMs = 10_000,
+  headers = { "User-Agent": "Polymarket-Tracker/1.0", Accept: "application/json" }
+} = {}) {
+  const hosts = new Map();
+  const waiting = [];
+  let inFlight = 0;
+
+  const hostOf = url => {
+    const name = new URL(url).host;
+    if (!hosts.has(name)) {
+      hosts.set(name, {
+        name,
+        tokens: burst,
+        refilledAt: Date.now(),
+        pausedUntil: 0,
+        failures: 0,
+        openUntil: 0,
+        trialInFlight: false,
+        metrics: { requests: 0, ok: 0, failed: 0, retries: 0, rate_limited: 0, timed_out: 0, short_circuited: 0, total_ms: 0 }
+      });
+    }
+    return hosts.get(name);
+  };
+
+  async function takeToken(host) {
+    for (;;) {
+      const now = Date.now();
+      if (host.pausedUntil > now) {
+        await sleep(host.pausedUntil - now);
+        continue;
+      }
+
+      host.tokens = Math.min(burst, host.tokens + ((now - host.refilledAt) / 1000) * ratePerSecond);
+      host.refilledAt = now;
+      if (host.tokens >= 1) {
+        host.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - host.tokens) / ratePerSecond) * 1000));
+    }
+  }
+
+  async function acquireSlot() {
+    if (inFlight < concurrency) {
+      inFlight++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function releaseSlot() {
+    const nextWaiter = waiting.shift();
+    if (nextWaiter) nextWaiter(); // slot handed over, inFlight unchanged
+    else inFlight--;
+  }
+
+  // Open circuit → fail fast; past the cooldown, let exactly one trial through
+  function admit(host, url) {
+    if (!host.openUntil) return;
+    if (Date.now() < host.openUntil || host.trialInFlight) {
+      host.metrics.short_circuited++;
+      throw new ApiError(`Circuit open for ${new URL(url).host}`, { url, circuitOpen: true });
+    }
+    host.trialInFlight = true;
+  }
+
+  function recordResult(host, ok) {
+    const trial = host.trialInFlight;
+    host.trialInFlight = false;
+    if (ok) {
+      if (host.openUntil) console.log(`✅ Circuit closed for ${host.name}`);
+      host.failures = 0;
+      host.openUntil = 0;
+      return;
+    }
+    host.failures++;
+    if (trial || (!host.openUntil && host.failures >= breakerThreshold)) {
+      host.openUntil = Date.now() + breakerCooldownMs;
+      console.warn(`⚠️ Circuit opened for ${host.name} (${host.failures} consecutive failures), retrying in ${breakerCooldownMs / 1000}s`);
+    }
+  }
+
+  // One request; an OK response's body is read here too, so the timeout and the slot cover it
+  async function attempt(host, url, options) {
+    admit(host, url);
+    await takeToken(host);
+    await acquireSlot();
+
+    const started = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    host.metrics.requests++;
+    try {
+      const res = await fetchImpl(url, {
+        ...options,
+        headers: { ...headers, ...options.headers },
+        signal: controller.signal
+      });
+      const body = res.ok ? await res.json() : null;
+      return { res, body };
+    } catch (err) {
+      if (controller.signal.aborted) {
+        host.metrics.timed_out++;
+        throw new ApiError(`Timed out after ${timeoutMs}ms`, { url, timedOut: true });
+      }
+      throw new ApiError(err.message, { url });
+    } finally {
+      clearTimeout(timer);
+      host.metrics.total_ms += Date.now() - started;
+      releaseSlot();
+    }
+  }
+
+  /**
+   * GET a JSON body
+   * @param {string} url
+   * @param {{ headers?: object, retries?: number }} [options]
+   * @returns {Promise<any>}
+   * @throws {ApiError} with `status` for HTTP errors (404 included, never retried) and `circuitOpen` when short-circuited
+   */
+  async function getJson(url, { headers: extraHeaders = {}, retries: attempts = retries } = {}) {
+    const host = hostOf(url);
+    let lastError = null;
+
+    for (let i = 0; i < attempts; i++) {
+      let delay = null;
+      try {
+        const { res, body } = await attempt(host, url, { headers: extraHeaders });
+
+        if (res.ok) {
+          host.metrics.ok++;
+          recordResult(host, true);
+          return body;
+        }
+
+        lastError = new ApiError(`HTTP ${res.status}`, { url, status: res.status });
+        if (res.status === 429) {
+          host.metrics.rate_limited++;
+          delay = retryAfterMs(res.headers.get("retry-after"));
+          if (delay != null) host.pausedUntil = Math.max(host.pausedUntil, Date.now() + delay);
+        }
+      } catch (err) {
+        if (err.circuitOpen) throw err;
+        lastError = err instanceof ApiError ? err : new ApiError(err.message, { url });
+      }
+
+      if (!isRetryable(lastError.status)) {
+        // The host answered; a 4xx says nothing about its health
+        host.metrics.failed++;
+        recordResult(host, true);
+        throw lastError;
+      }
+
+      // Throttling is handled by the host pause, not the breaker
+      if (lastError.status === 429) host.trialInFlight = false;
+      else recordResult(host, false);
+
+      if (i < attempts - 1) {
+        host.metrics.retries++;
+        await sleep(delay ?? backoffMs(i, baseDelayMs, maxDelayMs));
+      }
+    }
+
+    host.metrics.failed++;
+    throw lastError;
+  }
+
+  return {
+    getJson,
+    stats: () => ({
+      in_flight: inFlight,
+      queued: waiting.length,
+      hosts: Object.fromEntries([...hosts.entries()].map(([name, h]) => [name, {
+        ...h.metrics,
+        avg_ms: h.metrics.requests ? Math.round(h.metrics.total_ms / h.metrics.requests) : 0,
+        circuit: h.openUntil ? (Date.now() < h.openUntil ? "open" : "half-open") : "closed"
+      }]))
+    })
+  };
+}
@@ -0,0 +1,173 @@
+/* ===========================
+   Position Ledger
+   Cost-basis model replayed from a wallet's fills (signal_trades rows)
+=========================== */
+
+/**
+ * Key a fill to its outcome token; older rows without a token id fall back to condition + index
+ * @param {object} fill
+ * @returns {string}
+ */
+export function positionKey(fill) {
+  return fill.asset || `${fill.condition_id}:${fill.outcome_index}`;
+}
+
+function openPosition(fill) {
+  return {
+    wallet_id: fill.wallet_id,
+    asset: positionKey(fill),
+    condition_id: fill.condition_id || null,
+    event_slug: fill.event_slug || null,
+    market_id: fill.market_id || null,
+    outcome: fill.picked_outcome || null,
+    outcome_index: fill.outcome_index ?? null,
+    shares: 0,
+    cost_basis: 0,
+    avg_entry_price: 0,
+    bought_shares: 0,
+    bought_cost: 0,
+    settled_cost: 0,
+    realized_pnl: 0,
+    current_price: null,
+    unrealized_pnl: null,
+    status: "open"
+  };
+}
+
+/**
+ * Replay fills oldest-first into per-token positions.
+ * - BUY adds shares at cost; SELL realizes against the average entry price
+ * - REDEEM settles every open token of the condition: the winner is paid, the rest go to zero.
+ *   The winner is the settled market's winning outcome; without one (market unknown, or the wallet
+ *   holds no token named after it) it falls back to the holding closest to the payout
+ * - SPLIT / MERGE are not modeled
+ * @param {Array<object>} fills - signal_trades rows for one wallet, ordered by traded_at
+ * @param {{ winner?: string|null }} [options] - winning outcome of the settled market (see marketWinner)
+ * @returns {Array<object>} positions
+ */
+export function buildPositions(fills, { winner = null } = {}) {
+  const positions = new Map();
+
+  for (const fill of fills || []) {
+    const type = fill.type || "TRADE";
+    const size = Number(fill.size) || 0;
+    const usdc = Number(fill.amount) || 0;
+
+    if (type === "TRADE") {
+      const key = positionKey(fill);
+      if (!positions.has(key)) positions.set(key, openPosition(fill));
+      const pos = positions.get(key);
+
+      if (fill.side === "SELL") {
+        const sold = Math.min(size, pos.shares);
+        if (sold <= 0) continue;
+
+        const proceeds = size > 0 ? usdc * (sold / size) : 0;
+        const cost = pos.avg_entry_price * sold;
+        pos.realized_pnl += proceeds - cost;
+        pos.cost_basis -= cost;
+        pos.shares -= sold;
+      } else {
+        pos.shares += size;
+        pos.cost_basis += usdc;
+        pos.bought_shares += size;
+        pos.bought_cost += usdc;
+      }
+
+      if (pos.shares > 0) pos.avg_entry_price = pos.cost_basis / pos.shares;
+      else pos.cost_basis = 0;
+      pos.status = pos.shares > 0 ? "open" : "closed";
+    } else if (type === "REDEEM") {
+      settleCondition([...positions.values()], fill.condition_id, usdc, winner);
+    }
+  }
+
+  return [...positions.values()];
+}
+
+function settleCondition(positions, conditionId, payout, winningOutcome) {
+  const open = positions.filter(p => p.condition_id === conditionId && p.shares > 0);
+  if (!open.length) return;
+
+  // Winning shares redeem at $1, so without a known result the winner is the holding closest to the payout
+  const named = winningOutcome
+    ? open.find(p => String(p.outcome || "").toUpperCase() === String(winningOutcome).toUpperCase())
+    : null;
+  const winner = payout > 0
+    ? named || open.reduce((best, p) => Math.abs(p.shares - payout) < Math.abs(best.shares - payout) ? p : best)
+    : null;
+
+  for (const pos of open) {
+    const proceeds = pos === winner ? payout : 0;
+    pos.realized_pnl += proceeds - pos.cost_basis;
+    pos.settled_cost += pos.cost_basis;
+    pos.current_price = pos === winner ? 1 : 0;
+    pos.unrealized_pnl = 0;
+    pos.shares = 0;
+    pos.cost_basis = 0;
+    pos.status = "settled";
+  }
+}
+
+/**
+ * Mark an open position to the current outcome price
+ * @param {object} position
+ * @param {number|null} price - 0..1, or null when unknown
+ * @returns {object} the same position
+ */
+export function markPosition(position, price) {
+  if (position.status === "settled") return position;
+  if (!Number.isFinite(price)) return position;
+
+  position.current_price = price;
+  position.unrealized_pnl = position.shares * price - position.cost_basis;
+  return position;
+}
+
+/**
+ * Stake still committed to the outcome: sells reduce it, settlement doesn't
+ * @param {object} position
+ * @returns {number}
+ */
+export function positionExposure(position) {
+  return Number(position.cost_basis || 0) + Number(position.settled_cost || 0);
+}
+
+/**
+ * Realized + unrealized PnL of a position
+ * @param {object} position
+ * @returns {number}
+ */
+export function positionPnl(position) {
+  return Number(position.realized_pnl || 0) + Number(position.unrealized_pnl || 0);
+}
+
+/**
+ * Wallet-level roll-up for the wallets table
+ * @param {Array<object>} positions - every stored position of one wallet
+ * @returns {{ avg_entry_price: number|null, avg_entry_price_live: number|null, realized_pnl: number, unrealized_pnl: number }}
+ */
+export function summarizePositions(positions) {
+  let boughtShares = 0, boughtCost = 0;
+  let openShares = 0, openCost = 0;
+  let realized = 0, unrealized = 0;
+
+  for (const pos of positions || []) {
+    boughtShares += Number(pos.bought_shares || 0);
+    boughtCost += Number(pos.bought_cost || 0);
+    realized += Number(pos.realized_pnl || 0);
+    unrealized += Number(pos.unrealized_pnl || 0);
+
+    if (Number(pos.shares) > 0) {
+      openShares += Number(pos.shares);
+      openCost += Number(pos.cost_basis || 0);
+    }
+  }
+
+  return {
+    avg_entry_price: boughtShares > 0 ? boughtCost / boughtShares : null,
+    avg_entry_price_live: openShares > 0 ? openCost / openShares : null,
+    realized_pnl: realized,
+    unrealized_pnl: unrealized
+  };
+}
@@ -0,0 +1,81 @@
+/* ===========================
+   Publishers
+   Where signals, results and recaps go out: the Telegram channel and the notes page, behind the
+   same mode switch as the data sources — live / record post for real, replay appends every message
+   and notes write to <dir>/outbox/<channel>.jsonl instead
+=========================== */
+
+import fetch from "node-fetch";
+import { appendFile, mkdir } from "fs/promises";
+import path from "path";
+
+/**
+ * Telegram bot channel
+ * @param {{ token?: string, chatId?: string, fetchImpl?: function }} options
+ * @returns {{ send: function }} send(text) → Promise<"sent"|"skipped"|"failed">; "skipped" when no bot is configured
+ */
+export function createTelegramPublisher({ token, chatId, fetchImpl = fetch }) {
+  return {
+    send: async text => {
+      if (!token || !chatId) return "skipped";
+      try {
+        const res = await fetchImpl(`https://api.telegram.org/bot${token}/sendMessage`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ chat_id: chatId, text, parse_mode: "Markdown" })
+        });
+        if (res.ok) return "sent";
+
+        const body = await res.text().catch(() => "");
+        console.error(`Telegram send failed: HTTP ${res.status} ${body}`);
+        return "failed";
+      } catch (err) {
+        console.error("Telegram send failed:", err.message);
+        return "failed";
+      }
+    }
+  };
+}
+
+/**
+ * Outbox for offline runs: each message / notes write becomes a JSON line, nothing leaves the machine
+ * @param {{ dir: string, now?: function }} options - `now` stamps each line (ms)
+ * @returns {{ telegram: { send: function }, notes: { update: function } }}
+ */
+export function createOutboxPublishers({ dir, now = Date.now }) {
+  const record = async (channel, entry) => {
+    const file = path.join(dir, "outbox", `${channel}.jsonl`);
+    await mkdir(path.dirname(file), { recursive: true });
+    await appendFile(file, `${JSON.stringify({ at: new Date(now()).toISOString(), ...entry })}\n`);
+  };
+
+  return {
+    telegram: {
+      send: async text => {
+        await record("telegram", { text });
+        return "sent";
+      }
+    },
+    notes: {
+      update: async (slug, fields) => {
+        await record("notes", { slug, fields });
+        return { data: null, error: null };
+      }
+    }
+  };
+}
+
+/**
+ * Publishers for a data-source mode
+ * @param {"live"|"record"|"replay"} mode
+ * @param {{ telegram: object, notes: object, dir?: string, now?: function }} options - `telegram` as for
+ *   createTelegramPublisher, `notes` the notes repository (storage.js); `dir` / `now` for replay
+ * @returns {{ telegram: { send: function }, notes: { update: function } }}
+ */
+export function createPublishers(mode, { telegram, notes, dir, now }) {
+  if (mode === "replay") return createOutboxPublishers({ dir, now });
+  return {
+    telegram: createTelegramPublisher(telegram),
+    notes: { update: (slug, fields) => notes.update(slug, fields) }
+  };
+}
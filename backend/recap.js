@@ -0,0 +1,213 @@
+/* ===========================
+   Performance Recaps
+   Sent picks settled in the previous day / week (Mon–Sun) / calendar month, in the tracker's timezone:
+   - Record, units won and ROI at 1 unit per pick bought at sent_price (pushes / voids refund)
+   - Per-league and per-star-tier breakdowns, best and worst picks by units
+   - Current streak and all-time record over every settled pick up to the end of the period
+=========================== */
+
+import { formatInTimeZone, fromZonedTime } from "date-fns-tz";
+import { CONFIDENCE_THRESHOLDS, getConfidenceEmoji, pickConfidence } from "./consensus.js";
+import { RESULT_EMOJIS, VOID_OUTCOMES, gradePick } from "./resolution.js";
+import { stakeReturn } from "./bankroll.js";
+
+export const RECAP_PERIODS = ["daily", "weekly", "monthly"];
+
+// First line of each period's recap; also how its previous block is found on the notes page
+export const RECAP_HEADERS = {
+  daily: "📊 DAILY RECAP",
+  weekly: "📅 WEEKLY RECAP",
+  monthly: "🗓 MONTHLY RECAP"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const isPrice = value => value != null && Number(value) > 0 && Number(value) < 1;
+const isoDay = ms => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * The last complete period before `now`, with boundaries at local midnight in `timeZone`
+ * @param {string} period - daily | weekly | monthly
+ * @param {Date} [now]
+ * @param {string} [timeZone] - IANA zone
+ * @returns {{ period: string, from: Date, to: Date, label: string }} from inclusive, to exclusive
+ */
+export function recapWindow(period, now = new Date(), timeZone = "UTC") {
+  const [year, month, day] = formatInTimeZone(now, timeZone, "yyyy-MM-dd").split("-").map(Number);
+  const today = Date.UTC(year, month - 1, day); // the local date as a UTC day, so day arithmetic never crosses a DST change
+
+  let start, end;
+  if (period === "daily") {
+    end = today;
+    start = end - DAY_MS;
+  } else if (period === "weekly") {
+    const isoWeekday = Number(formatInTimeZone(now, timeZone, "i")); // Monday = 1
+    end = today - (isoWeekday - 1) * DAY_MS;
+    start = end - 7 * DAY_MS;
+  } else if (period === "monthly") {
+    end = Date.UTC(year, month - 1, 1);
+    start = Date.UTC(year, month - 2, 1);
+  } else {
+    throw new Error(`Unknown recap period: ${period}`);
+  }
+
+  const from = fromZonedTime(`${isoDay(start)}T00:00:00`, timeZone);
+  const to = fromZonedTime(`${isoDay(end)}T00:00:00`, timeZone);
+  const lastDay = fromZonedTime(`${isoDay(end - DAY_MS)}T12:00:00`, timeZone);
+
+  const label = period === "daily"
+    ? formatInTimeZone(from, timeZone, "EEE, MMM d")
+    : period === "weekly"
+      ? `${formatInTimeZone(from, timeZone, "MMM d")} – ${formatInTimeZone(lastDay, timeZone, "MMM d")}`
+      : formatInTimeZone(from, timeZone, "MMMM yyyy");
+
+  return { period, from, to, label };
+}
+
+/**
+ * WIN / LOSS / PUSH / VOID for a pick, from its stored grade or else its resolved outcome
+ * @param {{ outcome?: string, picked_outcome?: string, resolved_outcome?: string }} pick
+ * @returns {string|null} null while unsettled
+ */
+export function recapGrade(pick) {
+  if (["WIN", "LOSS", ...VOID_OUTCOMES].includes(pick.outcome)) return pick.outcome;
+  return gradePick(pick.picked_outcome, pick.resolved_outcome);
+}
+
+function tally(entries) {
+  let wins = 0, losses = 0, pushes = 0, units = 0, risked = 0;
+  for (const { grade, units: pickUnits } of entries) {
+    if (grade === "WIN") wins++;
+    else if (grade === "LOSS") losses++;
+    else pushes++;
+
+    if (pickUnits == null) continue;
+    units += pickUnits;
+    if (grade === "WIN" || grade === "LOSS") risked++;
+  }
+  return {
+    picks: entries.length,
+    wins,
+    losses,
+    pushes,
+    hit_rate: wins + losses ? round(wins / (wins + losses), 4) : null,
+    units: round(units),
+    risked,
+    roi: risked ? round(units / risked, 4) : null
+  };
+}
+
+function groupBy(entries, keyOf, order) {
+  const groups = new Map((order || []).map(key => [key, []]));
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return [...groups.entries()]
+    .filter(([, rows]) => rows.length)
+    .map(([group, rows]) => ({ group, ...tally(rows) }));
+}
+
+function currentStreak(entries) {
+  const decided = entries.filter(e => e.grade === "WIN" || e.grade === "LOSS");
+  const last = decided.at(-1);
+  if (!last) return { result: null, length: 0 };
+  let length = 0;
+  for (let i = decided.length - 1; i >= 0 && decided[i].grade === last.grade; i--) length++;
+  return { result: last.grade, length };
+}
+
+function highlight({ pick, grade, units, tier }) {
+  return {
+    id: pick.id,
+    market_name: pick.market_name,
+    pick: pick.pick_label || pick.picked_outcome,
+    league: pick.league || "UNKNOWN",
+    tier,
+    grade,
+    sent_price: Number(pick.sent_price),
+    units
+  };
+}
+
+/**
+ * Recap of the sent picks settled inside a window
+ * @param {Array<object>} picks - sent wallet_live_picks rows with outcome, picked_outcome, resolved_outcome, resolved_at,
+ *   sent_price, league, confidence / vote_count, market_name, pick_label
+ * @param {{ period: string, from: Date, to: Date, label: string }} window - from recapWindow
+ * @param {{ highlights?: number }} [options] - best / worst picks listed
+ * @returns {object} record and units for the window plus leagues, tiers, best, worst, streak and all-time overall
+ */
+export function buildRecap(picks, window, { highlights = 3 } = {}) {
+  const from = window.from.getTime();
+  const to = window.to.getTime();
+
+  const settled = [];
+  for (const pick of picks) {
+    const grade = recapGrade(pick);
+    const at = pick.resolved_at ? new Date(pick.resolved_at).getTime() : NaN;
+    if (!grade || !Number.isFinite(at) || at >= to) continue;
+
+    const units = isPrice(pick.sent_price) ? round(stakeReturn(grade, 1, Number(pick.sent_price))) : null;
+    settled.push({ pick, grade, at, units, tier: getConfidenceEmoji(pickConfidence(pick)) });
+  }
+  settled.sort((a, b) => a.at - b.at);
+
+  const inWindow = settled.filter(e => e.at >= from);
+  const priced = inWindow.filter(e => e.units != null && (e.grade === "WIN" || e.grade === "LOSS"));
+  // Ties (every loss is -1u) go to the more confident pick
+  const best = [...priced].sort((a, b) => b.units - a.units || pickConfidence(b.pick) - pickConfidence(a.pick));
+  const worst = [...priced].sort((a, b) => a.units - b.units || pickConfidence(b.pick) - pickConfidence(a.pick));
+
+  return {
+    ...window,
+    ...tally(inWindow),
+    unpriced: inWindow.filter(e => e.units == null).length,
+    leagues: groupBy(inWindow, e => e.pick.league || "UNKNOWN").sort((a, b) => b.units - a.units),
+    tiers: groupBy(inWindow, e => e.tier, Object.keys(CONFIDENCE_THRESHOLDS)),
+    best: best.filter(e => e.units > 0).slice(0, highlights).map(highlight),
+    worst: worst.filter(e => e.units < 0).slice(0, highlights).map(highlight),
+    streak: currentStreak(settled),
+    overall: tally(settled)
+  };
+}
+
+const signedUnits = value => `${value >= 0 ? "+" : ""}${(value ?? 0).toFixed(2)}u`;
+const signedPct = value => (value == null ? "—" : `${value >= 0 ? "+" : ""}${(value * 100).toFixed(1)}%`);
+const record = s => `${s.wins}-${s.losses}-${s.pushes}`;
+const groupLine = s => `${s.group}: ${record(s)} · ${signedUnits(s.units)} (${signedPct(s.roi)})`;
+
+/**
+ * Telegram / notes text for a recap; no blank lines, so the block can be found and replaced on the notes page
+ * @param {object} recap - from buildRecap
+ * @returns {string}
+ */
+export function formatRecap(recap) {
+  const lines = [`${RECAP_HEADERS[recap.period]} — ${recap.label}`];
+
+  if (!recap.picks) {
+    lines.push("No picks settled.");
+  } else {
+    const hit = recap.hit_rate == null ? "" : ` (${(recap.hit_rate * 100).toFixed(0)}% hit)`;
+    lines.push(`Record: ${RESULT_EMOJIS.WIN} ${recap.wins} - ${RESULT_EMOJIS.LOSS} ${recap.losses} - ${RESULT_EMOJIS.PUSH} ${recap.pushes}${hit}`);
+    lines.push(`Units: ${signedUnits(recap.units)} on ${recap.risked}u risked · ROI ${signedPct(recap.roi)}` +
+      (recap.unpriced ? ` · ${recap.unpriced} without a price` : ""));
+
+    lines.push("🏟 By league");
+    lines.push(...recap.leagues.map(groupLine));
+    lines.push("⭐ By tier");
+    lines.push(...recap.tiers.map(groupLine));
+
+    const pickLine = h => `${signedUnits(h.units)} ${RESULT_EMOJIS[h.grade]} ${h.pick} — ${h.market_name} (${h.league}, ${h.tier}) @ ${h.sent_price.toFixed(2)}`;
+    if (recap.best.length) lines.push("🏆 Best", ...recap.best.map(pickLine));
+    if (recap.worst.length) lines.push("💀 Worst", ...recap.worst.map(pickLine));
+  }
+
+  const { result, length } = recap.streak;
+  if (result) lines.push(`${result === "WIN" ? "🔥" : "🧊"} Streak: ${result === "WIN" ? "W" : "L"}${length}`);
+  lines.push(`📈 Overall: ${record(recap.overall)} · ${signedUnits(recap.overall.units)} (${signedPct(recap.overall.roi)})`);
+
+  return lines.join("\n");
+}
@@ -0,0 +1,276 @@
+/* ===========================
+   Resolution Engine
+   Pending markets → one fetch each per cycle → signals + live picks graded together
+=========================== */
+
+import { parseList } from "./marketLines.js";
+
+const ID_CHUNK = 200;
+
+// UMA oracle states in which a proposed result can still be overturned
+const UNSETTLED_UMA_STATUSES = new Set(["proposed", "disputed", "challenged"]);
+
+// Grades that hand the stake back instead of winning or losing it
+export const VOID_OUTCOMES = ["PUSH", "VOID"];
+
+// Grade → emoji in result posts, notes and recaps
+export const RESULT_EMOJIS = { WIN: "✅", LOSS: "❌", PUSH: "↩️", VOID: "🚫", Pending: "⚪" };
+
+/**
+ * True while Gamma's UMA resolution status says the result is not final
+ * @param {string|null|undefined} status - market.umaResolutionStatus
+ * @returns {boolean}
+ */
+export function isUnsettledUmaStatus(status) {
+  return UNSETTLED_UMA_STATUSES.has(String(status || "").toLowerCase());
+}
+
+/**
+ * How a market settled.
+ * - disputed: UMA has a proposal or dispute open — never graded until it clears
+ * - won: a settled price of 1 names the winner (any number of outcomes)
+ * - push: closed at an even split, how cancelled / postponed games settle (50/50)
+ * - void: closed as resolved with nothing paid out
+ * - open: none of the above; a final score still decides two-way moneyline markets (never spreads or totals,
+ *   whose result depends on the line, not just who won)
+ * @param {object|null} market - Gamma market
+ * @param {{ scoreFallback?: boolean }} [options] - false: settled prices only
+ * @returns {{ state: "open"|"disputed"|"won"|"push"|"void", winner: string|null }}
+ */
+export function marketSettlement(market, { scoreFallback = true } = {}) {
+  const open = { state: "open", winner: null };
+  if (!market) return open;
+  if (isUnsettledUmaStatus(market.umaResolutionStatus)) return { state: "disputed", winner: null };
+
+  const outcomes = parseList(market.outcomes);
+  const prices = parseList(market.outcomePrices).map(Number);
+
+  if (market.closed && outcomes.length && prices.length === outcomes.length) {
+    const winnerIndex = prices.findIndex(p => p === 1);
+    if (winnerIndex !== -1) return { state: "won", winner: outcomes[winnerIndex] };
+
+    const paid = prices.filter(p => p > 0);
+    if (paid.length > 1 && paid.every(p => Math.abs(p - paid[0]) < 0.01)) return { state: "push", winner: null };
+    if (!paid.length && String(market.umaResolutionStatus || "").toLowerCase() === "resolved") {
+      return { state: "void", winner: null };
+    }
+  }
+
+  if (!scoreFallback) return open;
+  const event = market.events?.[0];
+  const moneyline = String(market.sportsMarketType || "").toLowerCase() === "moneyline";
+  if (!moneyline || outcomes.length !== 2 || !event?.ended || !event.score) return open;
+  const [score0, score1] = event.score.split("-").map(s => Number(s.trim()));
+  if (!Number.isFinite(score0) || !Number.isFinite(score1) || score0 === score1) return open;
+  return { state: "won", winner: score0 > score1 ? outcomes[0] : outcomes[1] };
+}
+
+/**
+ * Winning outcome of a settled market, or null while it is open, disputed, pushed or void
+ * @param {object|null} market
+ * @returns {string|null}
+ */
+export function marketWinner(market) {
+  const { state, winner } = marketSettlement(market);
+  return state === "won" ? winner : null;
+}
+
+/**
+ * Grade a pick against the market result (a winning outcome, or PUSH / VOID)
+ * @param {string|null} pickedOutcome
+ * @param {string|null} resolvedOutcome
+ * @returns {"WIN"|"LOSS"|"PUSH"|"VOID"|null} null while unresolved
+ */
+export function gradePick(pickedOutcome, resolvedOutcome) {
+  if (!resolvedOutcome) return null;
+  if (VOID_OUTCOMES.includes(resolvedOutcome)) return resolvedOutcome;
+  return pickedOutcome === resolvedOutcome ? "WIN" : "LOSS";
+}
+
+// Live picks fall back to "UNKNOWN" when the market had no slug
+const slugOf = row => (row.event_slug && row.event_slug !== "UNKNOWN" ? row.event_slug : null);
+
+async function rowsOf(label, read) {
+  const { data, error } = await read;
+  if (error) throw new Error(`${label}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Pending signals and live picks, grouped by the market they settle on
+ * @param {Array<object>} signals
+ * @param {Array<object>} picks
+ * @returns {Array<object>} one entry per market
+ */
+export function groupPendingByMarket(signals, picks) {
+  const markets = new Map();
+
+  const add = (row, list, startsAt) => {
+    const key = slugOf(row) || row.market_id;
+    if (!key) return;
+    if (!markets.has(key)) {
+      markets.set(key, { key, event_slug: null, market_id: null, polymarket_id: null, starts_at: null, signals: [], picks: [] });
+    }
+    const market = markets.get(key);
+    market.event_slug ??= slugOf(row);
+    market.market_id ??= row.market_id || null;
+    market.polymarket_id ??= row.polymarket_id || null;
+    if (startsAt && (!market.starts_at || new Date(startsAt) < new Date(market.starts_at))) market.starts_at = startsAt;
+    market[list].push(row);
+  };
+
+  for (const sig of signals) add(sig, "signals", sig.event_start_at);
+  for (const pick of picks) add(pick, "picks", pick.gameStartTime);
+
+  return [...markets.values()];
+}
+
+// repository: storage.signals / storage.livePicks (updateByIds), `table` names it in logs
+async function writeGrades(repository, table, rows, fields) {
+  const idsByGrade = new Map();
+  for (const { id, outcome } of rows) {
+    if (!idsByGrade.has(outcome)) idsByGrade.set(outcome, []);
+    idsByGrade.get(outcome).push(id);
+  }
+
+  let written = 0;
+  for (const [outcome, ids] of idsByGrade.entries()) {
+    for (let i = 0; i < ids.length; i += ID_CHUNK) {
+      const chunk = ids.slice(i, i + ID_CHUNK);
+      const { error } = await repository.updateByIds(chunk, { ...fields, outcome });
+      if (error) {
+        console.error(`❌ Failed grading ${chunk.length} ${table} row(s):`, error.message);
+        continue;
+      }
+      written += chunk.length;
+    }
+  }
+  return written;
+}
+
+async function fetchSettlement(fetchMarket, entry, normalizeOutcome) {
+  let market;
+  try {
+    market = await fetchMarket(entry);
+  } catch (err) {
+    console.error(`❌ Failed fetching market ${entry.key}:`, err.message);
+    return null;
+  }
+
+  const settlement = marketSettlement(market);
+  const winner = settlement.state === "won"
+    ? normalizeOutcome(settlement.winner, market)
+    : settlement.state === "push" || settlement.state === "void" ? settlement.state.toUpperCase() : null;
+
+  return { market, state: settlement.state, winner };
+}
+
+const SIGNAL_COLUMNS = "id, market_id, polymarket_id, event_slug, picked_outcome, event_start_at";
+const PICK_COLUMNS = "id, market_id, polymarket_id, event_slug, picked_outcome, gameStartTime";
+
+/**
+ * Run one resolution cycle.
+ * - Only rows still pending are read; markets whose game hasn't started are skipped
+ * - Each market is fetched once, then its signals and existing live picks are graded in bulk
+ * - Disputed markets stay pending; pushed / void markets grade every pick PUSH / VOID
+ * - Markets graded within `recheckHours` are fetched again with the remaining budget; a final result
+ *   that differs from the stored grade (score fix, overturned proposal) re-grades the rows in place
+ * - Live picks are never created here — rebuildWalletLivePicks owns them
+ * @param {{ signals: object, livePicks: object }} storage - repositories (storage.js)
+ * @param {object} deps
+ * @param {function} deps.fetchMarket - ({ event_slug, market_id, polymarket_id }) → fresh Gamma market
+ * @param {function} deps.normalizeOutcome - (outcome, market) → canonical outcome name
+ * @param {number} [deps.maxMarkets] - markets fetched per cycle; the rest wait for the next one
+ * @param {number} [deps.recheckHours] - how long a graded market keeps being re-checked (0 = never)
+ * @param {function} [deps.now] - clock (ms)
+ * @returns {Promise<object>} counts: pending, checked, resolved, disputed, regraded, signals, picks
+ */
+export async function runResolutionCycle(storage, { fetchMarket, normalizeOutcome, maxMarkets = 200, recheckHours = 48, now: clock = Date.now }) {
+  const summary = { pending: 0, checked: 0, resolved: 0, disputed: 0, regraded: 0, signals: 0, picks: 0 };
+  const recheckSince = new Date(clock() - recheckHours * 60 * 60 * 1000).toISOString();
+  const noRows = Promise.resolve([]);
+
+  const [signals, picks, gradedSignals, gradedPicks] = await Promise.all([
+    rowsOf("signals", storage.signals.listPending(SIGNAL_COLUMNS)),
+    rowsOf("wallet_live_picks", storage.livePicks.listUnresolved(PICK_COLUMNS)),
+    recheckHours > 0
+      ? rowsOf("signals", storage.signals.listGradedSince(recheckSince, `${SIGNAL_COLUMNS}, outcome, resolved_outcome`))
+      : noRows,
+    recheckHours > 0
+      ? rowsOf("wallet_live_picks", storage.livePicks.listGradedSince(recheckSince, `${PICK_COLUMNS}, outcome, resolved_outcome`))
+      : noRows
+  ]);
+
+  const now = clock();
+  const markets = groupPendingByMarket(signals, picks)
+    .filter(m => !m.starts_at || new Date(m.starts_at).getTime() <= now)
+    .sort((a, b) => {
+      if (!a.starts_at) return 1;
+      if (!b.starts_at) return -1;
+      return new Date(a.starts_at) - new Date(b.starts_at);
+    });
+  summary.pending = markets.length;
+
+  for (const pending of markets.slice(0, maxMarkets)) {
+    summary.checked++;
+
+    const settled = await fetchSettlement(fetchMarket, pending, normalizeOutcome);
+    if (!settled) continue;
+
+    if (settled.state === "disputed") {
+      summary.disputed++;
+      console.log(`⚖️ ${pending.key}: UMA resolution disputed, holding ${pending.signals.length + pending.picks.length} pick(s)`);
+      continue;
+    }
+    if (!settled.winner) continue;
+
+    const { market, winner } = settled;
+    const grade = row => gradePick(normalizeOutcome(row.picked_outcome, market), winner);
+    const resolvedAt = new Date(clock()).toISOString();
+
+    summary.signals += await writeGrades(
+      storage.signals,
+      "signals",
+      pending.signals.map(sig => ({ id: sig.id, outcome: grade(sig) })),
+      { resolved_outcome: winner, outcome_at: resolvedAt, resolved_at: resolvedAt, updated_at: resolvedAt }
+    );
+    summary.picks += await writeGrades(
+      storage.livePicks,
+      "wallet_live_picks",
+      pending.picks.map(pick => ({ id: pick.id, outcome: grade(pick) })),
+      { resolved_outcome: winner, resolved_at: resolvedAt }
+    );
+
+    summary.resolved++;
+    console.log(`✅ Resolved ${pending.key}: ${winner}`);
+  }
+
+  // --- Re-check recently graded markets; only a final, different result rewrites a grade ---
+  const pendingKeys = new Set(markets.map(m => m.key));
+  const graded = groupPendingByMarket(gradedSignals, gradedPicks).filter(m => !pendingKeys.has(m.key));
+
+  for (const entry of graded.slice(0, Math.max(maxMarkets - summary.checked, 0))) {
+    summary.checked++;
+
+    const settled = await fetchSettlement(fetchMarket, entry, normalizeOutcome);
+    if (!settled?.winner) continue;
+
+    const { market, winner } = settled;
+    const changed = rows => rows
+      .map(row => ({ id: row.id, outcome: gradePick(normalizeOutcome(row.picked_outcome, market), winner), row }))
+      .filter(({ outcome, row }) => outcome !== row.outcome || row.resolved_outcome !== winner);
+
+    const changedSignals = changed(entry.signals);
+    const changedPicks = changed(entry.picks);
+    if (!changedSignals.length && !changedPicks.length) continue;
+
+    // resolved_at stays put: the pick still belongs to the day it first settled
+    summary.signals += await writeGrades(storage.signals, "signals", changedSignals, { resolved_outcome: winner, updated_at: new Date(clock()).toISOString() });
+    summary.picks += await writeGrades(storage.livePicks, "wallet_live_picks", changedPicks, { resolved_outcome: winner });
+
+    summary.regraded++;
+    console.log(`♻️ Re-graded ${entry.key}: now ${winner} (${changedSignals.length} signal(s), ${changedPicks.length} live pick(s))`);
+  }
+
+  return summary;
+}
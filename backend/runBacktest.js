@@ -0,0 +1,154 @@
+/* ===========================
+   Backtest Command
+   node runBacktest.js [--min-wallets 5,8,12] [--hedge 1,1.05,1.2] [--min-stars 1,2]
+                       [--thresholds 33,53,71,83,89/30,50,70,80,90] [--since 2026-01-01] [--json]
+   Reads history through the same storage as the tracker (STORAGE_BACKEND, SUPABASE_*, STORAGE_SEED_FILE; memory under replay)
+   and never writes; results go to stdout
+=========================== */
+
+import { CONFIDENCE_THRESHOLDS, HEDGE_RATIO } from "./consensus.js";
+import { expandGrid, runBacktest } from "./backtest.js";
+import { positionExposure } from "./positionLedger.js";
+import { createStorage, storageBackendFor } from "./storage.js";
+
+const MIN_WALLETS_FOR_SIGNAL = parseInt(process.env.MIN_WALLETS_FOR_SIGNAL || "8", 10);
+const EARLY_SIGNAL_MIN_JOINERS = parseInt(process.env.EARLY_SIGNAL_MIN_JOINERS || "3", 10);
+
+// The tracker's pause rule, replayed point in time
+const PAUSE_RULE = {
+  windowDays: parseInt(process.env.WALLET_RATING_PAUSE_WINDOW || "30", 10),
+  threshold: parseFloat(process.env.WALLET_RATING_THRESHOLD || "0.5"),
+  minPicks: parseInt(process.env.WALLET_RATING_MIN_PICKS || "5", 10),
+  priorStrength: parseInt(process.env.WALLET_RATING_PRIOR_STRENGTH || "20", 10),
+  credibleMass: parseFloat(process.env.WALLET_RATING_CREDIBLE_MASS || "0.9"),
+  intervalMinutes: parseInt(process.env.WALLET_RATING_INTERVAL_MINUTES || "60", 10)
+};
+const TIERS = Object.keys(CONFIDENCE_THRESHOLDS);
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith("--")) throw new Error(`Unexpected argument: ${flag}`);
+    const name = flag.slice(2);
+    if (name === "json") args.json = true;
+    else args[name] = argv[++i];
+  }
+  return args;
+}
+
+const numbers = (value, fallback) => (value ? value.split(",").map(Number).filter(Number.isFinite) : [fallback]);
+
+// "33,53,71,83,89/30,50,70,80,90" → one thresholds object per set
+function thresholdSets(value) {
+  if (!value) return [CONFIDENCE_THRESHOLDS];
+  return value.split("/").map(set => {
+    const values = set.split(",").map(Number);
+    if (values.length !== TIERS.length || values.some(v => !Number.isFinite(v))) {
+      throw new Error(`--thresholds needs ${TIERS.length} numbers per set, got "${set}"`);
+    }
+    return Object.fromEntries(TIERS.map((tier, i) => [tier, values[i]]));
+  });
+}
+
+async function loadHistory(storage, since) {
+  const { data: signals, error } = await storage.signals.listAll();
+  if (error) throw new Error(`Failed fetching signals: ${error.message}`);
+
+  const { data: positions, error: positionsError } = await storage.exposure.listPositions("wallet_id, event_slug, outcome, cost_basis, settled_cost");
+  if (positionsError) throw new Error(`Failed fetching positions: ${positionsError.message}`);
+
+  const eventTotals = new Map();
+  for (const pos of positions) {
+    if (!pos.outcome) continue;
+    const key = `${pos.wallet_id}||${pos.event_slug}`;
+    if (!eventTotals.has(key)) eventTotals.set(key, {});
+    const totals = eventTotals.get(key);
+    totals[pos.outcome] = (totals[pos.outcome] || 0) + positionExposure(pos);
+  }
+
+  // Votes count from when a wallet was added; wallets still backfilling never voted
+  const { data: wallets, error: walletsError } = await storage.wallets.list();
+  if (walletsError) throw new Error(`Failed fetching wallets: ${walletsError.message}`);
+  const trackedSince = new Map((wallets || []).map(w => [
+    w.id,
+    w.backfill_complete === false ? Infinity : Date.parse(w.created_at || "") || -Infinity
+  ]));
+
+  const { data: segmentRows, error: segmentError } = await storage.analytics.listSegmentEdges();
+  if (segmentError) throw new Error(`Failed fetching segment stats: ${segmentError.message}`);
+  const { data: clusterRows, error: clusterError } = await storage.analytics.listClusterMembers();
+  if (clusterError) throw new Error(`Failed fetching clusters: ${clusterError.message}`);
+  const { data: leadRows, error: leadError } = await storage.analytics.listRoles();
+  if (leadError) throw new Error(`Failed fetching lead-lag roles: ${leadError.message}`);
+
+  const sinceAt = since ? new Date(since).getTime() : null;
+  if (since && !Number.isFinite(sinceAt)) throw new Error(`Invalid --since: ${since}`);
+
+  return {
+    signals: sinceAt == null ? signals : signals.filter(s => new Date(s.entered_at || s.created_at).getTime() >= sinceAt),
+    eventTotals,
+    segmentStats: new Map((segmentRows || []).map(r => [`${r.wallet_id}|${r.league}|${r.market_type}`, r])),
+    clusterOf: new Map((clusterRows || []).map(r => [r.wallet_id, r.cluster_id])),
+    roleOf: new Map((leadRows || []).map(r => [r.wallet_id, r.role])),
+    trackedSince,
+    pauseRule: PAUSE_RULE
+  };
+}
+
+const pct = value => (value == null ? "—" : `${(value * 100).toFixed(1)}%`);
+
+function describe(params) {
+  const thresholds = TIERS.map(t => params.thresholds[t]).join("/");
+  return `min ${params.minWallets} · hedge ${params.hedgeRatio} · ${TIERS[params.minStars - 1]}+ · tiers ${thresholds}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = createStorage(storageBackendFor(process.env.STORAGE_BACKEND, process.env.DATA_SOURCE_MODE), {
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    seedFile: process.env.STORAGE_SEED_FILE || null
+  });
+
+  const paramSets = expandGrid({
+    minWallets: numbers(args["min-wallets"], MIN_WALLETS_FOR_SIGNAL),
+    hedgeRatio: numbers(args.hedge, HEDGE_RATIO),
+    minStars: numbers(args["min-stars"], 1).filter(n => n >= 1 && n <= TIERS.length),
+    thresholds: thresholdSets(args.thresholds),
+    earlyMinJoiners: [EARLY_SIGNAL_MIN_JOINERS]
+  });
+  if (!paramSets.length) throw new Error("Empty parameter grid");
+
+  const history = await loadHistory(storage, args.since);
+  console.error(`🧪 Backtesting ${paramSets.length} parameter set(s) over ${history.signals.length} signal(s)`);
+  const results = runBacktest(history, paramSets);
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(({ params, summary, tiers }) => ({ params, summary, tiers })), null, 2));
+    return;
+  }
+
+  console.table(results.map(({ params, summary }) => ({
+    set: describe(params),
+    picks: summary.picks,
+    "W-L-P": `${summary.wins}-${summary.losses}-${summary.pushes}`,
+    pending: summary.pending,
+    "win %": pct(summary.win_rate),
+    units: summary.units,
+    roi: pct(summary.roi),
+    "max DD": summary.max_drawdown
+  })));
+
+  for (const { params, tiers } of results) {
+    console.log(`\n${describe(params)}`);
+    for (const [tier, s] of Object.entries(tiers)) {
+      console.log(`   ${tier.padEnd(6)} ${s.picks} picks · ${s.wins}-${s.losses}-${s.pushes} · win ${pct(s.win_rate)} · ROI ${pct(s.roi)} · DD ${s.max_drawdown}u`);
+    }
+  }
+}
+
+main().catch(err => {
+  console.error("❌ Backtest failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+/* ===========================
+   Calibration Report
+   node runCalibration.js [--since 2026-01-01] [--min-picks 10] [--mass 0.9] [--json]
+   Hit rate vs. implied probability of graded sent picks by star tier and vote count (see calibration.js); read-only
+=========================== */
+
+import { calibrationReport, formatCalibrationRows } from "./calibration.js";
+import { createStorage, storageBackendFor } from "./storage.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith("--")) throw new Error(`Unexpected argument: ${flag}`);
+    const name = flag.slice(2);
+    if (name === "json") args.json = true;
+    else args[name] = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = createStorage(storageBackendFor(process.env.STORAGE_BACKEND, process.env.DATA_SOURCE_MODE), {
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    seedFile: process.env.STORAGE_SEED_FILE || null
+  });
+
+  const { data: sent, error } = await storage.livePicks.listSent("id, outcome, confidence, vote_count, sent_price, signal_sent_at");
+  if (error) throw new Error(`Failed fetching sent picks: ${error.message}`);
+
+  const sinceAt = args.since ? new Date(args.since).getTime() : null;
+  if (args.since && !Number.isFinite(sinceAt)) throw new Error(`Invalid --since: ${args.since}`);
+  const picks = sinceAt == null ? sent : sent.filter(p => new Date(p.signal_sent_at).getTime() >= sinceAt);
+
+  const report = calibrationReport(picks, {
+    minPicks: parseInt(args["min-picks"] || process.env.CALIBRATION_MIN_PICKS || "10", 10),
+    credibleMass: parseFloat(args.mass || process.env.CALIBRATION_CREDIBLE_MASS || "0.9")
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log("🎯 CALIBRATION BY STAR TIER");
+  for (const row of formatCalibrationRows(report.tiers)) console.log(`   ${row}`);
+  console.log("\n🎯 CALIBRATION BY VOTE COUNT");
+  for (const row of formatCalibrationRows(report.voteCounts)) console.log(`   ${row}`);
+
+  const flagged = [...report.tiers, ...report.voteCounts].filter(r => r.miscalibrated);
+  console.log(flagged.length ? `\n⚠️ ${flagged.length} miscalibrated group(s)` : "\n✅ No miscalibrated groups");
+}
+
+main().catch(err => {
+  console.error("❌ Calibration report failed:", err.message);
+  process.exit(1);
+});
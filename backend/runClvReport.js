@@ -0,0 +1,70 @@
+/* ===========================
+   Closing Line Value Report
+   node runClvReport.js [--since 2026-01-01] [--wallets 20] [--json]
+   CLV of sent picks overall, per star tier and per wallet (see clv.js); read-only
+=========================== */
+
+import { clvReport } from "./clv.js";
+import { createStorage, storageBackendFor } from "./storage.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith("--")) throw new Error(`Unexpected argument: ${flag}`);
+    const name = flag.slice(2);
+    if (name === "json") args.json = true;
+    else args[name] = argv[++i];
+  }
+  return args;
+}
+
+const points = value => (value == null ? "—" : `${value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}¢`);
+const pct = value => (value == null ? "—" : `${value >= 0 ? "+" : ""}${(value * 100).toFixed(1)}%`);
+const line = s => `${s.picks} picks · avg CLV ${points(s.avg_clv)} (${pct(s.avg_clv_pct)}) · beat close ${s.beat_close_rate == null ? "—" : `${(s.beat_close_rate * 100).toFixed(0)}%`}`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = createStorage(storageBackendFor(process.env.STORAGE_BACKEND, process.env.DATA_SOURCE_MODE), {
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    seedFile: process.env.STORAGE_SEED_FILE || null
+  });
+
+  const { data: sent, error } = await storage.livePicks.listSent(
+    "id, market_id, picked_outcome, wallets, confidence, vote_count, signal_sent_at, sent_price, start_price"
+  );
+  if (error) throw new Error(`Failed fetching sent picks: ${error.message}`);
+
+  const sinceAt = args.since ? new Date(args.since).getTime() : null;
+  if (args.since && !Number.isFinite(sinceAt)) throw new Error(`Invalid --since: ${args.since}`);
+  const picks = sent.filter(p => p.start_price != null && (sinceAt == null || new Date(p.signal_sent_at).getTime() >= sinceAt));
+
+  const { data: signals, error: signalsError } = await storage.signals.listByMarkets([...new Set(picks.map(p => p.market_id))]);
+  if (signalsError) throw new Error(`Failed fetching signals: ${signalsError.message}`);
+
+  const report = clvReport(picks, signals);
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const walletLimit = parseInt(args.wallets || "20", 10);
+  console.log(`📈 CLOSING LINE VALUE (${sent.length} sent, ${picks.length} with a closing line)`);
+  console.log(`Overall: ${line(report.overall)}`);
+  for (const [tier, s] of Object.entries(report.tiers)) {
+    if (s.picks) console.log(`   ${tier.padEnd(6)} ${line(s)}`);
+  }
+
+  if (!report.wallets.length) return;
+  console.log(`\nWallets (entry vs. closing line), best first:`);
+  const shown = report.wallets.length > walletLimit * 2
+    ? [...report.wallets.slice(0, walletLimit), null, ...report.wallets.slice(-walletLimit)]
+    : report.wallets;
+  for (const w of shown) console.log(w ? `   #${w.wallet_id} ${line(w)}` : "   …");
+}
+
+main().catch(err => {
+  console.error("❌ CLV report failed:", err.message);
+  process.exit(1);
+});
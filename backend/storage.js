@@ -0,0 +1,298 @@
+/* ===========================
+   Storage
+   Repositories for wallets, signals, trades, live picks, notes, exposure, wallet analytics, reports, sync cursors and
+   scanner results over one db client: Supabase (hosted) or memoryDb (local / tests).
+   Every method resolves to Supabase's { data, error }
+=========================== */
+
+import { createClient } from "@supabase/supabase-js";
+import { readFileSync } from "fs";
+import { createMemoryDb } from "./memoryDb.js";
+
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+
+// Supabase caps a select at 1000 rows — page until a short page comes back
+async function selectAllRows(buildQuery, pageSize = PAGE_SIZE) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return { data: rows, error: null };
+  }
+}
+
+// `.in()` filters go in the URL, so long id lists are split; `filter` narrows each chunk's query further
+async function selectInChunks(db, table, columns, column, values, filter = query => query) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += ID_CHUNK) {
+    const chunk = values.slice(i, i + ID_CHUNK);
+    const { data, error } = await selectAllRows(() => filter(db.from(table).select(columns).in(column, chunk)).order("id"));
+    if (error) return { data: null, error };
+    rows.push(...data);
+  }
+  return { data: rows, error: null };
+}
+
+function walletRepository(db) {
+  return {
+    list: () => db.from("wallets").select("*"),
+    findByProxy: proxyWallet => db.from("wallets").select("id").eq("polymarket_proxy_wallet", proxyWallet).maybeSingle(),
+    insert: row => db.from("wallets").insert(row).select("*").maybeSingle(),
+    update: (id, fields) => db.from("wallets").update(fields).eq("id", id),
+    // Still backfilling history, or paused by their rating
+    listNonVoting: () => db.from("wallets").select("id").or("backfill_complete.eq.false,paused.eq.true")
+  };
+}
+
+function signalRepository(db) {
+  return {
+    hasAny: async () => {
+      const { data, error } = await db.from("signals").select("id").limit(1);
+      return { data: Boolean(data?.length), error };
+    },
+    listAll: () => selectAllRows(() => db.from("signals").select("*").order("id")),
+    listChangedSince: cursor => selectAllRows(() => db.from("signals").select("id, market_id").gte("updated_at", cursor).order("id")),
+    listByMarkets: marketIds => selectInChunks(db, "signals", "*", "market_id", marketIds),
+    listByWallets: (walletIds, columns) => selectInChunks(db, "signals", columns, "wallet_id", walletIds),
+    listForWalletEvent: (walletId, eventSlug, { columns, outcomes }) => db
+      .from("signals")
+      .select(columns)
+      .eq("wallet_id", walletId)
+      .eq("event_slug", eventSlug)
+      .in("outcome", outcomes),
+    // Graded picks of one wallet, optionally within an outcome_at window, most recent first
+    listGradedForWallet: (walletId, { columns, outcomes, from = null, to = null, limit = null }) => {
+      let query = db.from("signals").select(columns).eq("wallet_id", walletId).in("outcome", outcomes);
+      if (from) query = query.gte("outcome_at", from);
+      if (to) query = query.lte("outcome_at", to);
+      query = query.order("outcome_at", { ascending: false });
+      return limit ? query.limit(limit) : query;
+    },
+    listForWalletSince: (walletId, since, columns) => db
+      .from("signals")
+      .select(columns)
+      .eq("wallet_id", walletId)
+      .gte("created_at", since),
+    listGraded: ({ columns, outcomes, walletIds = null, since = null }) => selectAllRows(() => {
+      let query = db.from("signals").select(columns).in("outcome", outcomes);
+      if (walletIds) query = query.in("wallet_id", walletIds);
+      if (since) query = query.gte("outcome_at", since);
+      return query.order("id");
+    }),
+    // Entry rows for clustering / lead-lag
+    listEntries: ({ timedOnly = false } = {}) => selectAllRows(() => {
+      const query = db.from("signals").select("wallet_id, market_id, picked_outcome, entered_at");
+      return (timedOnly ? query.not("entered_at", "is", null) : query).order("id");
+    }),
+    // Resolution engine: signals still pending, and signals graded since `since` (re-checked for corrections)
+    listPending: columns => selectAllRows(() => db.from("signals").select(columns).ilike("outcome", "pending").order("id")),
+    listGradedSince: (since, columns) => selectAllRows(() => db
+      .from("signals")
+      .select(columns)
+      .not("resolved_outcome", "is", null)
+      .gte("resolved_at", since)
+      .order("id")),
+    updateByIds: (ids, fields) => db.from("signals").update(fields).in("id", ids),
+    upsert: rows => db.from("signals").upsert(rows, { onConflict: ["wallet_id", "event_slug", "picked_outcome"] }),
+    updatePick: (walletId, eventSlug, pickedOutcome, fields) => db
+      .from("signals")
+      .update(fields)
+      .eq("wallet_id", walletId)
+      .eq("event_slug", eventSlug)
+      .eq("picked_outcome", pickedOutcome),
+    // A wallet holds one net pick per event: drop its other sides
+    deleteOtherPicks: (walletId, eventSlug, keepOutcome) => db
+      .from("signals")
+      .delete()
+      .eq("wallet_id", walletId)
+      .eq("event_slug", eventSlug)
+      .neq("picked_outcome", keepOutcome),
+    fillMissingSegment: (eventSlug, fields) => db.from("signals").update(fields).eq("event_slug", eventSlug).is("league", null)
+  };
+}
+
+// Fills behind each signal (signal_trades), keyed on wallet + transaction hash + log index
+function tradeRepository(db) {
+  return {
+    listForTransactions: (walletId, txHashes, columns) =>
+      selectInChunks(db, "signal_trades", columns, "tx_hash", txHashes, query => query.eq("wallet_id", walletId)),
+    listForEvent: (walletId, eventSlug) => db
+      .from("signal_trades")
+      .select("*")
+      .eq("wallet_id", walletId)
+      .eq("event_slug", eventSlug)
+      .order("traded_at", { ascending: true }),
+    // Fills already stored are left as they are
+    insertNew: rows => db.from("signal_trades").upsert(rows, { onConflict: ["wallet_id", "tx_hash", "log_index"], ignoreDuplicates: true })
+  };
+}
+
+function livePickRepository(db) {
+  return {
+    list: (columns = "*") => db.from("wallet_live_picks").select(columns),
+    listAll: () => selectAllRows(() => db.from("wallet_live_picks").select("*").order("id")),
+    listByMarkets: marketIds => selectInChunks(db, "wallet_live_picks", "*", "market_id", marketIds),
+    listUnresolved: (columns = "*") => selectAllRows(() => db
+      .from("wallet_live_picks")
+      .select(columns)
+      .is("resolved_outcome", null)
+      .order("id")),
+    // Picks graded since `since` (resolution re-checks)
+    listGradedSince: (since, columns) => selectAllRows(() => db
+      .from("wallet_live_picks")
+      .select(columns)
+      .not("resolved_outcome", "is", null)
+      .gte("resolved_at", since)
+      .order("id")),
+    listResolved: () => db.from("wallet_live_picks").select("*").not("resolved_outcome", "is", null),
+    // Every pick whose signal went out, oldest first
+    listSent: (columns = "*") => selectAllRows(() => db
+      .from("wallet_live_picks")
+      .select(columns)
+      .not("signal_sent_at", "is", null)
+      .order("id")),
+    // Sent picks whose market hasn't been seen closed yet (closing-line snapshots still due)
+    listAwaitingClose: columns => selectAllRows(() => db
+      .from("wallet_live_picks")
+      .select(columns)
+      .not("signal_sent_at", "is", null)
+      .is("close_price_at", null)
+      .order("id")),
+    upsert: rows => db.from("wallet_live_picks").upsert(rows, { onConflict: ["market_id", "picked_outcome"] }),
+    update: (id, fields) => db.from("wallet_live_picks").update(fields).eq("id", id),
+    updateByIds: (ids, fields) => db.from("wallet_live_picks").update(fields).in("id", ids),
+    recordResult: row => db.from("wallet_live_pick_results").insert(row)
+  };
+}
+
+function noteRepository(db) {
+  return {
+    get: (slug, columns = "content") => db.from("notes").select(columns).eq("slug", slug).maybeSingle(),
+    update: (slug, fields) => db.from("notes").update(fields).eq("slug", slug)
+  };
+}
+
+// Position ledger rows (wallet_positions) and per-event net exposure (wallet_event_exposure)
+function exposureRepository(db) {
+  return {
+    positionsForEvent: (walletId, eventSlug) => db
+      .from("wallet_positions")
+      .select("outcome, cost_basis, settled_cost")
+      .eq("wallet_id", walletId)
+      .eq("event_slug", eventSlug)
+      .not("outcome", "is", null),
+    positionsForWallets: (walletIds, columns) => selectInChunks(db, "wallet_positions", columns, "wallet_id", walletIds),
+    listPositions: columns => selectAllRows(() => db.from("wallet_positions").select(columns).order("id")),
+    openPositions: () => db.from("wallet_positions").select("*").eq("status", "open").gt("shares", 0),
+    savePositions: rows => db.from("wallet_positions").upsert(rows, { onConflict: ["wallet_id", "asset"] }),
+    saveEventExposure: row => db.from("wallet_event_exposure").upsert(row, { onConflict: ["wallet_id", "event_slug"] })
+  };
+}
+
+// Derived per-wallet tables behind the consensus: segment edges, clusters and lead-lag roles
+function walletAnalyticsRepository(db) {
+  return {
+    // Latest rating per wallet and window
+    saveRatings: rows => db.from("wallet_ratings").upsert(rows, { onConflict: ["wallet_id", "window_days"] }),
+    saveSegmentStats: rows => db.from("wallet_segment_stats").upsert(rows, { onConflict: ["wallet_id", "league", "market_type"] }),
+    listSegmentEdges: () => selectAllRows(() => db
+      .from("wallet_segment_stats")
+      .select("wallet_id, league, market_type, edge")
+      .order("id")),
+    listClusterMembers: () => selectAllRows(() => db.from("wallet_clusters").select("wallet_id, cluster_id").order("wallet_id")),
+    saveClusterMembers: rows => db.from("wallet_clusters").upsert(rows, { onConflict: ["wallet_id"] }),
+    saveClusterLinks: rows => db.from("wallet_cluster_links").upsert(rows, { onConflict: ["wallet_a", "wallet_b"] }),
+    // Members / links the clustering run stamped `runAt` didn't write
+    deleteClustersBefore: async runAt => {
+      const { error } = await db.from("wallet_clusters").delete().lt("updated_at", runAt);
+      if (error) return { data: null, error };
+      return db.from("wallet_cluster_links").delete().lt("updated_at", runAt);
+    },
+    listRoles: () => selectAllRows(() => db.from("wallet_lead_lag").select("wallet_id, role").order("wallet_id")),
+    saveRoles: rows => db.from("wallet_lead_lag").upsert(rows, { onConflict: ["wallet_id"] }),
+    // Roles the lead-lag run stamped `runAt` didn't write
+    deleteRolesBefore: runAt => db.from("wallet_lead_lag").delete().lt("updated_at", runAt)
+  };
+}
+
+// Report tables rebuilt from sent picks (bankroll_simulation: one row per staking strategy)
+function reportRepository(db) {
+  return {
+    saveBankroll: rows => db.from("bankroll_simulation").upsert(rows, { onConflict: ["strategy"] })
+  };
+}
+
+// Last-processed point per incremental job (sync_cursors)
+function syncCursorRepository(db) {
+  return {
+    get: name => db.from("sync_cursors").select("cursor_at").eq("name", name).maybeSingle(),
+    save: (name, cursorAt, updatedAt) => db
+      .from("sync_cursors")
+      .upsert({ name, cursor_at: cursorAt, updated_at: updatedAt }, { onConflict: ["name"] })
+  };
+}
+
+// market_no_extremes rows written by the NO-extremes scanner
+function scannerRepository(db) {
+  return {
+    exists: async polymarketId => {
+      const { data, error } = await db.from("market_no_extremes").select("id").eq("polymarket_id", polymarketId).limit(1);
+      return { data: Boolean(data?.length), error };
+    },
+    insert: row => db.from("market_no_extremes").insert([row])
+  };
+}
+
+/**
+ * Storage backend for a run: STORAGE_BACKEND, supabase by default — replay runs are offline and always use memory
+ * (seed it with STORAGE_SEED_FILE)
+ * @param {string} [requested] - STORAGE_BACKEND
+ * @param {string} [dataSourceMode] - DATA_SOURCE_MODE
+ * @returns {string}
+ * @throws {Error} when a replay run asks for another backend
+ */
+export function storageBackendFor(requested, dataSourceMode = "live") {
+  if (dataSourceMode !== "replay") return requested || "supabase";
+  if (requested && requested !== "memory") {
+    throw new Error(`Replay runs are offline: STORAGE_BACKEND=${requested} is not allowed, use memory`);
+  }
+  return "memory";
+}
+
+/**
+ * Open storage.
+ * - supabase: the hosted project (url + service key required)
+ * - memory: empty tables, or seeded with { table: [rows] } (`seed`, or a JSON file); nothing survives the process
+ * @param {"supabase"|"memory"} backend
+ * @param {{ supabaseUrl?: string, supabaseKey?: string, seedFile?: string, seed?: object }} [options]
+ * @returns {{ backend: string, db: object, wallets: object, signals: object, trades: object, livePicks: object, notes: object, exposure: object, analytics: object, reports: object, cursors: object, scanner: object }}
+ *   `db` is the raw client, for the market cache's own persistence
+ */
+export function createStorage(backend, { supabaseUrl, supabaseKey, seedFile, seed = null } = {}) {
+  let db;
+  if (backend === "memory") {
+    db = createMemoryDb({ seed: seed ?? (seedFile ? JSON.parse(readFileSync(seedFile, "utf8")) : {}) });
+  } else if (backend === "supabase") {
+    if (!supabaseUrl || !supabaseKey) throw new Error("Supabase keys required");
+    db = createClient(supabaseUrl, supabaseKey);
+  } else {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  return {
+    backend,
+    db,
+    wallets: walletRepository(db),
+    signals: signalRepository(db),
+    trades: tradeRepository(db),
+    livePicks: livePickRepository(db),
+    notes: noteRepository(db),
+    exposure: exposureRepository(db),
+    analytics: walletAnalyticsRepository(db),
+    reports: reportRepository(db),
+    cursors: syncCursorRepository(db),
+    scanner: scannerRepository(db)
+  };
+}
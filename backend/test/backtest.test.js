@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { expandGrid, replaySignals, runBacktest, summarizePicks, unitReturn } from "../backtest.js";
+
+const LOW_THRESHOLDS = { "⭐": 5, "⭐⭐": 20, "⭐⭐⭐": 30, "⭐⭐⭐⭐": 40, "⭐⭐⭐⭐⭐": 50 };
+const at = hour => new Date(Date.UTC(2026, 0, 1, hour)).toISOString();
+
+const signal = (walletId, marketId, outcome, hour, fields = {}) => ({
+  wallet_id: walletId,
+  market_id: marketId,
+  event_slug: marketId,
+  picked_outcome: outcome,
+  entered_at: at(hour),
+  amount: 100,
+  avg_entry_price: 0.5,
+  outcome: "WIN",
+  resolved_outcome: "A",
+  outcome_at: at(24),
+  ...fields
+});
+
+test("expandGrid lists every combination", () => {
+  assert.deepEqual(expandGrid({ a: [1, 2], b: ["x"] }), [{ a: 1, b: "x" }, { a: 2, b: "x" }]);
+});
+
+test("unitReturn pays 1/price - 1 on a win and refunds pushes", () => {
+  assert.equal(unitReturn("WIN", 0.25), 3);
+  assert.equal(unitReturn("LOSS", 0.25), -1);
+  assert.equal(unitReturn("PUSH", null), 0);
+  assert.equal(unitReturn("WIN", null), null);
+});
+
+test("a pick publishes once, when the wallet minimum is reached", () => {
+  const { picks } = replaySignals(
+    { signals: [signal(1, "m1", "A", 1), signal(2, "m1", "A", 2), signal(3, "m1", "A", 3), signal(4, "m1", "A", 4)] },
+    { minWallets: 3, thresholds: LOW_THRESHOLDS }
+  );
+
+  assert.equal(picks.length, 1);
+  assert.equal(picks[0].published_at, at(3));
+  assert.equal(picks[0].vote_count, 3);
+  assert.equal(picks[0].entry_price, 0.5);
+  assert.equal(picks[0].result, "WIN");
+  assert.equal(picks[0].units, 1);
+});
+
+test("nothing publishes once the market has resolved", () => {
+  const signals = [signal(1, "m1", "A", 1), signal(2, "m1", "A", 2), signal(3, "m1", "A", 30)];
+  const { picks } = replaySignals({ signals }, { minWallets: 3, thresholds: LOW_THRESHOLDS });
+  assert.deepEqual(picks, []);
+});
+
+test("hedged wallet/events sit out", () => {
+  const signals = [signal(1, "m1", "A", 1), signal(2, "m1", "A", 2), signal(3, "m1", "A", 3)];
+  const eventTotals = new Map([["3||m1", { A: 100, B: 100 }]]);
+  const { picks } = replaySignals({ signals, eventTotals }, { minWallets: 3, thresholds: LOW_THRESHOLDS });
+  assert.deepEqual(picks, []);
+});
+
+test("wallets vote only from when they were tracked, and never while still backfilling", () => {
+  const signals = [signal(1, "m1", "A", 1), signal(2, "m1", "A", 2), signal(3, "m1", "A", 3)];
+  const params = { minWallets: 3, thresholds: LOW_THRESHOLDS };
+
+  const late = replaySignals({ signals, trackedSince: new Map([[3, Date.parse(at(5))]]) }, params);
+  assert.deepEqual(late.picks, []);
+  const backfilling = replaySignals({ signals, trackedSince: new Map([[3, Infinity]]) }, params);
+  assert.deepEqual(backfilling.picks, []);
+  assert.equal(replaySignals({ signals, trackedSince: new Map([[3, Date.parse(at(0))]]) }, params).picks.length, 1);
+});
+
+test("a wallet paused by its record at the time doesn't vote", () => {
+  const losses = Array.from({ length: 10 }, (_, i) =>
+    signal(3, `x${i}`, "B", 0, { outcome: "LOSS", resolved_outcome: "A", outcome_at: at(1) }));
+  const signals = [...losses, signal(1, "m1", "A", 1), signal(2, "m1", "A", 2), signal(3, "m1", "A", 3)];
+
+  const { picks } = replaySignals({ signals }, { minWallets: 3, thresholds: LOW_THRESHOLDS });
+  assert.deepEqual(picks, []);
+
+  // Graded only after m1 went out: not paused yet
+  const later = signals.map(sig => (sig.outcome === "LOSS" ? { ...sig, outcome_at: at(4) } : sig));
+  assert.equal(replaySignals({ signals: later }, { minWallets: 3, thresholds: LOW_THRESHOLDS }).picks.length, 1);
+});
+
+test("summarizePicks tracks ROI over staked units and the deepest drawdown", () => {
+  const summary = summarizePicks([
+    { result: "WIN", units: 1, resolved_at: at(1) },
+    { result: "LOSS", units: -1, resolved_at: at(2) },
+    { result: "LOSS", units: -1, resolved_at: at(3) },
+    { result: "PUSH", units: 0, resolved_at: at(4) },
+    { result: "PENDING", units: null, published_at: at(5) }
+  ]);
+  assert.equal(summary.wins, 1);
+  assert.equal(summary.losses, 2);
+  assert.equal(summary.pushes, 1);
+  assert.equal(summary.pending, 1);
+  assert.equal(summary.units, -1);
+  assert.equal(summary.roi, -0.3333);
+  assert.equal(summary.max_drawdown, 2);
+});
+
+test("runBacktest summarizes each parameter set and tier", () => {
+  const signals = [signal(1, "m1", "A", 1), signal(2, "m1", "A", 2), signal(3, "m1", "A", 3)];
+  const results = runBacktest({ signals }, expandGrid({ minWallets: [3, 4], thresholds: [LOW_THRESHOLDS] }));
+  assert.deepEqual(results.map(r => r.summary.picks), [1, 0]);
+  assert.equal(Object.keys(results[0].tiers).length, 1);
+});
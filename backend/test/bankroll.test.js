@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kellyFraction, pickStars, simulateBankroll, stakeReturn } from "../bankroll.js";
+
+const at = hour => new Date(Date.UTC(2026, 0, 1, hour)).toISOString();
+const pick = (id, fields) => ({ id, confidence: 40, sent_price: 0.5, signal_sent_at: at(0), outcome: "Pending", ...fields });
+
+test("pickStars follows the confidence tiers", () => {
+  assert.equal(pickStars({ confidence: 40 }), 1);
+  assert.equal(pickStars({ confidence: 95 }), 5);
+});
+
+test("stakeReturn pays out at the bought price and refunds pushes", () => {
+  assert.equal(stakeReturn("WIN", 100, 0.25), 300);
+  assert.equal(stakeReturn("LOSS", 100, 0.25), -100);
+  assert.equal(stakeReturn("VOID", 100, 0.25), 0);
+});
+
+test("kellyFraction is zero without an edge", () => {
+  assert.equal(kellyFraction(0.5, 0.5), 0);
+  assert.equal(kellyFraction(0.4, 0.5), 0);
+  assert.ok(Math.abs(kellyFraction(0.6, 0.5) - 0.2) < 1e-9);
+});
+
+test("flat and per-star ledgers settle wins, losses and refunds", () => {
+  const { strategies, skipped } = simulateBankroll([
+    pick(1, { outcome: "WIN", resolved_at: at(2) }),
+    pick(2, { confidence: 60, outcome: "LOSS", resolved_at: at(3) }),
+    pick(3, { outcome: "PUSH", resolved_at: at(4) }),
+    pick(4, {}),
+    pick(5, { sent_price: null })
+  ], { startingBankroll: 1000, flatStake: 10 });
+
+  assert.equal(skipped, 1);
+  assert.deepEqual(
+    (({ bankroll, staked, pnl, wins, losses, pushes, open }) => ({ bankroll, staked, pnl, wins, losses, pushes, open }))(strategies.flat),
+    { bankroll: 1000, staked: 30, pnl: 0, wins: 1, losses: 1, pushes: 1, open: 1 }
+  );
+  assert.equal(strategies.units.pnl, -10); // +10 on the 1-star win, -20 on the 2-star loss
+  assert.equal(strategies.units.max_drawdown, 20);
+});
+
+test("Kelly stakes only once a tier's record shows an edge over the price", () => {
+  const wins = Array.from({ length: 20 }, (_, i) => pick(i + 1, { signal_sent_at: at(i), outcome: "WIN", resolved_at: at(i + 1) }));
+  const { picks } = simulateBankroll([...wins, pick(99, { signal_sent_at: at(30) })]);
+
+  assert.equal(picks[0].stakes.kelly, 0);
+  assert.ok(picks.at(-1).stakes.kelly > 0);
+  assert.ok(picks.at(-1).win_prob > 0.5);
+});
+
+test("a send sees every earlier settlement, and a settlement at the same instant first", () => {
+  const { picks } = simulateBankroll([
+    pick(1, { outcome: "WIN", resolved_at: at(5) }),
+    pick(2, { signal_sent_at: at(5) })
+  ]);
+  assert.ok(picks[1].win_prob > picks[0].win_prob);
+});
+
+test("a pick settled the moment it was sent settles after its own send", () => {
+  const { strategies, picks } = simulateBankroll([
+    pick(1, { outcome: "WIN", resolved_at: null }),
+    pick(2, { outcome: "LOSS", resolved_at: at(-3) }),
+    pick(3, { signal_sent_at: at(0) })
+  ], { flatStake: 10 });
+
+  assert.deepEqual(picks.map(p => p.pnl.flat), [10, -10, undefined]);
+  assert.deepEqual([strategies.flat.wins, strategies.flat.losses, strategies.flat.open], [1, 1, 1]);
+  assert.equal(picks[2].win_prob, 0.5); // sent at the same instant, before either settled
+});
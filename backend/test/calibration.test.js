@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calibrationReport, formatCalibrationRows } from "../calibration.js";
+
+const picks = (n, fields) => Array.from({ length: n }, () => ({ sent_price: 0.5, ...fields }));
+
+test("groups graded picks by tier and vote count, leaving pending picks out", () => {
+  const { tiers, voteCounts } = calibrationReport([
+    ...picks(3, { confidence: 40, vote_count: 8, outcome: "WIN" }),
+    ...picks(1, { confidence: 40, vote_count: 8, outcome: "LOSS" }),
+    ...picks(1, { confidence: 40, vote_count: 8, outcome: "PUSH" }),
+    ...picks(2, { confidence: 95, vote_count: 30, outcome: "Pending" })
+  ]);
+
+  const oneStar = tiers.find(r => r.group === "⭐");
+  assert.deepEqual(
+    { picks: oneStar.picks, wins: oneStar.wins, pushes: oneStar.pushes, hit_rate: oneStar.hit_rate, avg_implied: oneStar.avg_implied },
+    { picks: 4, wins: 3, pushes: 1, hit_rate: 0.75, avg_implied: 0.5 }
+  );
+  assert.ok(oneStar.ci_lower < 0.75 && oneStar.ci_upper > 0.75);
+  assert.equal(tiers.find(r => r.group === "⭐⭐⭐⭐⭐").picks, 0);
+  assert.deepEqual(voteCounts.map(r => r.group), ["8–9 votes"]);
+});
+
+test("flags tiers that trail the market or invert against the tier below", () => {
+  const { tiers } = calibrationReport([
+    ...picks(18, { confidence: 40, outcome: "WIN" }),
+    ...picks(2, { confidence: 40, outcome: "LOSS" }),
+    ...picks(2, { confidence: 60, outcome: "WIN" }),
+    ...picks(18, { confidence: 60, outcome: "LOSS" })
+  ]);
+
+  const [oneStar, twoStar] = tiers;
+  assert.deepEqual(oneStar.flags, ["beats market"]);
+  assert.equal(oneStar.miscalibrated, false);
+  assert.deepEqual(twoStar.flags, ["trails market", "inverted vs ⭐"]);
+  assert.equal(twoStar.miscalibrated, true);
+});
+
+test("groups below minPicks are never flagged", () => {
+  const { tiers } = calibrationReport(picks(3, { confidence: 60, outcome: "LOSS" }), { minPicks: 10 });
+  assert.deepEqual(tiers.find(r => r.group === "⭐⭐").flags, []);
+});
+
+test("formatCalibrationRows skips empty groups", () => {
+  const { tiers } = calibrationReport(picks(4, { confidence: 40, outcome: "WIN" }));
+  const lines = formatCalibrationRows(tiers);
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /^⭐: 100% hit \(\d+%–100%\) vs 50% implied, n=4$/);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { closingLineValue, clvReport, summarizeClv } from "../clv.js";
+
+test("closingLineValue measures the move toward the pick", () => {
+  assert.deepEqual(closingLineValue(0.5, 0.6), { clv: 0.1, clv_pct: 0.2 });
+  assert.deepEqual(closingLineValue(0.5, 0.4), { clv: -0.1, clv_pct: -0.2 });
+  assert.equal(closingLineValue(0.5, 1), null);
+  assert.equal(closingLineValue(null, 0.5), null);
+});
+
+test("summarizeClv averages and counts picks that beat the close", () => {
+  assert.deepEqual(summarizeClv([{ clv: 0.1, clv_pct: 0.2 }, { clv: -0.05, clv_pct: -0.1 }]), {
+    picks: 2, avg_clv: 0.025, avg_clv_pct: 0.05, beat_close_rate: 0.5
+  });
+  assert.equal(summarizeClv([]).avg_clv, null);
+});
+
+test("clvReport splits by tier and by wallet entry", () => {
+  const report = clvReport(
+    [
+      { market_id: "m1", picked_outcome: "A", confidence: 40, sent_price: 0.5, start_price: 0.6, wallets: [1, 2] },
+      { market_id: "m2", picked_outcome: "B", confidence: 95, sent_price: 0.4, start_price: 0.3, wallets: [1] },
+      { market_id: "m3", picked_outcome: "C", confidence: 95, sent_price: 0.4, start_price: null, wallets: [1] }
+    ],
+    [
+      { wallet_id: 1, market_id: "m1", picked_outcome: "A", avg_entry_price: 0.4 },
+      { wallet_id: 1, market_id: "m2", picked_outcome: "B", avg_entry_price: 0.35 },
+      { wallet_id: 2, market_id: "m1", picked_outcome: "A", avg_entry_price: 0.55 }
+    ]
+  );
+
+  assert.equal(report.overall.picks, 2);
+  assert.equal(report.tiers["⭐"].avg_clv, 0.1);
+  assert.equal(report.tiers["⭐⭐⭐⭐⭐"].avg_clv, -0.1);
+  assert.deepEqual(report.wallets.map(w => [w.wallet_id, w.picks, w.avg_clv]), [[1, 2, 0.075], [2, 1, 0.05]]);
+});
@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CONFIDENCE_THRESHOLDS,
+  buildWalletStats,
+  classifySegment,
+  earlySignalHolds,
+  getConfidenceEmoji,
+  netOutcome,
+  pickConfidence,
+  scoreConsensus,
+  scoreMarketPicks,
+  scoreVotes,
+  segmentFactor,
+  tallyWalletVotes,
+  voteCountConfidence
+} from "../consensus.js";
+
+const votes = (n, firstId = 1) => Array.from({ length: n }, (_, i) => ({ wallet_id: firstId + i, stake: 100, enteredAt: null }));
+
+test("an average wallet's vote weighs 1", () => {
+  const [vote] = scoreVotes([{ wallet_id: 1, stake: 100, enteredAt: null }], new Map());
+  assert.equal(vote.weight, 1);
+  assert.equal(vote.segment_factor, 1);
+});
+
+test("skill, stake size and entry order move the weight", () => {
+  const stats = new Map([
+    [1, { wins: 30, losses: 10, usualStake: 100 }],
+    [2, { wins: 10, losses: 30, usualStake: 100 }]
+  ]);
+  const [sharp, square] = scoreVotes([
+    { wallet_id: 1, stake: 400, enteredAt: "2026-01-01T00:00:00Z" },
+    { wallet_id: 2, stake: 25, enteredAt: "2026-01-01T01:00:00Z" }
+  ], stats);
+
+  assert.equal(sharp.stake_factor, 2);
+  assert.equal(sharp.early_factor, 1.25);
+  assert.equal(square.stake_factor, 0.5);
+  assert.equal(square.early_factor, 0.75);
+  assert.ok(sharp.accuracy > 0.5 && square.accuracy < 0.5);
+  assert.ok(sharp.weight > 1 && square.weight < 1);
+});
+
+test("unopposed average wallets hit the old raw-count tiers", () => {
+  const expected = { 8: "⭐", 15: "⭐⭐", 25: "⭐⭐⭐", 35: "⭐⭐⭐⭐", 45: "⭐⭐⭐⭐⭐" };
+  for (const [count, tier] of Object.entries(expected)) {
+    const { confidence } = scoreConsensus(votes(Number(count)), [], new Map());
+    assert.equal(confidence, voteCountConfidence(count));
+    assert.equal(getConfidenceEmoji(confidence), tier, `${count} votes`);
+    assert.ok(confidence >= CONFIDENCE_THRESHOLDS[tier]);
+  }
+});
+
+test("opposition scales confidence by agreement", () => {
+  const { confidence, breakdown } = scoreConsensus(votes(10), votes(10, 11), new Map());
+  assert.equal(breakdown.agreement, 0.5);
+  assert.equal(confidence, Math.round(50 * (1 - Math.exp(-10 / 20))));
+});
+
+test("buildWalletStats counts wins, losses and the median stake", () => {
+  const stats = buildWalletStats([
+    { wallet_id: 1, outcome: "WIN", amount: 10 },
+    { wallet_id: 1, outcome: "LOSS", amount: 30 },
+    { wallet_id: 1, outcome: "PUSH", amount: 20 },
+    { wallet_id: null, outcome: "WIN", amount: 50 }
+  ]);
+  assert.deepEqual(stats.get(1), { wins: 1, losses: 1, usualStake: 20 });
+  assert.equal(stats.size, 1);
+});
+
+test("classifySegment needs enough picks before judging", () => {
+  assert.equal(classifySegment(null), "unproven");
+  assert.equal(classifySegment({ picks: 5, win_prob: 0.9, roi_shrunk: 1 }), "unproven");
+  assert.equal(classifySegment({ picks: 20, win_prob: 0.6, roi_shrunk: 0.1 }), "proven");
+  assert.equal(classifySegment({ picks: 20, win_prob: 0.6, roi_shrunk: -0.1 }), "none");
+});
+
+test("pickConfidence falls back to the vote count for legacy rows", () => {
+  assert.equal(pickConfidence({ confidence: 70, vote_count: 2 }), 70);
+  assert.equal(pickConfidence({ confidence: null, vote_count: 8 }), voteCountConfidence(8));
+});
+
+test("netOutcome treats a near-even split as hedged", () => {
+  assert.equal(netOutcome({ A: 100, B: 50 }), "A");
+  assert.equal(netOutcome({ A: 100, B: 99 }), null);
+  assert.equal(netOutcome({ A: 40, B: 30, C: 30 }), null);
+  assert.equal(netOutcome({}), null);
+});
+
+test("scoreMarketPicks applies the wallet minimum after collapsing clusters", () => {
+  const outcomes = {};
+  for (const walletId of [1, 2, 3]) {
+    tallyWalletVotes(outcomes, walletId, { A: { pnl: 0, stake: 100, enteredAt: null, segmentFactor: 1 } });
+  }
+  tallyWalletVotes(outcomes, 4, { B: { pnl: 0, stake: 100, enteredAt: null, segmentFactor: 1 } });
+
+  const options = { walletStats: new Map(), roleOf: new Map(), minWallets: 3, earlyMinJoiners: 3 };
+  const [pick] = scoreMarketPicks(outcomes, { ...options, clusterOf: new Map() });
+  assert.equal(pick.outcome, "A");
+  assert.equal(pick.effectiveVotes.length, 3);
+  assert.equal(pick.breakdown.oppose_weight, 1);
+  assert.deepEqual(outcomes.A.sideCounts, { A: 3 });
+
+  const clustered = scoreMarketPicks(outcomes, { ...options, clusterOf: new Map([[1, 1], [2, 1]]) });
+  assert.deepEqual(clustered, []);
+});
+
+test("an originator-led pick below the minimum fires early", () => {
+  const outcomes = {};
+  [1, 2, 3, 4].forEach((walletId, i) => {
+    tallyWalletVotes(outcomes, walletId, {
+      A: { pnl: 0, stake: 100, enteredAt: new Date(Date.UTC(2026, 0, 1, i)).toISOString(), segmentFactor: 1 }
+    });
+  });
+
+  const [pick] = scoreMarketPicks(outcomes, {
+    walletStats: new Map(),
+    clusterOf: new Map(),
+    roleOf: new Map([[1, "originator"]]),
+    minWallets: 10,
+    earlyMinJoiners: 3
+  });
+  assert.equal(pick.earlySignal, true);
+});
+
+test("an early signal outweighed by the other side doesn't fire", () => {
+  const outcomes = {};
+  [1, 2, 3, 4].forEach((walletId, i) => {
+    tallyWalletVotes(outcomes, walletId, {
+      A: { pnl: 0, stake: 100, enteredAt: new Date(Date.UTC(2026, 0, 1, i)).toISOString(), segmentFactor: 1 }
+    });
+  });
+  [5, 6, 7, 8, 9].forEach(walletId => {
+    tallyWalletVotes(outcomes, walletId, { B: { pnl: 0, stake: 100, enteredAt: null, segmentFactor: 1 } });
+  });
+
+  const picks = scoreMarketPicks(outcomes, {
+    walletStats: new Map(),
+    clusterOf: new Map(),
+    roleOf: new Map([[1, "originator"]]),
+    minWallets: 10,
+    earlyMinJoiners: 3
+  });
+  assert.deepEqual(picks, []);
+  assert.equal(earlySignalHolds({ support_weight: 4, oppose_weight: 5 }), false);
+  assert.equal(earlySignalHolds({ support_weight: 4, oppose_weight: 4 }), true);
+  assert.equal(earlySignalHolds(null), false);
+});
+
+test("only a segment without edge drops the vote; unrated and unproven segments count fully", () => {
+  assert.equal(segmentFactor(undefined), 1);
+  assert.equal(segmentFactor({ edge: "unproven" }), 1);
+  assert.equal(segmentFactor({ edge: "proven" }), 1);
+  assert.equal(segmentFactor({ edge: "none" }), 0);
+});
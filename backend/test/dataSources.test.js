@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { createClock } from "../dataSources.js";
+
+test("replay runs on the clock of the recording it replays", async t => {
+  const dir = await mkdtemp(path.join(tmpdir(), "fixtures-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  let wall = Date.parse("2026-03-01T20:00:00Z");
+  createClock("record", { dir, wallNow: () => wall });
+
+  wall = Date.parse("2026-06-01T00:00:00Z");
+  const replay = createClock("replay", { dir, wallNow: () => wall });
+  assert.equal(replay.date().toISOString(), "2026-03-01T20:00:00.000Z");
+
+  wall += 60_000;
+  assert.equal(replay.now(), Date.parse("2026-03-01T20:01:00Z"));
+
+  const pinned = createClock("replay", { dir, start: "2026-01-01T00:00:00Z", wallNow: () => wall });
+  assert.equal(pinned.date().toISOString(), "2026-01-01T00:00:00.000Z");
+  assert.equal(createClock("live", { wallNow: () => wall }).now(), wall);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMarketCache, marketState } from "../marketCache.js";
+import { createMemoryDb } from "../memoryDb.js";
+
+const NOW = Date.parse("2026-03-01T20:00:00Z");
+
+test("marketState orders resolved → closed → live → open", () => {
+  const outcomes = '["Lakers", "Celtics"]';
+  assert.equal(marketState({ closed: true, outcomes, outcomePrices: '["1", "0"]' }, NOW), "resolved");
+  assert.equal(marketState({ closed: true, outcomes, outcomePrices: '["0.97", "0.03"]' }, NOW), "closed");
+  assert.equal(marketState({ closed: false, gameStartTime: "2026-03-01T19:00:00Z" }, NOW), "live");
+  assert.equal(marketState({ closed: false, gameStartTime: "2026-03-01T21:00:00Z" }, NOW), "open");
+  assert.equal(marketState({ closed: false }, NOW), "open");
+});
+
+test("a result read off the score alone is not cached as resolved", () => {
+  const market = {
+    closed: true,
+    sportsMarketType: "moneyline",
+    outcomes: '["Lakers", "Celtics"]',
+    outcomePrices: '["0.99", "0.01"]',
+    events: [{ ended: true, score: "101-99" }]
+  };
+  assert.equal(marketState(market, NOW), "closed");
+  assert.equal(marketState({ ...market, closed: false }, NOW), "open");
+});
+
+test("entries expire with their state's TTL", async t => {
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+  const cache = createMarketCache({ ttlSeconds: { open: 60 } });
+
+  await cache.set("lal-bos", { slug: "lal-bos", closed: false });
+  assert.deepEqual(await cache.get("lal-bos"), { slug: "lal-bos", closed: false });
+
+  t.mock.timers.tick(61_000);
+  assert.equal(await cache.get("lal-bos"), null);
+  assert.deepEqual(
+    (({ hits, misses, expired, stores }) => ({ hits, misses, expired, stores }))(cache.stats()),
+    { hits: 1, misses: 1, expired: 1, stores: 1 }
+  );
+});
+
+test("the least recently used entry is evicted past maxEntries", async () => {
+  const cache = createMarketCache({ maxEntries: 2 });
+  await cache.set("a", { slug: "a" });
+  await cache.set("b", { slug: "b" });
+  await cache.get("a");
+  await cache.set("c", { slug: "c" });
+
+  assert.equal(await cache.get("b"), null);
+  assert.deepEqual(await cache.get("a"), { slug: "a" });
+  assert.equal(cache.stats().evictions, 1);
+});
+
+test("a persisted cache starts warm from the markets table", async () => {
+  const supabase = createMemoryDb();
+  await createMarketCache({ supabase }).set("lal-bos", { id: 7, slug: "lal-bos", closed: false });
+
+  const fresh = createMarketCache({ supabase });
+  assert.deepEqual(await fresh.get("lal-bos"), { id: 7, slug: "lal-bos", closed: false });
+  assert.equal(fresh.stats().persisted_hits, 1);
+
+  const { data: [row] } = await supabase.from("markets").select("cache_key, market_id, state");
+  assert.deepEqual(row, { cache_key: "lal-bos", market_id: "7", state: "open" });
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { marketLineType, parseList, parseMarketLine } from "../marketLines.js";
+
+test("parseList reads JSON-encoded and plain lists", () => {
+  assert.deepEqual(parseList('["Yes", "No"]'), ["Yes", "No"]);
+  assert.deepEqual(parseList([0.5, 1]), ["0.5", "1"]);
+  assert.deepEqual(parseList("not json"), []);
+  assert.deepEqual(parseList(null), []);
+});
+
+test("marketLineType normalizes or infers the market type", () => {
+  assert.equal(marketLineType({ sportsMarketType: "Spread" }), "spreads");
+  assert.equal(marketLineType({ sportsMarketType: "total" }), "totals");
+  assert.equal(marketLineType({ outcomes: '["Over", "Under"]' }), "totals");
+  assert.equal(marketLineType({ question: "Lakers vs. Celtics: O/U 215.5", outcomes: '["A", "B"]' }), "totals");
+  assert.equal(marketLineType({ question: "Spread: Lakers (-4.5)", outcomes: '["Lakers", "Celtics"]' }), "spreads");
+  assert.equal(marketLineType({ outcomes: '["Lakers", "Celtics"]' }), "moneyline");
+  assert.equal(marketLineType({ outcomes: '["Yes", "No"]' }), "other");
+});
+
+test("spread lines are quoted for the first outcome and flipped for the second", () => {
+  const market = { sportsMarketType: "spreads", line: -4.5, outcomes: '["Lakers", "Celtics"]' };
+  assert.deepEqual(parseMarketLine(market, "Lakers"), {
+    market_type: "spreads", line: -4.5, line_side: "Lakers", pick_label: "Lakers -4.5"
+  });
+  assert.deepEqual(parseMarketLine(market, "Celtics"), {
+    market_type: "spreads", line: 4.5, line_side: "Celtics", pick_label: "Celtics +4.5"
+  });
+});
+
+test("totals lines fall back to the question text", () => {
+  const market = { question: "Lakers vs. Celtics: O/U 215.5", outcomes: '["Over", "Under"]' };
+  assert.deepEqual(parseMarketLine(market, "Under"), {
+    market_type: "totals", line: 215.5, line_side: "UNDER", pick_label: "Under 215.5"
+  });
+});
+
+test("moneyline picks keep the outcome as their label", () => {
+  assert.deepEqual(parseMarketLine({ outcomes: '["Lakers", "Celtics"]' }, "Lakers"), {
+    market_type: "moneyline", line: null, line_side: null, pick_label: "Lakers"
+  });
+  assert.equal(parseMarketLine({}, null).pick_label, "UNKNOWN");
+});
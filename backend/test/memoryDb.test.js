@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../memoryDb.js";
+
+const trade = fields => ({ wallet_id: 1, tx_hash: "0xabc", log_index: 0, ...fields });
+
+test("an insert that repeats a unique key is rejected whole", async () => {
+  const db = createMemoryDb({ seed: { signal_trades: [trade()] } });
+
+  const { error } = await db.from("signal_trades").insert([trade({ log_index: 1 }), trade({ log_index: 0 })]);
+  assert.equal(error.code, "23505");
+  assert.match(error.message, /signal_trades_wallet_id_tx_hash_log_index_key/);
+
+  const { data } = await db.from("signal_trades").select("log_index");
+  assert.deepEqual(data, [{ log_index: 0 }]);
+});
+
+test("keys with a null column never conflict, like Postgres", async () => {
+  const db = createMemoryDb();
+  const { error } = await db.from("wallet_live_picks").insert([
+    { market_id: "m1", picked_outcome: null },
+    { market_id: "m1", picked_outcome: null }
+  ]);
+  assert.equal(error, null);
+});
+
+test("upserts merge on their conflict key but can't collide on another", async () => {
+  const db = createMemoryDb({
+    seed: {
+      signals: [
+        { wallet_id: 1, event_slug: "lal-bos", picked_outcome: "Lakers", tx_hash: "0x1:0" },
+        { wallet_id: 2, event_slug: "lal-bos", picked_outcome: "Lakers", tx_hash: "0x2:0" }
+      ]
+    }
+  });
+  const onConflict = ["wallet_id", "event_slug", "picked_outcome"];
+
+  const merged = await db.from("signals").upsert([{ wallet_id: 1, event_slug: "lal-bos", picked_outcome: "Lakers", amount: 50 }], { onConflict });
+  assert.equal(merged.error, null);
+
+  const collided = await db.from("signals").upsert([{ wallet_id: 1, event_slug: "lal-bos", picked_outcome: "Lakers", tx_hash: "0x2:0" }], { onConflict });
+  assert.equal(collided.error.code, "23505");
+
+  const { data } = await db.from("signals").select("wallet_id, amount, tx_hash").order("wallet_id");
+  assert.deepEqual(data, [{ wallet_id: 1, amount: 50, tx_hash: "0x1:0" }, { wallet_id: 2, amount: null, tx_hash: "0x2:0" }]);
+});
+
+test("an update onto another row's unique key is rejected", async () => {
+  const db = createMemoryDb({
+    seed: { wallet_live_picks: [{ market_id: "m1", picked_outcome: "A" }, { market_id: "m1", picked_outcome: "B" }] }
+  });
+  const { error } = await db.from("wallet_live_picks").update({ picked_outcome: "A" }).eq("picked_outcome", "B");
+  assert.equal(error.code, "23505");
+
+  const { error: sameRow } = await db.from("wallet_live_picks").update({ picked_outcome: "A" }).eq("picked_outcome", "A");
+  assert.equal(sameRow, null);
+});
@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError, backoffMs, createApiClient, mapWithConcurrency, retryAfterMs } from "../polymarketApi.js";
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const response = (status, body = {}, retryAfter = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  headers: { get: name => (name.toLowerCase() === "retry-after" ? retryAfter : null) }
+});
+
+// Quiet, fast defaults; each test overrides what it exercises
+const client = (fetchImpl, options = {}) =>
+  createApiClient({ fetchImpl, ratePerSecond: 1000, burst: 1000, baseDelayMs: 1, maxDelayMs: 5, ...options });
+
+test("retryAfterMs reads seconds and HTTP dates", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  assert.equal(retryAfterMs("3", now), 3000);
+  assert.equal(retryAfterMs("Thu, 01 Jan 2026 00:00:10 GMT", now), 10_000);
+  assert.equal(retryAfterMs(null, now), null);
+  assert.equal(retryAfterMs("soon", now), null);
+});
+
+test("backoffMs stays within the capped exponential window", () => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const delay = backoffMs(attempt, 100, 1000);
+    assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+  }
+});
+
+test("mapWithConcurrency settles every item with at most `limit` in flight", async () => {
+  let running = 0, peak = 0;
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async n => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+    if (n === 3) throw new Error("boom");
+    return n * 2;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(r => r.status), ["fulfilled", "fulfilled", "rejected", "fulfilled", "fulfilled"]);
+  assert.equal(results[4].value, 10);
+});
+
+test("the token bucket spaces requests past the burst", async () => {
+  const api = client(async () => response(200), { ratePerSecond: 20, burst: 2 });
+  const started = Date.now();
+  await Promise.all([1, 2, 3, 4].map(i => api.getJson(`https://gamma.test/markets/${i}`)));
+  // 2 from the burst, then 2 more at 20/s
+  assert.ok(Date.now() - started >= 90, `took ${Date.now() - started}ms`);
+});
+
+test("the concurrency cap holds across hosts", async () => {
+  let running = 0, peak = 0;
+  const api = client(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+    return response(200);
+  }, { concurrency: 2 });
+
+  await Promise.all(["a", "b", "c", "d"].map(host => api.getJson(`https://${host}.test/x`)));
+  assert.equal(peak, 2);
+});
+
+test("server errors are retried, other 4xx are not", async () => {
+  let calls = 0;
+  const flaky = client(async () => (++calls < 3 ? response(503) : response(200, { ok: 1 })));
+  assert.deepEqual(await flaky.getJson("https://gamma.test/x"), { ok: 1 });
+  assert.equal(calls, 3);
+
+  calls = 0;
+  const missing = client(async () => { calls++; return response(404); });
+  await assert.rejects(missing.getJson("https://gamma.test/x"), err => err instanceof ApiError && err.status === 404);
+  assert.equal(calls, 1);
+});
+
+test("the circuit opens after consecutive failures and one trial closes it", async () => {
+  let calls = 0;
+  let healthy = false;
+  const api = client(async () => { calls++; return healthy ? response(200, {}) : response(500); }, {
+    retries: 1,
+    breakerThreshold: 2,
+    breakerCooldownMs: 30
+  });
+  const url = "https://data.test/activity";
+
+  await assert.rejects(api.getJson(url));
+  await assert.rejects(api.getJson(url));
+  await assert.rejects(api.getJson(url), err => err.circuitOpen === true);
+  assert.equal(calls, 2);
+  assert.equal(api.stats().hosts["data.test"].circuit, "open");
+
+  await sleep(40);
+  healthy = true;
+  await api.getJson(url);
+  assert.equal(calls, 3);
+  assert.equal(api.stats().hosts["data.test"].circuit, "closed");
+});
+
+test("a hung request is aborted after the timeout and retried", async () => {
+  let calls = 0;
+  const api = client((url, { signal }) => {
+    if (++calls > 1) return Promise.resolve(response(200, { ok: 1 }));
+    return new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  }, { timeoutMs: 20 });
+
+  assert.deepEqual(await api.getJson("https://gamma.test/x"), { ok: 1 });
+  assert.equal(calls, 2);
+  assert.equal(api.stats().hosts["gamma.test"].timed_out, 1);
+  assert.equal(api.stats().in_flight, 0);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPositions } from "../positionLedger.js";
+
+const buy = (asset, outcome, size, amount) =>
+  ({ type: "TRADE", side: "BUY", asset, condition_id: "c1", picked_outcome: outcome, size, amount });
+const redeem = amount => ({ type: "REDEEM", condition_id: "c1", amount });
+
+test("REDEEM pays the settled market's winner", () => {
+  // Equal holdings on both sides: the share count alone can't tell which side won
+  const positions = buildPositions(
+    [buy("t-lal", "Lakers", 100, 40), buy("t-bos", "Celtics", 100, 60), redeem(100)],
+    { winner: "Celtics" }
+  );
+  const [lakers, celtics] = positions;
+  assert.equal(lakers.current_price, 0);
+  assert.equal(lakers.realized_pnl, -40);
+  assert.equal(celtics.current_price, 1);
+  assert.equal(celtics.realized_pnl, 40);
+  assert.ok(positions.every(p => p.status === "settled" && p.shares === 0));
+});
+
+test("REDEEM without a known winner pays the holding closest to the payout", () => {
+  const [lakers, celtics] = buildPositions([buy("t-lal", "Lakers", 100, 40), buy("t-bos", "Celtics", 120, 70), redeem(120)]);
+  assert.equal(lakers.current_price, 0);
+  assert.equal(celtics.current_price, 1);
+  assert.equal(celtics.realized_pnl, 50);
+});
+
+test("a sell realizes against the average entry price", () => {
+  const [pos] = buildPositions([
+    buy("t-lal", "Lakers", 100, 40),
+    { type: "TRADE", side: "SELL", asset: "t-lal", condition_id: "c1", size: 50, amount: 30 }
+  ]);
+  assert.equal(pos.shares, 50);
+  assert.equal(pos.realized_pnl, 10);
+  assert.equal(pos.cost_basis, 20);
+  assert.equal(pos.status, "open");
+});
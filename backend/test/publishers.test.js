@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { createPublishers, createTelegramPublisher } from "../publishers.js";
+
+const response = (status, body = "") => ({ ok: status >= 200 && status < 300, status, text: async () => body });
+
+test("a Telegram send succeeds only when the API accepts it, and is skipped without a bot", async t => {
+  t.mock.method(console, "error", () => {});
+  const sent = [];
+  const telegram = status => createTelegramPublisher({
+    token: "token",
+    chatId: "chat",
+    fetchImpl: async (url, init) => {
+      sent.push(JSON.parse(init.body));
+      return response(status, '{"ok":false}');
+    }
+  });
+
+  assert.equal(await telegram(200).send("hello"), "sent");
+  assert.equal(await telegram(400).send("hello"), "failed");
+  assert.deepEqual(sent[0], { chat_id: "chat", text: "hello", parse_mode: "Markdown" });
+
+  const failing = createTelegramPublisher({ token: "token", chatId: "chat", fetchImpl: async () => { throw new Error("offline"); } });
+  assert.equal(await failing.send("hello"), "failed");
+  assert.equal(await createTelegramPublisher({ chatId: "chat" }).send("hello"), "skipped");
+});
+
+test("replay records Telegram posts and notes writes to the outbox instead of sending them", async t => {
+  const dir = await mkdtemp(path.join(tmpdir(), "outbox-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const publishers = createPublishers("replay", {
+    telegram: { token: "token", chatId: "chat", fetchImpl: () => assert.fail("replay must not post") },
+    notes: { update: () => assert.fail("replay must not write notes") },
+    dir,
+    now: () => Date.parse("2026-03-01T20:00:00Z")
+  });
+
+  assert.equal(await publishers.telegram.send("⚡️ NEW MARKET PREDICTION"), "sent");
+  assert.deepEqual(await publishers.notes.update("midas-sports", { content: "x" }), { data: null, error: null });
+
+  const lines = async channel => (await readFile(path.join(dir, "outbox", `${channel}.jsonl`), "utf8"))
+    .trim().split("\n").map(line => JSON.parse(line));
+  assert.deepEqual(await lines("telegram"), [{ at: "2026-03-01T20:00:00.000Z", text: "⚡️ NEW MARKET PREDICTION" }]);
+  assert.deepEqual(await lines("notes"), [{ at: "2026-03-01T20:00:00.000Z", slug: "midas-sports", fields: { content: "x" } }]);
+});
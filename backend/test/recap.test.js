@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRecap, formatRecap, recapGrade, recapWindow } from "../recap.js";
+
+const iso = date => date.toISOString();
+
+test("daily window is yesterday, midnight to midnight in the tracker's zone", () => {
+  const window = recapWindow("daily", new Date("2026-03-10T05:00:00Z"), "America/New_York");
+  assert.equal(iso(window.from), "2026-03-09T04:00:00.000Z");
+  assert.equal(iso(window.to), "2026-03-10T04:00:00.000Z");
+  assert.equal(window.label, "Mon, Mar 9");
+});
+
+test("a daily window across a DST change is 23 hours long", () => {
+  const window = recapWindow("daily", new Date("2026-03-09T12:00:00Z"), "America/New_York");
+  assert.equal(iso(window.from), "2026-03-08T05:00:00.000Z");
+  assert.equal(iso(window.to), "2026-03-09T04:00:00.000Z");
+});
+
+test("weekly window is the previous Monday–Sunday", () => {
+  const window = recapWindow("weekly", new Date("2026-03-11T12:00:00Z"), "UTC"); // a Wednesday
+  assert.equal(iso(window.from), "2026-03-02T00:00:00.000Z");
+  assert.equal(iso(window.to), "2026-03-09T00:00:00.000Z");
+  assert.equal(window.label, "Mar 2 – Mar 8");
+});
+
+test("monthly window is the previous calendar month, across a year end", () => {
+  const window = recapWindow("monthly", new Date("2026-01-15T12:00:00Z"), "UTC");
+  assert.equal(iso(window.from), "2025-12-01T00:00:00.000Z");
+  assert.equal(iso(window.to), "2026-01-01T00:00:00.000Z");
+  assert.equal(window.label, "December 2025");
+  assert.throws(() => recapWindow("yearly"), /Unknown recap period/);
+});
+
+test("recapGrade prefers the stored grade, else grades the resolved outcome", () => {
+  assert.equal(recapGrade({ outcome: "PUSH" }), "PUSH");
+  assert.equal(recapGrade({ outcome: "Pending", picked_outcome: "A", resolved_outcome: "B" }), "LOSS");
+  assert.equal(recapGrade({ outcome: "Pending", picked_outcome: "A" }), null);
+});
+
+test("buildRecap counts the window and keeps all-time totals up to its end", () => {
+  const window = recapWindow("daily", new Date("2026-03-10T12:00:00Z"), "UTC");
+  const pick = (id, outcome, resolvedAt, fields = {}) => ({
+    id, outcome, resolved_at: resolvedAt, sent_price: 0.5, confidence: 40, league: "NBA", market_name: `Game ${id}`, ...fields
+  });
+
+  const recap = buildRecap([
+    pick(1, "LOSS", "2026-03-08T10:00:00Z"),
+    pick(2, "WIN", "2026-03-09T10:00:00Z"),
+    pick(3, "WIN", "2026-03-09T11:00:00Z", { sent_price: 0.25, league: "NHL" }),
+    pick(4, "PUSH", "2026-03-09T12:00:00Z"),
+    pick(5, "LOSS", "2026-03-10T01:00:00Z"),
+    pick(6, "Pending", null)
+  ], window);
+
+  assert.deepEqual([recap.picks, recap.wins, recap.losses, recap.pushes], [3, 2, 0, 1]);
+  assert.equal(recap.units, 4);
+  assert.equal(recap.roi, 2);
+  assert.deepEqual(recap.leagues.map(l => [l.group, l.units]), [["NHL", 3], ["NBA", 1]]);
+  assert.deepEqual(recap.best.map(b => b.id), [3, 2]);
+  assert.deepEqual(recap.worst, []);
+  assert.deepEqual(recap.streak, { result: "WIN", length: 2 });
+  assert.deepEqual([recap.overall.wins, recap.overall.losses], [2, 1]);
+
+  const text = formatRecap(recap);
+  assert.ok(text.startsWith("📊 DAILY RECAP — Mon, Mar 9"));
+  assert.ok(!text.includes("\n\n"));
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gradePick, groupPendingByMarket, marketSettlement, marketWinner, runResolutionCycle } from "../resolution.js";
+import { createStorage } from "../storage.js";
+
+const market = fields => ({ outcomes: '["Lakers", "Celtics"]', outcomePrices: '["0.5", "0.5"]', ...fields });
+
+test("a settled price of 1 names the winner", () => {
+  assert.deepEqual(
+    marketSettlement(market({ closed: true, outcomePrices: '["0", "1"]' })),
+    { state: "won", winner: "Celtics" }
+  );
+  assert.equal(marketWinner(market({ closed: true, outcomePrices: '["1", "0"]' })), "Lakers");
+});
+
+test("open markets are not settled by their prices", () => {
+  assert.equal(marketSettlement(market({ closed: false, outcomePrices: '["1", "0"]' })).state, "open");
+  assert.equal(marketSettlement(null).state, "open");
+});
+
+test("an even split is a push and a resolved zero payout is void", () => {
+  assert.equal(marketSettlement(market({ closed: true })).state, "push");
+  assert.equal(
+    marketSettlement(market({ closed: true, outcomePrices: '["0", "0"]', umaResolutionStatus: "resolved" })).state,
+    "void"
+  );
+  assert.equal(marketSettlement(market({ closed: true, outcomePrices: '["0", "0"]' })).state, "open");
+});
+
+test("an open UMA proposal or dispute holds the result", () => {
+  for (const status of ["proposed", "Disputed", "challenged"]) {
+    const settlement = marketSettlement(market({ closed: true, outcomePrices: '["1", "0"]', umaResolutionStatus: status }));
+    assert.deepEqual(settlement, { state: "disputed", winner: null });
+  }
+});
+
+test("a final score decides an unsettled moneyline market", () => {
+  const ended = { events: [{ ended: true, score: "101-99" }] };
+  assert.deepEqual(
+    marketSettlement(market({ sportsMarketType: "moneyline", ...ended })),
+    { state: "won", winner: "Lakers" }
+  );
+  assert.equal(marketSettlement(market({ sportsMarketType: "moneyline", events: [{ ended: true, score: "2-2" }] })).state, "open");
+  assert.equal(marketSettlement(market({ sportsMarketType: "moneyline", events: [{ ended: false, score: "101-99" }] })).state, "open");
+});
+
+test("spreads and totals are never graded from the score", () => {
+  const ended = { events: [{ ended: true, score: "101-99" }] };
+  assert.equal(marketSettlement(market({ sportsMarketType: "spreads", line: -4.5, ...ended })).state, "open");
+  assert.equal(marketSettlement(market({ sportsMarketType: "totals", outcomes: '["Over", "Under"]', ...ended })).state, "open");
+  assert.equal(marketSettlement(market(ended)).state, "open");
+});
+
+test("gradePick grades against the winner or passes PUSH / VOID through", () => {
+  assert.equal(gradePick("Lakers", "Lakers"), "WIN");
+  assert.equal(gradePick("Lakers", "Celtics"), "LOSS");
+  assert.equal(gradePick("Lakers", "PUSH"), "PUSH");
+  assert.equal(gradePick("Lakers", "VOID"), "VOID");
+  assert.equal(gradePick("Lakers", null), null);
+});
+
+test("groupPendingByMarket groups signals and picks on the event slug, earliest start first", () => {
+  const [entry, ...rest] = groupPendingByMarket(
+    [
+      { id: 1, event_slug: "lal-bos", market_id: "m1", event_start_at: "2026-01-02T00:00:00Z" },
+      { id: 2, event_slug: "lal-bos", market_id: "m1", event_start_at: "2026-01-01T00:00:00Z" }
+    ],
+    [{ id: 9, event_slug: "lal-bos", market_id: "m1", gameStartTime: null }]
+  );
+  assert.equal(rest.length, 0);
+  assert.equal(entry.key, "lal-bos");
+  assert.equal(entry.starts_at, "2026-01-01T00:00:00Z");
+  assert.equal(entry.signals.length, 2);
+  assert.equal(entry.picks.length, 1);
+});
+
+test("runResolutionCycle grades pending signals and live picks in one fetch per market", async () => {
+  const started = new Date(Date.now() - 3600_000).toISOString();
+  const storage = createStorage("memory", {
+    seed: {
+      signals: [
+        { id: 1, event_slug: "lal-bos", market_id: "m1", picked_outcome: "Lakers", outcome: "Pending", event_start_at: started },
+        { id: 2, event_slug: "lal-bos", market_id: "m1", picked_outcome: "Celtics", outcome: "Pending", event_start_at: started },
+        { id: 3, event_slug: "later", market_id: "m2", picked_outcome: "Yes", outcome: "Pending", event_start_at: "2999-01-01T00:00:00Z" }
+      ],
+      wallet_live_picks: [{ id: 1, event_slug: "lal-bos", market_id: "m1", picked_outcome: "Lakers", gameStartTime: started }]
+    }
+  });
+
+  const fetched = [];
+  const summary = await runResolutionCycle(storage, {
+    fetchMarket: entry => {
+      fetched.push(entry.key);
+      return market({ closed: true, outcomePrices: '["1", "0"]' });
+    },
+    normalizeOutcome: outcome => outcome
+  });
+
+  assert.deepEqual(fetched, ["lal-bos"]);
+  assert.equal(summary.resolved, 1);
+  const { data: signals } = await storage.signals.listAll();
+  assert.deepEqual(signals.map(s => s.outcome), ["WIN", "LOSS", "Pending"]);
+  const { data: [pick] } = await storage.livePicks.listAll();
+  assert.deepEqual([pick.outcome, pick.resolved_outcome], ["WIN", "Lakers"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStorage, storageBackendFor } from "../storage.js";
+
+test("replay runs stay on the in-memory backend", () => {
+  assert.equal(storageBackendFor(undefined, "live"), "supabase");
+  assert.equal(storageBackendFor("memory", "record"), "memory");
+  assert.equal(storageBackendFor(undefined, "replay"), "memory");
+  assert.equal(storageBackendFor("memory", "replay"), "memory");
+  assert.throws(() => storageBackendFor("supabase", "replay"), /offline/);
+});
+
+test("graded signals are read page by page past the row cap", async () => {
+  const signals = Array.from({ length: 1500 }, (_, i) => ({ id: i + 1, wallet_id: 1 + (i % 3), outcome: i % 2 ? "WIN" : "LOSS" }));
+  const storage = createStorage("memory", { seed: { signals } });
+
+  const { data, error } = await storage.signals.listGraded({ columns: "id, outcome", outcomes: ["WIN", "LOSS"] });
+  assert.equal(error, null);
+  assert.equal(data.length, 1500);
+  assert.deepEqual(data.slice(998, 1002).map(s => s.id), [999, 1000, 1001, 1002]);
+});
+
+test("stored fills are looked up per wallet across transaction chunks", async () => {
+  const txs = Array.from({ length: 250 }, (_, i) => `0x${i}`);
+  const storage = createStorage("memory", {
+    seed: { signal_trades: txs.flatMap((tx, i) => [1, 2].map(walletId => ({ id: 2 * i + walletId, wallet_id: walletId, tx_hash: tx, log_index: 0 }))) }
+  });
+
+  const { data } = await storage.trades.listForTransactions(1, txs, "wallet_id, tx_hash");
+  assert.equal(data.length, 250);
+  assert.ok(data.every(row => row.wallet_id === 1));
+});
+
+test("a lead-lag run drops roles it didn't refresh", async () => {
+  const { analytics } = createStorage("memory");
+  const before = "2026-01-01T00:00:00.000Z";
+  const runAt = "2026-01-02T00:00:00.000Z";
+  await analytics.saveRoles([
+    { wallet_id: 1, role: "originator", updated_at: before },
+    { wallet_id: 2, role: "follower", updated_at: before }
+  ]);
+
+  await analytics.saveRoles([{ wallet_id: 1, role: "follower", updated_at: runAt }]);
+  const { error } = await analytics.deleteRolesBefore(runAt);
+
+  assert.equal(error, null);
+  const { data } = await analytics.listRoles();
+  assert.deepEqual(data, [{ wallet_id: 1, role: "follower" }]);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clusterWallets, collapseClusterVotes, scoreWalletPairs } from "../walletClusters.js";
+import { createStorage } from "../storage.js";
+
+const link = (a, b) => ({ wallet_a: a, wallet_b: b, agreeing: 10, overlap: 1, co_entry_rate: 1 });
+
+test("scoreWalletPairs measures overlap and co-entry on same-side picks", () => {
+  const at = minutes => new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString();
+  const pairs = scoreWalletPairs([
+    { wallet_id: 1, market_id: "m1", picked_outcome: "A", entered_at: at(0) },
+    { wallet_id: 2, market_id: "m1", picked_outcome: "A", entered_at: at(5) },
+    { wallet_id: 1, market_id: "m2", picked_outcome: "A", entered_at: at(0) },
+    { wallet_id: 2, market_id: "m2", picked_outcome: "A", entered_at: at(30) },
+    { wallet_id: 1, market_id: "m3", picked_outcome: "A", entered_at: at(0) },
+    { wallet_id: 2, market_id: "m3", picked_outcome: "B", entered_at: at(0) }
+  ]);
+
+  assert.equal(pairs.length, 1);
+  assert.deepEqual(
+    { shared: pairs[0].shared, agreeing: pairs[0].agreeing, overlap: pairs[0].overlap, co_entry_rate: pairs[0].co_entry_rate },
+    { shared: 3, agreeing: 2, overlap: 2 / 3, co_entry_rate: 0.5 }
+  );
+});
+
+test("clusterWallets unions linked pairs into components named by the lowest id", () => {
+  const { links, clusters } = clusterWallets([link(7, 3), link(3, 9), link(12, 15), { ...link(1, 2), overlap: 0.1 }]);
+
+  assert.equal(links.length, 3);
+  assert.equal(clusters.get(7), 3);
+  assert.equal(clusters.get(9), 3);
+  assert.equal(clusters.get(3), 3);
+  assert.equal(clusters.get(15), 12);
+  assert.equal(clusters.has(1), false);
+});
+
+test("clusterWallets merges components joined through a later link", () => {
+  const { clusters } = clusterWallets([link(5, 6), link(2, 3), link(6, 3)]);
+  assert.deepEqual([...new Set(clusters.values())], [2]);
+  assert.equal(clusters.size, 4);
+});
+
+test("collapseClusterVotes keeps the earliest entrant and the best segment factor", () => {
+  const votes = collapseClusterVotes([
+    { wallet_id: 1, stake: 10, enteredAt: "2026-01-01T02:00:00Z", segmentFactor: 0.5 },
+    { wallet_id: 2, stake: 20, enteredAt: "2026-01-01T01:00:00Z", segmentFactor: 1 },
+    { wallet_id: 3, stake: 30, enteredAt: null }
+  ], new Map([[1, 1], [2, 1]]));
+
+  assert.equal(votes.length, 2);
+  assert.equal(votes[0].wallet_id, 2);
+  assert.equal(votes[0].segmentFactor, 1);
+  assert.deepEqual(votes[0].members, [1, 2]);
+  assert.deepEqual(votes[1].members, [3]);
+});
+
+test("a clustering run replaces membership by upserting and dropping only what it didn't write", async () => {
+  const { analytics } = createStorage("memory");
+  const before = "2026-01-01T00:00:00.000Z";
+  const runAt = "2026-01-02T00:00:00.000Z";
+  await analytics.saveClusterMembers([
+    { wallet_id: 1, cluster_id: 1, cluster_size: 2, updated_at: before },
+    { wallet_id: 2, cluster_id: 1, cluster_size: 2, updated_at: before }
+  ]);
+  await analytics.saveClusterLinks([{ wallet_a: 1, wallet_b: 2, updated_at: before }]);
+
+  await analytics.saveClusterMembers([
+    { wallet_id: 1, cluster_id: 1, cluster_size: 2, updated_at: runAt },
+    { wallet_id: 3, cluster_id: 1, cluster_size: 2, updated_at: runAt }
+  ]);
+  await analytics.saveClusterLinks([{ wallet_a: 1, wallet_b: 3, updated_at: runAt }]);
+  const { error } = await analytics.deleteClustersBefore(runAt);
+
+  assert.equal(error, null);
+  const { data: members } = await analytics.listClusterMembers();
+  assert.deepEqual(members, [{ wallet_id: 1, cluster_id: 1 }, { wallet_id: 3, cluster_id: 1 }]);
+});
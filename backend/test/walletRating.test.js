@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { betaCdf, betaQuantile, decidePause, populationPrior, rateWallet } from "../walletRating.js";
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} ≉ ${expected}`);
+
+test("betaCdf matches closed forms", () => {
+  close(betaCdf(0.3, 1, 1), 0.3);            // uniform
+  close(betaCdf(0.5, 2, 2), 0.5);            // symmetric
+  close(betaCdf(0.4, 2, 1), 0.16);           // x^2
+  close(betaCdf(0.4, 1, 3), 1 - 0.6 ** 3);   // 1 - (1-x)^3
+  assert.equal(betaCdf(0, 3, 4), 0);
+  assert.equal(betaCdf(1, 3, 4), 1);
+});
+
+test("betaQuantile inverts betaCdf", () => {
+  for (const [p, a, b] of [[0.05, 12, 8], [0.5, 3, 3], [0.95, 30.5, 20.5]]) {
+    close(betaCdf(betaQuantile(p, a, b), a, b), p, 1e-9);
+  }
+});
+
+test("populationPrior pools every record into a prior of the given strength", () => {
+  const prior = populationPrior([
+    { wins: 6, losses: 4, stake: 100, pnl: 10 },
+    { wins: 4, losses: 6, stake: 100, pnl: -30 }
+  ], 20);
+  assert.equal(prior.winProb, 0.5);
+  assert.equal(prior.alpha, 10);
+  assert.equal(prior.beta, 10);
+  assert.equal(prior.roi, -0.1);
+
+  const empty = populationPrior([]);
+  assert.equal(empty.winProb, 0.5);
+  assert.equal(empty.roi, 0);
+});
+
+test("rateWallet returns the beta posterior, ignoring pushes for win probability", () => {
+  const prior = { alpha: 10, beta: 10, winProb: 0.5, roi: 0 };
+  const rating = rateWallet({ wins: 15, losses: 5, pushes: 3, stake: 2000, pnl: 400 }, prior);
+
+  assert.equal(rating.picks, 20);
+  assert.equal(rating.pushes, 3);
+  close(rating.win_prob, 25 / 40);
+  close(betaCdf(rating.win_prob_lower, 25, 15), 0.05, 1e-9);
+  close(betaCdf(rating.win_prob_upper, 25, 15), 0.95, 1e-9);
+  assert.equal(rating.roi, 0.2);
+  close(rating.roi_shrunk, 0.1); // 20 picks vs. 20 prior picks at ROI 0
+});
+
+test("rateWallet with no stake takes the prior ROI", () => {
+  const rating = rateWallet({ wins: 0, losses: 0, stake: 0, pnl: 0 }, { alpha: 5, beta: 5, winProb: 0.5, roi: 0.04 });
+  assert.equal(rating.roi, null);
+  assert.equal(rating.roi_shrunk, 0.04);
+});
+
+test("decidePause pauses on a credibly bad record and unpauses on the posterior mean", () => {
+  const bad = { picks: 30, win_prob: 0.35, win_prob_upper: 0.45 };
+  const recovering = { picks: 30, win_prob: 0.52, win_prob_upper: 0.65 };
+  const unsure = { picks: 30, win_prob: 0.45, win_prob_upper: 0.55 };
+
+  assert.equal(decidePause(bad, false), true);
+  assert.equal(decidePause(recovering, true), false);
+  assert.equal(decidePause(unsure, true), true);
+  assert.equal(decidePause(unsure, false), false);
+  assert.equal(decidePause({ ...bad, picks: 3 }, false), false);
+});
@@ -1,8 +1,41 @@
-import { createClient } from "@supabase/supabase-js";
-import fetch from "node-fetch";
 import cron from "node-cron";
 import http from "http";
+import { createHash } from "crypto";
 import { runMarketNoExtremes } from "./marketNoExtremes.js";
+import {
+  buildPositions,
+  markPosition,
+  positionExposure,
+  positionPnl,
+  summarizePositions
+} from "./positionLedger.js";
+import {
+  CONFIDENCE_THRESHOLDS,
+  HEDGE_RATIO,
+  buildWalletStats,
+  classifySegment,
+  earlySignalHolds,
+  getConfidenceEmoji,
+  netOutcome,
+  pickConfidence,
+  scoreMarketPicks,
+  segmentFactor,
+  tallyWalletVotes
+} from "./consensus.js";
+import { decidePause, populationPrior, rateWallet } from "./walletRating.js";
+import { clusterWallets, scoreWalletPairs } from "./walletClusters.js";
+import { entryOrder, scoreLeadLag } from "./leadLag.js";
+import { parseList, parseMarketLine } from "./marketLines.js";
+import { RESULT_EMOJIS, VOID_OUTCOMES, gradePick, isUnsettledUmaStatus, marketSettlement, marketWinner, runResolutionCycle } from "./resolution.js";
+import { createMarketCache } from "./marketCache.js";
+import { createApiClient, mapWithConcurrency } from "./polymarketApi.js";
+import { createClock, createDataSource } from "./dataSources.js";
+import { createPublishers } from "./publishers.js";
+import { createStorage, storageBackendFor } from "./storage.js";
+import { STRATEGIES, simulateBankroll } from "./bankroll.js";
+import { closingLineValue } from "./clv.js";
+import { calibrationReport, formatCalibrationRows } from "./calibration.js";
+import { RECAP_HEADERS, buildRecap, formatRecap, recapWindow } from "./recap.js";
 
 /* ===========================
    ENV & CONFIG
@@ -15,35 +48,123 @@ const TIMEZONE = process.env.TIMEZONE || "America/New_York";
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || "30000", 10);
 const MIN_WALLETS_FOR_SIGNAL = parseInt(process.env.MIN_WALLETS_FOR_SIGNAL || "8", 10);
 const FORCE_SEND = process.env.FORCE_SEND === "true";
-const RESULT_EMOJIS = { WIN: "✅", LOSS: "❌", Pending: "⚪" };
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) throw new Error("Supabase keys required");
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+// Activity ingestion: pages per poll, and per backfill checkpoint / run
+const ACTIVITY_PAGE_SIZE = 500;
+const ACTIVITY_MAX_PAGES = parseInt(process.env.ACTIVITY_MAX_PAGES || "4", 10);
+const BACKFILL_MAX_CHECKPOINTS = parseInt(process.env.BACKFILL_MAX_CHECKPOINTS || "10", 10);
+
+// Wallet ratings: windows in days, the one that drives pausing, and the credible-interval rule
+const WALLET_RATING_WINDOWS = (process.env.WALLET_RATING_WINDOWS || "7,30,90").split(",").map(Number).filter(Boolean);
+const WALLET_RATING_PAUSE_WINDOW = parseInt(process.env.WALLET_RATING_PAUSE_WINDOW || "30", 10);
+const WALLET_RATING_THRESHOLD = parseFloat(process.env.WALLET_RATING_THRESHOLD || "0.5");
+const WALLET_RATING_CREDIBLE_MASS = parseFloat(process.env.WALLET_RATING_CREDIBLE_MASS || "0.9");
+const WALLET_RATING_MIN_PICKS = parseInt(process.env.WALLET_RATING_MIN_PICKS || "5", 10);
+const WALLET_RATING_PRIOR_STRENGTH = parseInt(process.env.WALLET_RATING_PRIOR_STRENGTH || "20", 10);
+const WALLET_RATING_INTERVAL_MINUTES = parseInt(process.env.WALLET_RATING_INTERVAL_MINUTES || "60", 10);
+
+// Segment (league × market type) picks needed before a wallet's edge there is judged
+const SEGMENT_MIN_PICKS = parseInt(process.env.SEGMENT_MIN_PICKS || "10", 10);
+
+// Wallet clustering: same-side picks, overlap and co-entry needed to link two wallets
+const CLUSTER_MIN_SHARED_PICKS = parseInt(process.env.CLUSTER_MIN_SHARED_PICKS || "5", 10);
+const CLUSTER_MIN_OVERLAP = parseFloat(process.env.CLUSTER_MIN_OVERLAP || "0.6");
+const CLUSTER_MIN_CO_ENTRY = parseFloat(process.env.CLUSTER_MIN_CO_ENTRY || "0.5");
+const CLUSTER_CO_ENTRY_WINDOW_MINUTES = parseInt(process.env.CLUSTER_CO_ENTRY_WINDOW_MINUTES || "10", 10);
+const CLUSTER_INTERVAL_MINUTES = parseInt(process.env.CLUSTER_INTERVAL_MINUTES || "360", 10);
+
+// Lead-lag: shared picks before a wallet's role is judged, and wallets that must follow an originator to fire early
+const LEAD_LAG_MIN_MARKETS = parseInt(process.env.LEAD_LAG_MIN_MARKETS || "5", 10);
+const LEAD_LAG_INTERVAL_MINUTES = parseInt(process.env.LEAD_LAG_INTERVAL_MINUTES || "360", 10);
+const EARLY_SIGNAL_MIN_JOINERS = parseInt(process.env.EARLY_SIGNAL_MIN_JOINERS || "3", 10);
+
+// Resolution: pending markets fetched per cycle (oldest game first; the rest wait a cycle)
+const RESOLUTION_MAX_MARKETS = parseInt(process.env.RESOLUTION_MAX_MARKETS || "200", 10);
+// Hours a graded market keeps being re-checked for corrections (score fixes, overturned proposals)
+const RESULT_RECHECK_HOURS = parseInt(process.env.RESULT_RECHECK_HOURS || "48", 10);
+
+// Market cache: TTL per market state (seconds), in-memory entries, and whether to persist to the `markets` table
+const MARKET_CACHE_TTL_LIVE = parseInt(process.env.MARKET_CACHE_TTL_LIVE || "60", 10);
+const MARKET_CACHE_TTL_OPEN = parseInt(process.env.MARKET_CACHE_TTL_OPEN || "600", 10);
+const MARKET_CACHE_TTL_CLOSED = parseInt(process.env.MARKET_CACHE_TTL_CLOSED || "120", 10);
+const MARKET_CACHE_TTL_RESOLVED = parseInt(process.env.MARKET_CACHE_TTL_RESOLVED || "604800", 10);
+const MARKET_CACHE_MAX_ENTRIES = parseInt(process.env.MARKET_CACHE_MAX_ENTRIES || "2000", 10);
+const MARKET_CACHE_PERSIST = process.env.MARKET_CACHE_PERSIST === "true";
+
+// Polymarket API client: requests in flight, per-host rate (req/s and burst), attempts, per-attempt timeout, circuit breaker
+const API_CONCURRENCY = parseInt(process.env.API_CONCURRENCY || "6", 10);
+const API_RATE_PER_SECOND = parseFloat(process.env.API_RATE_PER_SECOND || "5");
+const API_BURST = parseInt(process.env.API_BURST || "10", 10);
+const API_RETRIES = parseInt(process.env.API_RETRIES || "3", 10);
+const API_TIMEOUT_MS = parseInt(process.env.API_TIMEOUT_MS || "10000", 10);
+const API_BREAKER_THRESHOLD = parseInt(process.env.API_BREAKER_THRESHOLD || "5", 10);
+const API_BREAKER_COOLDOWN_SECONDS = parseInt(process.env.API_BREAKER_COOLDOWN_SECONDS || "60", 10);
+// Wallets tracked side by side each loop
+const WALLET_CONCURRENCY = parseInt(process.env.WALLET_CONCURRENCY || "4", 10);
+
+// Data source: live | record (live + save responses as fixtures) | replay (fixtures only, offline).
+// Replay also posts nothing (Telegram / notes go to the fixtures outbox) and runs from the recorded time, or DATA_REPLAY_START
+const DATA_SOURCE_MODE = process.env.DATA_SOURCE_MODE || "live";
+const DATA_FIXTURES_DIR = process.env.DATA_FIXTURES_DIR || new URL("./fixtures/", import.meta.url).pathname;
+const DATA_REPLAY_START = process.env.DATA_REPLAY_START || null;
+
+// Storage: supabase (hosted) | memory (local runs / tests, optionally seeded from a JSON file of { table: [rows] }).
+// Replay always runs on memory
+const STORAGE_BACKEND = storageBackendFor(process.env.STORAGE_BACKEND, DATA_SOURCE_MODE);
+const STORAGE_SEED_FILE = process.env.STORAGE_SEED_FILE || null;
+
+// Bankroll simulation: starting bankroll, flat stake (= one star unit), Kelly multiplier and per-pick cap
+const BANKROLL_START = parseFloat(process.env.BANKROLL_START || "10000");
+const BANKROLL_FLAT_STAKE = parseFloat(process.env.BANKROLL_FLAT_STAKE || "100");
+const BANKROLL_KELLY_MULTIPLIER = parseFloat(process.env.BANKROLL_KELLY_MULTIPLIER || "0.25");
+const BANKROLL_KELLY_MAX_FRACTION = parseFloat(process.env.BANKROLL_KELLY_MAX_FRACTION || "0.05");
+
+// Closing line: a sent pick's start price is taken from this long before gameStartTime until this long after
+const CLV_START_LEAD_MINUTES = parseInt(process.env.CLV_START_LEAD_MINUTES || "5", 10);
+const CLV_START_GRACE_MINUTES = parseInt(process.env.CLV_START_GRACE_MINUTES || "15", 10);
+// Hours after the start (or the send, without one) before a market never seen closed stops being polled
+const CLV_CLOSE_CUTOFF_HOURS = parseInt(process.env.CLV_CLOSE_CUTOFF_HOURS || "72", 10);
+
+// Calibration: graded picks before a tier / vote bucket can be flagged, and the hit-rate interval's mass
+const CALIBRATION_MIN_PICKS = parseInt(process.env.CALIBRATION_MIN_PICKS || "10", 10);
+const CALIBRATION_CREDIBLE_MASS = parseFloat(process.env.CALIBRATION_CREDIBLE_MASS || "0.9");
+
+// Recaps: weekly / monthly cron schedules in TIMEZONE (the daily recap goes out with the daily cron)
+const RECAP_WEEKLY_CRON = process.env.RECAP_WEEKLY_CRON || "15 7 * * 1";
+const RECAP_MONTHLY_CRON = process.env.RECAP_MONTHLY_CRON || "30 7 1 * *";
+
+const storage = createStorage(STORAGE_BACKEND, {
+  supabaseUrl: SUPABASE_URL,
+  supabaseKey: SUPABASE_SERVICE_ROLE_KEY,
+  seedFile: STORAGE_SEED_FILE
+});
+if (STORAGE_BACKEND !== "supabase") console.log(`🗄️ Storage: ${STORAGE_BACKEND}`);
+
+// Every Gamma / Data API request goes through this client
+const polymarketApi = createApiClient({
+  concurrency: API_CONCURRENCY,
+  ratePerSecond: API_RATE_PER_SECOND,
+  burst: API_BURST,
+  retries: API_RETRIES,
+  timeoutMs: API_TIMEOUT_MS,
+  breakerThreshold: API_BREAKER_THRESHOLD,
+  breakerCooldownMs: API_BREAKER_COOLDOWN_SECONDS * 1000
+});
 
-/* ===========================
-   Confidence thresholds (Top-level)
-=========================== */
-const CONFIDENCE_THRESHOLDS = {
-  "⭐": 8,
-  "⭐⭐": 15,
-  "⭐⭐⭐": 25,
-  "⭐⭐⭐⭐": 35,
-  "⭐⭐⭐⭐⭐": 45
-};
+// Leaderboard, activity and market lookups; replay mode never touches the network
+const dataSource = createDataSource(DATA_SOURCE_MODE, { api: polymarketApi, dir: DATA_FIXTURES_DIR });
+if (DATA_SOURCE_MODE !== "live") console.log(`📼 Data source: ${DATA_SOURCE_MODE} (${DATA_FIXTURES_DIR})`);
 
-function getConfidenceEmoji(confidence) {
-  if (confidence < CONFIDENCE_THRESHOLDS["⭐⭐"]) return "⭐";
-  if (confidence < CONFIDENCE_THRESHOLDS["⭐⭐⭐"]) return "⭐⭐";
-  if (confidence < CONFIDENCE_THRESHOLDS["⭐⭐⭐⭐"]) return "⭐⭐⭐";
-  if (confidence < CONFIDENCE_THRESHOLDS["⭐⭐⭐⭐⭐"]) return "⭐⭐⭐⭐";
-  return "⭐⭐⭐⭐⭐";
-}
+// Every "now" in the tracker — wall time, or the recorded time when replaying
+const clock = createClock(DATA_SOURCE_MODE, { dir: DATA_FIXTURES_DIR, start: DATA_REPLAY_START });
 
-function resolveNumericConfidence(pick) {
-  return Number.isFinite(pick.confidence) && pick.confidence > 0
-    ? pick.confidence
-    : pick.vote_count;
-}
+// Telegram posts and notes writes; replay records them to the outbox instead
+const publishers = createPublishers(DATA_SOURCE_MODE, {
+  telegram: { token: TELEGRAM_BOT_TOKEN, chatId: TELEGRAM_CHAT_ID },
+  notes: storage.notes,
+  dir: DATA_FIXTURES_DIR,
+  now: clock.now
+});
 
 /* ===========================
    Format Event Time (Configurable TZ) 
@@ -126,27 +247,22 @@ process.on("uncaughtException", err => console.error("🔥 Uncaught exception:",
 /* ===========================
    ADD-ON FEATURE (SAFE)
 =========================== */
-runMarketNoExtremes(supabase);
+runMarketNoExtremes(storage.scanner, dataSource, null, null, clock.now);
 
 /* ===========================
-   Returns total $ amount picked per outcome for a wallet on a specific event
+   Returns total $ stake held per outcome for a wallet on a specific event (position ledger)
 =========================== */
 async function getWalletOutcomeTotals(walletId, eventSlug) {
-  const { data, error } = await supabase
-    .from("signals")
-    .select("picked_outcome, pnl")
-    .eq("wallet_id", walletId)
-    .eq("event_slug", eventSlug)
-    .not("picked_outcome", "is", null)
-    .not("pnl", "is", null);
+  const { data, error } = await storage.exposure.positionsForEvent(walletId, eventSlug);
 
   if (error || !data?.length) return {};
 
   const totals = {};
 
-  for (const sig of data) {
-    totals[sig.picked_outcome] =
-      (totals[sig.picked_outcome] || 0) + Number(sig.pnl);
+  for (const pos of data) {
+    const stake = positionExposure(pos);
+    if (stake <= 0) continue;
+    totals[pos.outcome] = (totals[pos.outcome] || 0) + stake;
   }
 
   return totals;
@@ -159,273 +275,29 @@ function toBlockquote(text) {
   return text.split("\n").map(line => `> ${line}`).join("\n");
 }
 
-async function sendTelegram(text, useBlockquote = false) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
-  if (useBlockquote) {
-    text = text.split("\n").map(line => `> ${line}`).join("\n"); // only apply if true
-  }
-  try {
-    await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ chat_id: TELEGRAM_CHAT_ID, text, parse_mode: "Markdown" }),
-    });
-  } catch (err) {
-    console.error("Telegram send failed:", err.message);
-  }
-}
-
-async function fetchWithRetry(url, options = {}, retries = 3, delay = 1000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, options);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      return await res.json();
-    } catch (err) {
-      if (i < retries - 1) await new Promise(r => setTimeout(r, delay));
-      else throw err;
-    }
-  }
-}
-
-async function autoResolvePendingSignals() {
-  // 1️⃣ Fetch all pending signals
-  const { data: pendingSignals, error: fetchError } = await supabase
-    .from("signals")
-    .select("*")
-    .eq("outcome", "Pending");
-
-  if (fetchError) {
-    console.error("❌ Failed fetching pending signals:", fetchError.message);
-    return;
-  }
-
-  if (!pendingSignals?.length) return;
-
-  let resolvedCount = 0;
-
-  // Group signals by market & outcome to count votes
-  const voteMap = new Map();
-  for (const sig of pendingSignals) {
-    const key = `${sig.market_id}||${sig.picked_outcome}`;
-    if (!voteMap.has(key)) voteMap.set(key, { walletIds: new Set(), signals: [] });
-    const entry = voteMap.get(key);
-    entry.walletIds.add(sig.wallet_id);
-    entry.signals.push(sig);
-  }
-
-  for (const sig of pendingSignals) {
-    try {
-      const market = await fetchMarketSafe(sig.event_slug);
-      if (!market || !market.outcome) continue;
-
-      const winningOutcome = market.outcome;
-      const result = sig.picked_outcome === winningOutcome ? "WIN" : "LOSS";
-
-      // 2️⃣ Update the signal regardless of vote count
-      const { error: updateSignalError } = await supabase
-        .from("signals")
-        .update({
-          outcome: result,
-          resolved_outcome: winningOutcome,
-          outcome_at: new Date()
-        })
-        .eq("id", sig.id);
-
-      if (updateSignalError) {
-        console.error(`❌ Failed updating signal ${sig.id}:`, updateSignalError.message);
-        continue;
-      }
-
-      // 3️⃣ Only update/insert wallet_live_picks if vote count >= MIN_WALLETS_FOR_SIGNAL
-      const voteEntry = voteMap.get(`${sig.market_id}||${sig.picked_outcome}`);
-      if (voteEntry.walletIds.size < MIN_WALLETS_FOR_SIGNAL) continue;
-
-      const { data: existingPick, error: existingError } = await supabase
-        .from("wallet_live_picks")
-        .select("*")
-        .eq("market_id", sig.market_id)
-        .eq("picked_outcome", sig.picked_outcome)
-        .maybeSingle();
-
-      if (existingError) {
-        console.error(`❌ Error fetching wallet_live_pick for market ${sig.market_id}:`, existingError.message);
-        continue;
-      }
-
-      if (existingPick) {
-        // Merge wallet IDs and update outcome
-        const updatedWallets = Array.from(new Set([...(existingPick.wallets || []), ...voteEntry.walletIds]));
-        const { error: updatePickError } = await supabase
-          .from("wallet_live_picks")
-          .update({
-            vote_count: updatedWallets.length,
-            wallets: updatedWallets,
-            outcome: result,
-            resolved_outcome: winningOutcome
-          })
-          .eq("id", existingPick.id);
-
-        if (updatePickError) {
-          console.error(`❌ Failed updating wallet_live_pick ${existingPick.id}:`, updatePickError.message);
-          continue;
-        }
-      } else {
-        // Insert new live pick
-        const { error: insertPickError } = await supabase
-          .from("wallet_live_picks")
-          .insert({
-            market_id: sig.market_id,
-            picked_outcome: sig.picked_outcome,
-            vote_count: voteEntry.walletIds.size,
-            wallets: Array.from(voteEntry.walletIds),
-            outcome: result,
-            resolved_outcome: winningOutcome,
-            fetched_at: new Date(),
-            market_name: sig.market_name,
-            event_slug: sig.event_slug
-          });
-
-        if (insertPickError) {
-          console.error(`❌ Failed inserting wallet_live_pick for market ${sig.market_id}:`, insertPickError.message);
-          continue;
-        }
-      }
-
-      resolvedCount++;
-    } catch (err) {
-      console.error(`❌ Error processing signal ${sig.id}:`, err.message);
-    }
-  }
-
-  console.log(`✅ Auto-resolved ${resolvedCount} pending signal(s)`);
-}
-
-/* ===========================
-   Resolve Markets (FINAL — Safe & Deterministic) - Updates signals outcomes - Updates wallet_live_picks outcomes ONLY if row already exists - NEVER creates or mutates votes/wallets
-=========================== */
-async function resolveMarkets() {
-  // 1️⃣ Fetch unresolved signals with a valid event_slug
-  const { data: signals, error: fetchError } = await supabase
-    .from("signals")
-    .select("*")
-    .not("event_slug", "is", null);
-
-  if (fetchError) {
-    console.error("❌ Failed fetching signals:", fetchError.message);
-    return;
-  }
-
-  if (!signals?.length) return;
-
-  // 2️⃣ Group signals by event_slug
-  const signalsByEvent = signals.reduce((acc, sig) => {
-    if (!acc[sig.event_slug]) acc[sig.event_slug] = [];
-    acc[sig.event_slug].push(sig);
-    return acc;
-  }, {});
-
-  // 3️⃣ Resolve each event
-  for (const [eventSlug, sigs] of Object.entries(signalsByEvent)) {
-    try {
-      const market = await fetchMarketSafe(eventSlug);
-      if (!market || !market.outcome) continue;
-
-      const winningOutcome = market.outcome;
-
-      for (const sig of sigs) {
-        const result = sig.picked_outcome === winningOutcome ? "WIN" : "LOSS";
-
-        // Skip if already resolved correctly
-        if (
-          sig.outcome === result &&
-          sig.resolved_outcome === winningOutcome
-        ) {
-          continue;
-        }
-
-        // 4️⃣ Update signals table (source of truth)
-        const { error: updateSignalError } = await supabase
-          .from("signals")
-          .update({
-            outcome: result,
-            resolved_outcome: winningOutcome,
-            outcome_at: new Date()
-          })
-          .eq("id", sig.id);
-
-        if (updateSignalError) {
-          console.error(
-            `❌ Failed updating signal ${sig.id}:`,
-            updateSignalError.message
-          );
-          continue;
-        }
-
-        // 5️⃣ Update wallet_live_picks ONLY if it already exists
-        const { data: existingPick, error: pickError } = await supabase
-          .from("wallet_live_picks")
-          .select("id")
-          .eq("market_id", sig.market_id)
-          .eq("picked_outcome", sig.picked_outcome)
-          .maybeSingle();
-
-        if (pickError) {
-          console.error(
-            `❌ Error fetching wallet_live_pick for market ${sig.market_id}:`,
-            pickError.message
-          );
-          continue;
-        }
-
-        // IMPORTANT: do nothing if rebuild never created this pick
-        if (!existingPick) continue;
-
-        const { error: updatePickError } = await supabase
-          .from("wallet_live_picks")
-          .update({
-            outcome: result,
-            resolved_outcome: winningOutcome
-          })
-          .eq("id", existingPick.id);
-
-        if (updatePickError) {
-          console.error(
-            `❌ Failed updating wallet_live_pick ${existingPick.id}:`,
-            updatePickError.message
-          );
-        }
-      }
-    } catch (err) {
-      console.error(
-        `❌ Failed processing signals for event ${eventSlug}:`,
-        err.message
-      );
-    }
-  }
-
-  console.log("✅ Markets resolved safely (signals + existing wallet_live_picks only)");
+// Resolves "sent" once Telegram accepted the message (replay: once it's in the outbox), "skipped" when no bot is
+// configured, "failed" otherwise; only "failed" holds a send back for a retry
+function sendTelegram(text, useBlockquote = false) {
+  return publishers.telegram.send(useBlockquote ? toBlockquote(text) : text);
 }
 
 /* ===========================
-   Resolve Wallet Event Outcome (PnL-weighted & deterministic)
+   Resolve Wallet Event Outcome (stake-weighted & deterministic)
 =========================== */
 async function resolveWalletEventOutcome(walletId, eventSlug) {
   // 1️⃣ Fetch resolved signals (WIN / LOSS) for this wallet/event
-  const { data: signals } = await supabase
-    .from("signals")
-    .select("picked_outcome, outcome, pnl")
-    .eq("wallet_id", walletId)
-    .eq("event_slug", eventSlug)
-    .in("outcome", ["WIN", "LOSS"]);
+  const { data: signals } = await storage.signals.listForWalletEvent(walletId, eventSlug, {
+    columns: "picked_outcome, outcome, amount",
+    outcomes: ["WIN", "LOSS"]
+  });
 
   if (!signals?.length) return null;
 
-  // 2️⃣ Aggregate total PnL per picked outcome
+  // 2️⃣ Aggregate total stake per picked outcome
   const totals = {};
   for (const sig of signals) {
-    if (!sig.picked_outcome || sig.pnl == null) continue;
-    totals[sig.picked_outcome] = (totals[sig.picked_outcome] || 0) + Number(sig.pnl);
+    if (!sig.picked_outcome || sig.amount == null) continue;
+    totals[sig.picked_outcome] = (totals[sig.picked_outcome] || 0) + Number(sig.amount);
   }
 
   const outcomeKeys = Object.keys(totals);
@@ -436,10 +308,10 @@ async function resolveWalletEventOutcome(walletId, eventSlug) {
     const sorted = Object.entries(totals).sort((a, b) => b[1] - a[1]);
     const [topOutcome, topAmount] = sorted[0];
     const secondAmount = sorted[1]?.[1] ?? 0;
-    if (secondAmount > 0 && topAmount / secondAmount < 1.05) return null;
+    if (secondAmount > 0 && topAmount / secondAmount < HEDGE_RATIO) return null;
   }
 
-  // 4️⃣ Determine net pick: outcome with highest total PnL
+  // 4️⃣ Determine net pick: outcome with highest total stake
   const sortedTotals = Object.entries(totals).sort((a, b) => b[1] - a[1]);
   const [netPick] = sortedTotals[0];
 
@@ -453,19 +325,18 @@ async function resolveWalletEventOutcome(walletId, eventSlug) {
 =========================== */
 async function countWalletDailyLosses(walletId) {
   // Start & end of today
-  const start = new Date();
+  const start = clock.date();
   start.setHours(0, 0, 0, 0);
-  const end = new Date();
+  const end = clock.date();
   end.setHours(23, 59, 59, 999);
 
   // 1️⃣ Fetch all signals for this wallet that resolved today
-  const { data: signals } = await supabase
-    .from("signals")
-    .select("event_slug, picked_outcome, outcome, pnl")
-    .eq("wallet_id", walletId)
-    .in("outcome", ["WIN", "LOSS"])
-    .gte("outcome_at", start.toISOString())
-    .lte("outcome_at", end.toISOString());
+  const { data: signals } = await storage.signals.listGradedForWallet(walletId, {
+    columns: "event_slug, picked_outcome, outcome, pnl",
+    outcomes: ["WIN", "LOSS"],
+    from: start.toISOString(),
+    to: end.toISOString()
+  });
 
   if (!signals?.length) return 0;
 
@@ -494,8 +365,7 @@ async function fetchAndInsertLeaderboardWallets() {
   for (const category of categories) {
     for (const period of periods) {
       try {
-        const url = `https://data-api.polymarket.com/v1/leaderboard?category=${category}&timePeriod=${period}&orderBy=PNL&limit=20`;
-        const data = await fetchWithRetry(url, { headers: { "User-Agent": "Mozilla/5.0" } });
+        const data = await dataSource.leaderboard({ category, period, limit: 20 });
 
         if (!Array.isArray(data)) continue;
 
@@ -510,11 +380,7 @@ const MAX_VOL_MULTIPLIER = 2;
 if ((entry.pnl || 0) < MIN_PNL || (entry.vol || 0) > MAX_VOL_MULTIPLIER * (entry.pnl || 0)) continue;
 
           // Check if wallet already exists
-          const { data: existingWallet, error: checkError } = await supabase
-            .from("wallets")
-            .select("id")
-            .eq("polymarket_proxy_wallet", proxyWallet)
-            .maybeSingle();
+          const { data: existingWallet, error: checkError } = await storage.wallets.findByProxy(proxyWallet);
 
           if (checkError) {
             console.error(`❌ Supabase check failed for ${proxyWallet}:`, checkError.message);
@@ -524,19 +390,18 @@ if ((entry.pnl || 0) < MIN_PNL || (entry.vol || 0) > MAX_VOL_MULTIPLIER * (entry
           if (existingWallet) continue;
 
           // Insert new wallet
-          const { data: insertedWallet, error: insertError } = await supabase
-            .from("wallets")
-            .insert({
+          const { data: insertedWallet, error: insertError } = await storage.wallets.insert({
               polymarket_proxy_wallet: proxyWallet,
               polymarket_username: entry.userName || null,
-              last_checked: new Date(),
+              last_checked: clock.date(),
               paused: false,
               losing_streak: 0,
               win_rate: 0,
               force_fetch: true,
-            })
-            .select("*")
-            .maybeSingle();
+              activity_cursor_ts: 0,
+              activity_cursor_offset: 0,
+              backfill_complete: false,
+            });
 
           if (insertError || !insertedWallet) {
             console.error(`❌ Failed inserting wallet ${proxyWallet}:`, insertError?.message || "No wallet returned");
@@ -561,181 +426,586 @@ if ((entry.pnl || 0) < MIN_PNL || (entry.vol || 0) > MAX_VOL_MULTIPLIER * (entry
 }
 
 /* ===========================
-   Fetch Wallet Activity (DATA-API)
+   Fetch Wallet Activity Page (DATA-API)
+   - Oldest first from `start`, skipping `offset` rows at that timestamp
+   - Returns null when the request failed (retries exhausted / circuit open) so callers keep their cursor
 =========================== */
-async function fetchWalletActivities(proxyWallet, retries = 3) {
+async function fetchWalletActivities(proxyWallet, { start = 0, offset = 0, limit = ACTIVITY_PAGE_SIZE } = {}) {
   if (!proxyWallet) return [];
 
-  const url = `https://data-api.polymarket.com/activity?limit=100&sortBy=TIMESTAMP&sortDirection=DESC&user=${proxyWallet}`;
+  try {
+    const data = await dataSource.activity(proxyWallet, { start, offset, limit });
+    return Array.isArray(data) ? data : [];
+  } catch (err) {
+    if (err.status === 404) {
+      console.warn(`❌ Activity fetch 404 for wallet ${proxyWallet}`);
+      return [];
+    }
+    console.error(`❌ Activity fetch failed for wallet ${proxyWallet}: ${err.message}`);
+    return null;
+  }
+}
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const res = await fetch(url, {
-        headers: { "User-Agent": "Mozilla/5.0", Accept: "application/json" },
-      });
+/* ===========================
+   Activity Cursor Helpers
+   - Cursor = last ingested timestamp + number of rows already taken at that timestamp
+=========================== */
+function getActivityCursor(wallet) {
+  return {
+    ts: Number(wallet.activity_cursor_ts) || 0,
+    offset: Number(wallet.activity_cursor_offset) || 0
+  };
+}
 
-      if (res.status === 404) {
-        console.warn(`❌ Activity fetch 404 for wallet ${proxyWallet}`);
-        return [];
-      }
+function advanceActivityCursor(cursor, rows) {
+  let { ts, offset } = cursor;
+  for (const row of rows) {
+    const rowTs = Number(row.timestamp) || 0;
+    if (rowTs === ts) {
+      offset++;
+    } else {
+      ts = rowTs;
+      offset = 1;
+    }
+  }
+  return { ts, offset };
+}
 
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+async function saveActivityCursor(wallet, cursor, backfillComplete) {
+  const update = {
+    activity_cursor_ts: cursor.ts,
+    activity_cursor_offset: cursor.offset,
+    last_checked: clock.date()
+  };
+  if (backfillComplete) update.backfill_complete = true;
 
-      const data = await res.json();
-      if (!Array.isArray(data)) return [];
-      return data;
+  const { error } = await storage.wallets.update(wallet.id, update);
 
-    } catch (err) {
-      console.error(`❌ Activity fetch attempt ${attempt} failed for wallet ${proxyWallet}: ${err.message}`);
-      if (attempt < retries) await new Promise(r => setTimeout(r, 1000 * attempt));
+  if (error) {
+    console.error(`❌ Failed saving activity cursor for wallet ${wallet.id}:`, error.message);
+    return false;
+  }
+
+  // Keep the in-memory row in step so the next checkpoint continues from here
+  Object.assign(wallet, update);
+  return true;
+}
+
+/* ===========================
+   Trade Key Helpers
+   - Activity rows usually carry no log index, so a fill's index is derived from its own contents
+     (asset, type, side, price, size) and its row position at its timestamp in the activity feed —
+     the same position the cursor's offset counts, so the same fill gets the same key on every page
+     and poll, and identical fills of one transaction stay apart however pages split it
+=========================== */
+function tradeKey(fill) {
+  return `${fill.tx_hash}:${fill.log_index}`;
+}
+
+function fillContent(fill) {
+  const side = String(fill.side || "BUY").toUpperCase();
+  return [fill.tx_hash, fill.asset, fill.type, side, Number(fill.price), Number(fill.size)].join("|");
+}
+
+// 31 bits: fits signal_trades.log_index (int)
+const hashLogIndex = key => createHash("sha256").update(key).digest().readUInt32BE(0) >>> 1;
+
+// timestamp_position: rows before this one at its timestamp (set by fetchWalletPositions)
+function positionLogIndex(fill) {
+  return hashLogIndex(`${fillContent(fill)}|@${fill.timestamp_position}`);
+}
+
+// Earlier rows were keyed on identical fills numbered within one fetched batch (seen: contents → count so far)
+function contentLogIndex(fill, seen) {
+  const content = fillContent(fill);
+  const occurrence = seen.get(content) || 0;
+  seen.set(content, occurrence + 1);
+  return hashLogIndex(`${content}|${occurrence}`);
+}
+
+function assignLogIndexes(positions) {
+  for (const pos of positions) {
+    if (pos.tx_hash && pos.log_index == null) pos.log_index = positionLogIndex(pos);
+  }
+  return positions.filter(p => p.tx_hash);
+}
+
+async function fetchStoredTradeKeys(walletId, txHashes) {
+  const { data, error } = await storage.trades.listForTransactions(
+    walletId,
+    [...new Set(txHashes.filter(Boolean))],
+    "tx_hash, log_index, asset, type, side, price, size"
+  );
+
+  if (error) {
+    console.error(`❌ Failed fetching stored trades for wallet ${walletId}:`, error.message);
+    return null;
+  }
+
+  // Rows stored under per-batch indexes are still recognized by their contents
+  const keys = new Set();
+  const seen = new Map();
+  for (const row of data) {
+    keys.add(tradeKey(row));
+    keys.add(`${row.tx_hash}:${contentLogIndex(row, seen)}`);
+  }
+
+  return keys;
+}
+
+/* ===========================
+   Outcome Attribution Helpers
+   - Gamma returns outcomes / clobTokenIds as JSON strings (parseList)
+   - A fill maps to an outcome by token id, then outcomeIndex, then outcome name
+=========================== */
+function resolveFillOutcome(pos, market) {
+  const outcomes = parseList(market?.outcomes);
+  const tokenIds = parseList(market?.clobTokenIds);
+
+  // Grouped event: only a candidate's YES token picks it. A NO bets against one candidate
+  // without naming another, so it stays in the ledger but never becomes a pick.
+  if (market?.grouped) {
+    const candidate = pos.asset ? tokenIds.indexOf(String(pos.asset)) : -1;
+    return candidate !== -1
+      ? { outcome: outcomes[candidate], outcomeIndex: candidate }
+      : { outcome: null, outcomeIndex: null };
+  }
+
+  let index = pos.asset ? tokenIds.indexOf(String(pos.asset)) : -1;
+
+  if (index === -1 && Number.isInteger(pos.outcome_index) && outcomes[pos.outcome_index] != null) {
+    index = pos.outcome_index;
+  }
+
+  if (index === -1 && pos.outcome) {
+    const upper = String(pos.outcome).toUpperCase();
+    index = outcomes.findIndex(o => o.toUpperCase() === upper);
+  }
+
+  if (index !== -1) return { outcome: outcomes[index], outcomeIndex: index };
+
+  // Market unavailable — trust the activity row's own labels
+  if (pos.outcome) return { outcome: String(pos.outcome), outcomeIndex: pos.outcome_index ?? null };
+  return null;
+}
+
+/* ===========================
+   Position Ledger Persistence (wallet_positions + wallets roll-up)
+=========================== */
+function currentOutcomePrice(market, outcomeIndex) {
+  if (!Number.isInteger(outcomeIndex)) return null;
+  const price = Number(parseList(market?.outcomePrices)[outcomeIndex]);
+  return Number.isFinite(price) ? price : null;
+}
+
+// Price of a live pick's side in a fetched market (null when the outcome isn't listed)
+function pickOutcomePrice(market, pickedOutcome) {
+  const picked = String(pickedOutcome || "").toUpperCase();
+  const outcomeIndex = parseList(market?.outcomes).findIndex(o => o.toUpperCase() === picked);
+  return currentOutcomePrice(market, outcomeIndex >= 0 ? outcomeIndex : null);
+}
+
+function fetchPickMarket(pick, bypassCache = false) {
+  return fetchMarketSafe({
+    polymarket_id: pick.polymarket_id,
+    market_id: pick.market_id,
+    event_slug: pick.event_slug
+  }, bypassCache).catch(err => {
+    console.warn(`⚠️ Failed fetching market for pick ${pick.id}:`, err.message);
+    return null;
+  });
+}
+
+// Current price of a live pick's side, straight from the API (null when the market or outcome can't be found)
+async function fetchPickPrice(pick) {
+  const market = await fetchPickMarket(pick, true);
+  return market ? pickOutcomePrice(market, pick.picked_outcome) : null;
+}
+
+async function saveWalletPositions(walletId, positions) {
+  if (!positions.length) return true;
+
+  const rows = positions.map(pos => ({ ...pos, wallet_id: walletId, updated_at: clock.date() }));
+  const { error } = await storage.exposure.savePositions(rows);
+
+  if (error) {
+    console.error(`❌ Failed saving positions for wallet ${walletId}:`, error.message);
+    return false;
+  }
+  return true;
+}
+
+async function updateWalletLedgerSummary(walletId) {
+  const { data: positions, error } = await storage.exposure.positionsForWallets(
+    [walletId],
+    "shares, cost_basis, bought_shares, bought_cost, realized_pnl, unrealized_pnl"
+  );
+
+  if (error) {
+    console.error(`❌ Failed loading positions for wallet ${walletId}:`, error.message);
+    return;
+  }
+
+  const summary = summarizePositions(positions);
+  await storage.wallets.update(walletId, summary);
+}
+
+/* ===========================
+   Mark Open Positions to Market
+   - Refreshes unrealized PnL on positions, their signals and wallet roll-ups
+=========================== */
+async function markWalletPositionsToMarket() {
+  const { data: openPositions, error } = await storage.exposure.openPositions();
+
+  if (error) return console.error("❌ Failed fetching open positions:", error.message);
+  if (!openPositions?.length) return;
+
+  const slugs = [...new Set(openPositions.map(p => p.event_slug).filter(Boolean))];
+  const touchedWallets = new Set();
+  let marked = 0;
+
+  for (const slug of slugs) {
+    // Cached: live markets expire after MARKET_CACHE_TTL_LIVE seconds, so prices are at most that stale
+    const market = await fetchMarketSafe({ event_slug: slug });
+    if (!market) continue;
+
+    for (const pos of openPositions.filter(p => p.event_slug === slug)) {
+      const previous = pos.unrealized_pnl;
+      markPosition(pos, currentOutcomePrice(market, pos.outcome_index));
+      if (pos.unrealized_pnl === previous) continue;
+
+      if (!(await saveWalletPositions(pos.wallet_id, [pos]))) continue;
+
+      await storage.signals.updatePick(pos.wallet_id, pos.event_slug, pos.outcome, {
+        pnl: positionPnl(pos),
+        updated_at: clock.date()
+      });
+
+      touchedWallets.add(pos.wallet_id);
+      marked++;
     }
   }
 
-  console.error(`❌ Activity fetch failed after ${retries} attempts for wallet ${proxyWallet}`);
-  return [];
+  for (const walletId of touchedWallets) await updateWalletLedgerSummary(walletId);
+
+  console.log(`✅ Marked ${marked} open position(s) to market`);
 }
 
 /* ===========================
-   Track Wallet (Net-Pick / Auto-Resolve Safe + Warning)
+   Grouped (negRisk) Events → one N-outcome market
+   - Each candidate is its own YES/NO market; the YES token stands for the candidate
 =========================== */
-async function resolveMarketIdFromSlug(eventSlug) {
-  if (!eventSlug) return null;
+function buildGroupMarket(event) {
+  const markets = (event?.markets || []).filter(m => m.groupItemTitle);
+  if (!markets.length) return null;
+
+  const yesIndex = m => Math.max(parseList(m.outcomes).findIndex(o => o.toUpperCase() === "YES"), 0);
+  const tokenAt = (m, i) => parseList(m.clobTokenIds)[i] ?? "";
+
+  return {
+    id: `event-${event.id}`,
+    slug: event.slug,
+    question: event.title,
+    grouped: true,
+    negRisk: true,
+    outcomes: markets.map(m => String(m.groupItemTitle)),
+    outcomePrices: markets.map(m => parseList(m.outcomePrices)[yesIndex(m)] ?? ""),
+    clobTokenIds: markets.map(m => tokenAt(m, yesIndex(m))),
+    noTokenIds: markets.map(m => tokenAt(m, 1 - yesIndex(m))),
+    closed: Boolean(event.closed) || markets.every(m => m.closed),
+    // One candidate under dispute holds the whole group
+    umaResolutionStatus: markets.map(m => m.umaResolutionStatus).find(isUnsettledUmaStatus) ||
+      (markets.every(m => String(m.umaResolutionStatus || "").toLowerCase() === "resolved") ? "resolved" : null),
+    sportsMarketType: markets[0].sportsMarketType || null,
+    gameStartTime: markets[0].gameStartTime || null,
+    events: [event]
+  };
+}
+
+async function fetchGroupMarket(eventSlug) {
+  const event = await dataSource.eventBySlug(eventSlug)
+    .catch(err => {
+      if (err.status) return null; // the API answered: no such event
+      throw err;
+    });
+  if (!event) return null;
 
-  if (marketCache.has(eventSlug)) return marketCache.get(eventSlug);
+  const negRisk = event?.negRisk || event?.markets?.some(m => m.negRisk);
+  return negRisk ? buildGroupMarket(event) : null;
+}
+
+async function resolveGroupFromSlug(eventSlug) {
+  const cacheKey = `group:${eventSlug}`;
 
   try {
-    const res = await fetch(`https://gamma-api.polymarket.com/markets/slug/${eventSlug}`);
-    if (!res.ok) return null;
-
-    const market = await res.json();
-    const resolved = {
-      market_id: String(market.id),
-      polymarket_id: Number(market.id),
-      market
-    };
+    const market = await marketCache.get(cacheKey)
+      || await fetchGroupMarket(eventSlug).then(m => m && marketCache.set(cacheKey, prepareMarket(m)));
+    if (!market) return null;
 
-    marketCache.set(eventSlug, resolved);
-    return resolved;
+    return { market_id: market.id, polymarket_id: null, market };
   } catch (err) {
-    console.error(`❌ Failed resolving market for slug ${eventSlug}:`, err);
+    console.error(`❌ Failed resolving event group ${eventSlug}:`, err);
     return null;
   }
 }
 
+/* ===========================
+   Pick group for an activity row
+   - negRisk candidates pool under their event, so the wallet's net pick is one candidate
+   - every other market (moneyline, each spread / total line) is its own group
+=========================== */
+async function resolvePickGroup(pos) {
+  const marketSlug = pos.slug || pos.eventSlug;
+  const marketInfo = await resolveMarketIdFromSlug(marketSlug);
+
+  if (marketInfo?.market?.negRisk && marketInfo.market.groupItemTitle && pos.eventSlug) {
+    const group = await resolveGroupFromSlug(pos.eventSlug);
+    if (group) return { ...group, group_slug: pos.eventSlug };
+  }
+
+  return marketInfo ? { ...marketInfo, group_slug: marketSlug } : null;
+}
+
+/* ===========================
+   Track Wallet (Net-Pick / Auto-Resolve Safe + Warning)
+=========================== */
+async function resolveMarketIdFromSlug(eventSlug) {
+  if (!eventSlug) return null;
+
+  // Same cache entry as fetchMarketSafe; grouped events fall back to /events inside it
+  const market = await fetchMarketSafe({ event_slug: eventSlug });
+  if (!market) return null;
+
+  return {
+    market_id: String(market.id),
+    polymarket_id: market.grouped ? null : Number(market.id),
+    market
+  };
+}
+
 // --- Track Wallet ---
 async function trackWallet(wallet, forceRebuild = false) {
   const proxyWallet = wallet.polymarket_proxy_wallet;
   if (!proxyWallet) return;
 
-  // Auto-unpause if win_rate >= 50
-  if (wallet.paused && wallet.win_rate >= 50) {
-    await supabase
-      .from("wallets")
-      .update({ paused: false })
-      .eq("id", wallet.id);
+  // 1️⃣ Fetch activity since the high-water mark (new wallets backfill over several checkpoints)
+  const backfilling = !wallet.backfill_complete;
+  const checkpoints = backfilling ? BACKFILL_MAX_CHECKPOINTS : 1;
+
+  for (let i = 0; i < checkpoints; i++) {
+    const { positions, cursor, caughtUp } = await fetchWalletPositions(wallet);
+
+    if (positions.length) {
+      const stored = await ingestWalletPositions(wallet, positions, forceRebuild, backfilling);
+      if (!stored) break; // leave the cursor behind the batch so it is retried
+    }
+
+    // Checkpoint only once the batch is stored
+    const saved = await saveActivityCursor(wallet, cursor, backfilling && caughtUp);
+    if (!saved || caughtUp) break;
   }
 
-  // 1️⃣ Fetch wallet positions
-  const positions = await fetchWalletPositions(proxyWallet);
-  if (!positions?.length) return;
+  // A finished backfill adds a voter to every market it traded
+  if (backfilling && wallet.backfill_complete) {
+    console.log(`✅ Backfill complete for wallet ${wallet.id}`);
+    requestFullLiveRebuild(`wallet ${wallet.id} backfilled`);
+  }
 
-  // 2️⃣ Fetch existing signals to avoid duplicates
-  const { data: existingSignals = [] } = await supabase
-    .from("signals")
-    .select("*")
-    .eq("wallet_id", wallet.id);
-  const existingTxs = new Set((existingSignals || []).map(s => s.tx_hash));
+  // Live picks are rebuilt (incrementally) once per loop, after every wallet is ingested
+}
 
-  // 3️⃣ Aggregate PnL per wallet/event/outcome
-  const walletEventMap = new Map();
+/* ===========================
+   Sports market check (backfill keeps sports history only)
+=========================== */
+function isSportsMarket(market) {
+  return Boolean(market?.sportsMarketType || market?.gameStartTime);
+}
 
-  for (const pos of positions) {
-    const eventSlug = pos.eventSlug || pos.slug;
+/* ===========================
+   League from Gamma series metadata, falling back to the slug prefix ("nba-lal-bos-…")
+=========================== */
+function deriveLeague(market) {
+  const event = market?.events?.[0];
+  const series = event?.series?.[0];
+  const raw = series?.ticker || series?.slug || event?.seriesSlug || (market?.slug || "").split("-")[0];
+  return raw ? String(raw).toUpperCase() : "UNKNOWN";
+}
+
+function segmentKey(walletId, league, marketType) {
+  return `${walletId}|${league || "UNKNOWN"}|${marketType || "UNKNOWN"}`;
+}
+
+/* ===========================
+   Ingest Wallet Positions (Net-Pick + Warning + Exposure)
+   - Returns false when signals could not be stored
+=========================== */
+async function ingestWalletPositions(wallet, positions, forceRebuild = false, sportsOnly = false) {
+  // 2️⃣ Build fills keyed on the real transactionHash + log index
+  const fills = [];
+  const batchResolution = new Map(); // event_slug → { resolved_outcome, outcome_at }
+
+  for (const pos of assignLogIndexes(positions)) {
+    // Resolve market info (grouped events resolve to their N-outcome group)
+    const marketInfo = await resolvePickGroup(pos);
+    const eventSlug = marketInfo?.group_slug || pos.slug || pos.eventSlug;
     if (!eventSlug) continue;
 
-    const effectivePnl = pos.cashPnl ?? 0;
-    if (!forceRebuild && effectivePnl < 1000 && !pos.resolvedOutcome) continue;
+    if (sportsOnly && !isSportsMarket(marketInfo?.market)) continue;
 
-    // Determine picked outcome
-    let pickedOutcome;
+    // Attribute the fill to the outcome token it actually traded
     const sideValue = (pos.side || "BUY").toUpperCase();
-    if (pos.title?.includes(" vs. ")) {
-      const [teamA, teamB] = pos.title.split(" vs. ").map(s => s.trim());
-      pickedOutcome = sideValue === "BUY" ? teamA : teamB;
-    } else if (/Over|Under/i.test(pos.title)) {
-      pickedOutcome = sideValue === "BUY" ? "OVER" : "UNDER";
-    } else if (pos.resolvedOutcome) {
-      pickedOutcome = pos.resolvedOutcome;
-    } else {
-      pickedOutcome = sideValue === "BUY" ? "YES" : "NO";
-    }
+    const attributed = resolveFillOutcome(pos, marketInfo?.market);
 
-    if (!pickedOutcome) {
+    if (!attributed && pos.type === "TRADE") {
       console.warn(`Skipping position with undefined outcome: wallet=${wallet.id}, pos=${JSON.stringify(pos)}`);
       continue;
     }
 
-    // Make tx_hash unique with timestamp
-    const syntheticTx = [proxyWallet, pos.asset || "", pos.timestamp || "", effectivePnl, Date.now()].join("-");
-    if (!forceRebuild && existingTxs.has(syntheticTx)) continue;
+    if (pos.resolvedOutcome) {
+      batchResolution.set(eventSlug, {
+        resolved_outcome: pos.resolvedOutcome,
+        outcome_at: pos.outcomeTimestamp ?? null
+      });
+    }
+
+    fills.push({
+      wallet_id: wallet.id,
+      tx_hash: pos.tx_hash,
+      log_index: pos.log_index,
+      event_slug: eventSlug,
+      market_slug: pos.slug || null,
+      market_id: marketInfo?.market_id || null,
+      condition_id: pos.market_id || null,
+      market_name: marketInfo?.market?.question || pos.title || null,
+      asset: pos.asset || null,
+      type: pos.type,
+      side: sideValue,
+      price: pos.price,
+      size: pos.size,
+      amount: Number(pos.usdcSize ?? 0),
+      picked_outcome: attributed?.outcome ?? null,
+      outcome_index: attributed?.outcomeIndex ?? null,
+      traded_at: new Date(Number(pos.timestamp) * 1000)
+    });
+  }
+
+  // 3️⃣ Store only fills we haven't seen — re-polling the same rows is a no-op
+  const storedKeys = await fetchStoredTradeKeys(wallet.id, fills.map(f => f.tx_hash));
+  if (!storedKeys) return false;
+
+  const newFills = fills.filter(f => {
+    const key = tradeKey(f);
+    if (storedKeys.has(key)) return false;
+    storedKeys.add(key);
+    return true;
+  });
+
+  if (!newFills.length) return true;
+
+  const { error: tradeError } = await storage.trades.insertNew(newFills);
+
+  if (tradeError) {
+    console.error(`❌ Failed storing trades for wallet ${wallet.id}:`, tradeError.message);
+    return false;
+  }
+
+  // 4️⃣ Re-aggregate touched events from every stored fill
+  const walletEventMap = new Map();
+  const affectedSlugs = [...new Set(newFills.map(f => f.event_slug))];
+
+  for (const eventSlug of affectedSlugs) {
+    const { data: eventFills, error: fillsError } = await storage.trades.listForEvent(wallet.id, eventSlug);
+
+    if (fillsError) {
+      console.error(`❌ Failed loading trades for wallet ${wallet.id}, event ${eventSlug}:`, fillsError.message);
+      return false;
+    }
 
-    // Resolve market info
     const marketInfo = await resolveMarketIdFromSlug(eventSlug);
+    // Activity-reported results are ignored while the market's UMA resolution is disputed
+    const resolution = marketSettlement(marketInfo?.market).state === "disputed"
+      ? null
+      : batchResolution.get(eventSlug);
+
+    // Replay the event's fills into cost-basis positions (redeemed at the settled winner), marked at the current price
+    const positions = buildPositions(eventFills, { winner: marketWinner(marketInfo?.market) }).map(pos =>
+      markPosition(pos, currentOutcomePrice(marketInfo?.market, pos.outcome_index))
+    );
 
-    const key = `${wallet.id}||${eventSlug}`;
-    if (!walletEventMap.has(key)) {
-      walletEventMap.set(key, {
-        picks: {},
-        market_id: marketInfo?.market_id || null,
-        polymarket_id: marketInfo?.polymarket_id || null,
-        market_name: marketInfo?.market?.question || pos.title || null,
-        market: marketInfo?.market || null,   // ✅ store full market
-        event_slug: eventSlug,
-        resolved_outcome: pos.resolvedOutcome ?? null,
-        outcome_at: pos.outcomeTimestamp ?? null,
-        tx_hashes: new Set()
-      });
-    } else if (marketInfo?.market) {
-      // Upgrade existing entry if market not set yet
-      const entry = walletEventMap.get(key);
-      if (!entry.market) {
-        entry.market = marketInfo.market;
-        entry.market_id = marketInfo.market_id;
-        entry.polymarket_id = marketInfo.polymarket_id;
-        entry.market_name = marketInfo.market.question || entry.market_name;
+    if (!(await saveWalletPositions(wallet.id, positions))) return false;
+
+    const entry = {
+      picks: {},   // outcome → stake still committed (cost basis net of sells)
+      pnl: {},     // outcome → realized + unrealized PnL
+      entry_prices: {},
+      entered_at: {},
+      anchors: {}, // picked_outcome → key of the first fill on that side
+      market_slugs: {}, // picked_outcome → market slug of that first fill (its line)
+      outcome_indexes: {},
+      market_id: marketInfo?.market_id || null,
+      polymarket_id: marketInfo?.polymarket_id || null,
+      market_name: marketInfo?.market?.question || eventFills?.[0]?.market_name || null,
+      market: marketInfo?.market || null,   // ✅ store full market
+      event_slug: eventSlug,
+      resolved_outcome: resolution?.resolved_outcome ?? null,
+      outcome_at: resolution?.outcome_at ?? null
+    };
+
+    for (const pos of positions) {
+      if (!pos.outcome) continue;
+      entry.picks[pos.outcome] = (entry.picks[pos.outcome] || 0) + positionExposure(pos);
+      entry.pnl[pos.outcome] = (entry.pnl[pos.outcome] || 0) + positionPnl(pos);
+      entry.entry_prices[pos.outcome] = pos.avg_entry_price;
+      entry.outcome_indexes[pos.outcome] = pos.outcome_index;
+    }
+
+    // Small positions are noise unless rebuilding from scratch
+    for (const [outcome, stake] of Object.entries(entry.picks)) {
+      if (!forceRebuild && stake < 1000 && !resolution) delete entry.picks[outcome];
+    }
+
+    for (const fill of eventFills || []) {
+      if (fill.type === "TRADE" && fill.side !== "SELL" && fill.picked_outcome && !entry.anchors[fill.picked_outcome]) {
+        entry.anchors[fill.picked_outcome] = tradeKey(fill);
+        entry.entered_at[fill.picked_outcome] = fill.traded_at;
+        entry.market_slugs[fill.picked_outcome] = fill.market_slug;
       }
     }
 
-    const entry = walletEventMap.get(key);
-    entry.picks[pickedOutcome] = (entry.picks[pickedOutcome] || 0) + Number(effectivePnl);
-    entry.tx_hashes.add(syntheticTx);
-    if (pos.resolvedOutcome) entry.resolved_outcome = pos.resolvedOutcome;
+    walletEventMap.set(`${wallet.id}||${eventSlug}`, entry);
   }
 
-// 4️⃣ Compute net pick per wallet/event safely
+// 5️⃣ Compute net pick per wallet/event safely
 const netSignals = [];
 for (const [key, data] of walletEventMap.entries()) {
-  const sorted = Object.entries(data.picks).sort((a, b) => b[1] - a[1]);
+  // Only outcomes still held after sells can be the net pick
+  const sorted = Object.entries(data.picks)
+    .filter(([outcome, amount]) => amount > 0 && data.anchors[outcome])
+    .sort((a, b) => b[1] - a[1]);
   if (!sorted.length) continue;
 
   const wallet_id = parseInt(key.split("||")[0]);
   const picked_outcome = sorted[0][0];
-  const pnl = sorted[0][1];
+  const stake = sorted[0][1];
+  const pnl = data.pnl[picked_outcome] ?? 0;
 
-  // Determine side safely
+  // Determine side safely: YES/NO/OVER/UNDER as-is, otherwise first outcome = BUY (multi-outcome: BUY)
   let side;
-  if (/YES|NO|OVER|UNDER/i.test(picked_outcome)) {
-    side = picked_outcome.toUpperCase();
+  const upperPick = picked_outcome.toUpperCase();
+  if (["YES", "NO", "OVER", "UNDER"].includes(upperPick)) {
+    side = upperPick;
+  } else if (data.market) {
+    side = determineSide(picked_outcome, data.market);
   } else {
-    const teams = data.market_name?.split(" vs. ").map(s => s.trim());
-    side = teams?.[0] === picked_outcome ? "BUY" : "SELL";
+    side = data.outcome_indexes[picked_outcome] === 0 ? "BUY" : "SELL";
   }
 
-  // Compute outcome as Pending/WIN/LOSS
-  let outcome = "Pending";
-  if (data.resolved_outcome) {
-    outcome = data.resolved_outcome === picked_outcome ? "WIN" : "LOSS";
-  }
+  // Compute outcome as Pending/WIN/LOSS/PUSH/VOID
+  const outcome = gradePick(picked_outcome, data.resolved_outcome) || "Pending";
+
+  // Spread / total line from the market the pick was traded on (fills stored before market_slug use the group's)
+  const lineSlug = data.market_slugs[picked_outcome];
+  const lineMarket = (lineSlug && await fetchMarketSafe({ event_slug: lineSlug })) || data.market;
 
   // Determine event_start_at (use gameStartTime, fallback to events[0].startTime)
   let eventStartAt = null;
@@ -766,33 +1036,37 @@ for (const [key, data] of walletEventMap.entries()) {
     side: side || "BUY",
 
     pnl,
-    amount: Math.abs(pnl) || null,
+    amount: stake || null,
+    avg_entry_price: data.entry_prices[picked_outcome] ?? null,
 
     outcome,
     resolved_outcome: data.resolved_outcome ?? null,
     outcome_at: data.outcome_at ?? null,
+    resolved_at: data.resolved_outcome ? data.outcome_at ?? clock.date() : null,
 
     win_rate: wallet.win_rate,
-    created_at: new Date(),
+    created_at: clock.date(),
+    updated_at: clock.date(),
 
     event_start_at: eventStartAt,
-    tx_hash: Array.from(data.tx_hashes)[0]
+    entered_at: data.entered_at[picked_outcome] ?? null,
+    league: deriveLeague(data.market),
+    market_type: data.market?.sportsMarketType || null,
+    ...pickLineFields(lineMarket, picked_outcome),
+    tx_hash: data.anchors[picked_outcome]
   });
 }
 
-  if (!netSignals.length) return;
+  await updateWalletLedgerSummary(wallet.id);
 
-  // 5️⃣ Delete old signals that are not net pick
+  if (!netSignals.length) return true;
+
+  // 6️⃣ Delete old signals that are not net pick
   for (const sig of netSignals) {
-    await supabase
-      .from("signals")
-      .delete()
-      .eq("wallet_id", sig.wallet_id)
-      .eq("event_slug", sig.event_slug)
-      .neq("picked_outcome", sig.picked_outcome);
+    await storage.signals.deleteOtherPicks(sig.wallet_id, sig.event_slug, sig.picked_outcome);
   }
 
-  // 6️⃣ Deduplicate before upsert
+  // 7️⃣ Deduplicate before upsert
   const seenSignals = new Set();
   const dedupedSignals = netSignals.filter(s => {
     const key = `${s.wallet_id}||${s.event_slug}||${s.picked_outcome}||${s.tx_hash}`;
@@ -802,35 +1076,30 @@ for (const [key, data] of walletEventMap.entries()) {
   });
 
   try {
-    const { error } = await supabase
-      .from("signals")
-      .upsert(dedupedSignals, {
-        onConflict: ["wallet_id", "event_slug", "picked_outcome"]
-      });
+    const { error } = await storage.signals.upsert(dedupedSignals);
 
-    if (error) console.error(`❌ Failed upserting signals for wallet ${wallet.id}:`, error.message);
-    else console.log(`✅ Upserted ${dedupedSignals.length} net signal(s) for wallet ${wallet.id}`);
+    if (error) {
+      console.error(`❌ Failed upserting signals for wallet ${wallet.id}:`, error.message);
+      return false;
+    }
+    console.log(`✅ Upserted ${dedupedSignals.length} net signal(s) for wallet ${wallet.id}`);
   } catch (err) {
     console.error(`❌ Unexpected upsert error for wallet ${wallet.id}:`, err.message);
+    return false;
   }
 
-  // 7️⃣ Check for warning based on recent PnL or consecutive losses
-  const TWO_DAYS_AGO = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  // 8️⃣ Check for warning based on recent PnL or consecutive losses
+  const TWO_DAYS_AGO = new Date(clock.now() - 2 * 24 * 60 * 60 * 1000);
 
-  const { data: recentSignals = [] } = await supabase
-    .from("signals")
-    .select("pnl")
-    .eq("wallet_id", wallet.id)
-    .gte("created_at", TWO_DAYS_AGO);
+  const { data: recentSignals = [] } = await storage.signals.listForWalletSince(wallet.id, TWO_DAYS_AGO, "pnl");
 
   const totalPnl = (recentSignals || []).reduce((sum, s) => sum + Number(s.pnl || 0), 0);
 
-  const { data: lastSignals = [] } = await supabase
-    .from("signals")
-    .select("pnl")
-    .eq("wallet_id", wallet.id)
-    .order("created_at", { ascending: false })
-    .limit(10);
+  const { data: lastSignals = [] } = await storage.signals.listGradedForWallet(wallet.id, {
+    columns: "pnl",
+    outcomes: ["WIN", "LOSS"],
+    limit: 10
+  });
 
   let consecutiveLosses = 0;
   for (const sig of (lastSignals || [])) {
@@ -840,20 +1109,14 @@ for (const [key, data] of walletEventMap.entries()) {
 
   if (totalPnl < 0 || consecutiveLosses >= 3) {
     const warningMessage = `Warning: totalPnL=${totalPnl.toFixed(2)}, consecutiveLosses=${consecutiveLosses}`;
-    await supabase
-      .from("wallets")
-      .update({ warning: warningMessage, warning_logged_at: new Date() })
-      .eq("id", wallet.id);
+    await storage.wallets.update(wallet.id, { warning: warningMessage, warning_logged_at: clock.date() });
 
     console.log(`⚠️ Wallet ${wallet.id} warning: ${warningMessage}`);
   } else if (wallet.warning) {
-    await supabase
-      .from("wallets")
-      .update({ warning: null, warning_logged_at: null })
-      .eq("id", wallet.id);
+    await storage.wallets.update(wallet.id, { warning: null, warning_logged_at: null });
   }
 
-  // 8️⃣ Update wallet event exposure
+  // 9️⃣ Update wallet event exposure
   const affectedEvents = [...new Set(dedupedSignals.map(s => s.event_slug))];
   for (const eventSlug of affectedEvents) {
     const totals = await getWalletOutcomeTotals(wallet.id, eventSlug);
@@ -862,142 +1125,105 @@ for (const [key, data] of walletEventMap.entries()) {
 
     const [netOutcome, netAmount] = entries[0];
     const secondAmount = entries[1]?.[1] ?? 0;
-    if (secondAmount > 0 && netAmount / secondAmount < 1.05) continue;
+    if (secondAmount > 0 && netAmount / secondAmount < HEDGE_RATIO) continue;
 
     const marketId = dedupedSignals.find(s => s.event_slug === eventSlug)?.market_id || null;
 
-    await supabase
-      .from("wallet_event_exposure")
-      .upsert({
-        wallet_id: wallet.id,
-        event_slug: eventSlug,
-        market_id: marketId,
-        totals,
-        net_outcome: netOutcome,
-        net_amount: netAmount,
-        updated_at: new Date()
-      });
+    await storage.exposure.saveEventExposure({
+      wallet_id: wallet.id,
+      event_slug: eventSlug,
+      market_id: marketId,
+      totals,
+      net_outcome: netOutcome,
+      net_amount: netAmount,
+      updated_at: clock.date()
+    });
   }
 
-  // 9️⃣ Auto-resolve pending signals
-  await autoResolvePendingSignals();
-
-   // --- Insert or upsert signals first ---
-await safeInsert("signals", dedupedSignals, {
-  upsertColumns: ["wallet_id", "event_slug", "picked_outcome"]
-});
-
-// --- Then rebuild live picks/pending safely ---
-await safeRebuildLivePicks();
-
+  return true;
 }
 
 /* ===========================
    Safe Insert / Upsert Helper (Verbose + Robust)
+   - `upsert` is the repository method that writes the rows (storage.js)
 =========================== */
-async function safeInsert(table, rows, options = {}) {
-  if (!rows || !rows.length) return;
-
-  const { upsertColumns = [] } = options;
-
-  // default conflict column for "signals" table
-  const defaultConflict = table === "signals" ? ["tx_hash"] : [];
+// Resolves true once every row is written (or there was nothing to write), false on any failure
+async function safeInsert(table, rows, upsert) {
+  if (!rows || !rows.length) return true;
 
   try {
-    const { error } = await supabase
-      .from(table)
-      .upsert(rows, {
-        onConflict: upsertColumns.length ? upsertColumns : defaultConflict,
-        returning: "minimal", // avoid large responses
-      });
+    const { error } = await upsert(rows);
 
     if (error) {
       console.error(`❌ safeInsert failed for table ${table}:`);
       console.error("Full error object:", JSON.stringify(error, null, 2));
-    } else {
-      console.log(`✅ Inserted/Upserted ${rows.length} rows into ${table}`);
+      return false;
     }
+    console.log(`✅ Inserted/Upserted ${rows.length} rows into ${table}`);
+    return true;
   } catch (err) {
     console.error(`❌ Exception in safeInsert for table ${table}:`, err.message);
+    return false;
   }
 }
 
 /* ===========================
    Universal Market Cache & Fetch (Includes Closed + Resolved)
 =========================== */
-const marketCache = new Map();
+const marketCache = createMarketCache({
+  supabase: MARKET_CACHE_PERSIST ? storage.db : null,
+  maxEntries: MARKET_CACHE_MAX_ENTRIES,
+  now: clock.now,
+  ttlSeconds: {
+    live: MARKET_CACHE_TTL_LIVE,
+    open: MARKET_CACHE_TTL_OPEN,
+    closed: MARKET_CACHE_TTL_CLOSED,
+    resolved: MARKET_CACHE_TTL_RESOLVED
+  }
+});
+
+// Normalize a freshly fetched market in place: ISO gameStartTime, score, settled winner
+function prepareMarket(market) {
+  const startTime = market.gameStartTime || market.events?.[0]?.startTime || null;
+  // convert "2026-01-04 00:30:00+00" → "2026-01-04T00:30:00Z"
+  market.gameStartTime = startTime ? startTime.replace(" ", "T").replace(/\+00$/, "Z") : null;
+
+  if (Array.isArray(market.events) && market.events.length) {
+    market.score = market.events[0].score || null;
+  }
+
+  // Winner from settled prices / final score — withheld while UMA has a proposal or dispute open
+  market.outcome = marketWinner(market);
+  return market;
+}
 
 async function fetchMarketSafe({ event_slug, polymarket_id, market_id }, bypassCache = false) {
   if (!event_slug && !polymarket_id && !market_id) return null;
   const cacheKey = event_slug || polymarket_id || market_id;
-  if (!bypassCache && marketCache.has(cacheKey)) return marketCache.get(cacheKey);
+  if (!bypassCache) {
+    const cached = await marketCache.get(cacheKey);
+    if (cached) return cached;
+  }
 
   try {
-    let url = event_slug
-      ? `https://gamma-api.polymarket.com/markets/slug/${event_slug}`
-      : polymarket_id
-      ? `https://gamma-api.polymarket.com/markets/${polymarket_id}`
-      : `https://gamma-api.polymarket.com/markets/${market_id}`;
-
-    const res = await fetch(url, {
-      headers: { "User-Agent": "Polymarket-Tracker/1.0", Accept: "application/json" }
+    const request = event_slug
+      ? dataSource.marketBySlug(event_slug)
+      : dataSource.marketById(polymarket_id || market_id);
+
+    // Grouped (negRisk) events only exist under /events — fold them into one N-outcome market
+    const market = await request.catch(err => {
+      if (!err.status) throw err;
+      return event_slug ? fetchGroupMarket(event_slug) : null;
     });
-    if (!res.ok) return null;
-
-    const market = await res.json();
-
-// --- Normalize gameStartTime on fetch ---
-if (market.gameStartTime) {
-  // convert "2026-01-04 00:30:00+00" → "2026-01-04T00:30:00Z"
-  market.gameStartTime = market.gameStartTime
-    .replace(" ", "T")
-    .replace(/\+00$/, "Z"); // handle +00 at end
-} else if (market.events?.[0]?.startTime) {
-  market.gameStartTime = market.events[0].startTime
-    .replace(" ", "T")
-    .replace(/\+00$/, "Z");
-} else {
-  market.gameStartTime = null;
-}
-
-// --- Extract score if available ---
-if (Array.isArray(market.events) && market.events.length) {
-  market.score = market.events[0].score || null;
-}
-
-    // Auto-detect winner for closed markets if missing
-    if (!market.outcome && market.closed && market.outcomePrices && market.outcomes) {
-      try {
-        let prices = typeof market.outcomePrices === "string" ? JSON.parse(market.outcomePrices) : market.outcomePrices;
-        let outcomes = typeof market.outcomes === "string" ? JSON.parse(market.outcomes) : market.outcomes;
-        if (!Array.isArray(prices) && typeof prices === "object") prices = Object.values(prices);
-        const winnerIndex = prices.findIndex(p => Number(p) === 1);
-        if (winnerIndex !== -1) market.outcome = outcomes[winnerIndex];
-      } catch (err) {
-        console.error("Market winner parse error:", err.message);
-      }
-    }
+    if (!market) return null;
 
-    marketCache.set(cacheKey, market);
-    return market;
+    return marketCache.set(cacheKey, prepareMarket(market));
   } catch (err) {
     console.error("Market fetch error:", err.message);
     return null;
   }
 }
 
-/* ===========================
-   Helper: get resolved outcome from finished market
-=========================== */
-function getResolvedOutcomeFromMarket(market) {
-  if (!market?.events?.length) return null;
-  const event = market.events[0];
-  if (!event.ended || !event.score) return null;
-  const [score0, score1] = event.score.split("-").map(s => Number(s.trim()));
-  if (!market.outcomes?.length || market.outcomes.length !== 2) return null;
-  return score0 > score1 ? String(market.outcomes[0]) : String(market.outcomes[1]);
-}
-
 /* ===========================
    Helper: clean resolved outcome
 =========================== */
@@ -1024,33 +1250,83 @@ function normalizeOutcome(pickedOutcome, market) {
   const trimmed = String(raw).trim();
   const upper = trimmed.toUpperCase();
 
-  if (market?.outcomes?.length === 2 && market.sportsMarketType === "moneyline") {
-    const [team0, team1] = market.outcomes;
+  const outcomes = parseList(market?.outcomes);
+
+  if (outcomes.length === 2 && market.sportsMarketType === "moneyline") {
+    const [team0, team1] = outcomes;
     if (upper === "YES" || upper === "OVER") return team0;
     if (upper === "NO" || upper === "UNDER") return team1;
     if (team0.toUpperCase() === upper) return team0;
     if (team1.toUpperCase() === upper) return team1;
   }
 
-  return Array.isArray(market?.outcomes)
-    ? market.outcomes.find(o => o.toUpperCase() === upper) || trimmed
-    : trimmed;
+  // Spreads pick team names, totals pick Over/Under — match the market's own casing
+  return outcomes.find(o => o.toUpperCase() === upper) || trimmed;
+}
+
+/* ===========================
+   Spread / total line for a picked outcome (columns on signals + live picks)
+=========================== */
+function pickLineFields(market, outcome) {
+  const { line, line_side, pick_label } = parseMarketLine(market, outcome);
+  return { line, line_side, pick_label };
 }
 
 /* ===========================
    Determine outcome status
 =========================== */
 function determineOutcomeStatus(pickedOutcome, resolvedOutcome) {
-  if (!resolvedOutcome) return "PENDING";
-  return pickedOutcome === resolvedOutcome ? "WIN" : "LOSS";
+  return gradePick(pickedOutcome, resolvedOutcome) || "PENDING";
 }
 
 /* ===========================
    Determine BUY / SELL side
 =========================== */
 function determineSide(outcome, market) {
-  if (!market?.outcomes?.length) return "BUY";
-  return outcome === market.outcomes[0] ? "BUY" : "SELL";
+  const outcomes = parseList(market?.outcomes);
+  // Multi-outcome: every pick buys its own candidate
+  if (outcomes.length !== 2) return "BUY";
+  return outcome === outcomes[0] ? "BUY" : "SELL";
+}
+
+/* ===========================
+   Change cursors (sync_cursors) - Last-processed point per incremental job
+=========================== */
+async function getSyncCursor(name) {
+  const { data, error } = await storage.cursors.get(name);
+  if (error) {
+    console.error(`❌ Failed reading cursor ${name}:`, error.message);
+    return null;
+  }
+  return data?.cursor_at || null;
+}
+
+async function saveSyncCursor(name, cursorAt) {
+  const { error } = await storage.cursors.save(name, cursorAt, clock.date());
+  if (error) console.error(`❌ Failed saving cursor ${name}:`, error.message);
+}
+
+/* ===========================
+   Incremental live-pick rebuild
+   - Normal runs recompute only markets whose signals changed (signals.updated_at) since the cursor
+   - Wallet-level changes (ratings / pauses, segments, clusters, lead-lag, finished backfills)
+     move votes in every market, so those jobs request one full pass
+=========================== */
+const LIVE_PICKS_CURSOR = "wallet_live_picks";
+const LIVE_PICKS_CURSOR_OVERLAP_MS = 2 * 60 * 1000;
+
+let fullLiveRebuildRequests = 1; // first run after start is a full pass
+let fullLiveRebuildsDone = 0;
+
+function requestFullLiveRebuild(reason) {
+  fullLiveRebuildRequests++;
+  console.log(`🔁 Full live-pick rebuild requested: ${reason}`);
+}
+
+async function loadWalletStats(walletIds) {
+  const { data, error } = await storage.signals.listByWallets(walletIds, "wallet_id, outcome, amount");
+  if (error) console.error("❌ Failed fetching wallet records:", error.message);
+  return buildWalletStats(data || []);
 }
 
 /* ===========================
@@ -1060,16 +1336,60 @@ async function rebuildWalletLivePicks(forceRebuild = false) {
   const marketInfoMap = new Map();
   const marketNetPickMap = new Map(); // ✅ declare this before use
 
-  // --- Fetch all signals ---
-  const { data: signals, error } = await supabase.from("signals").select("*");
-  if (error) return console.error("❌ Failed fetching signals:", error.message);
+  // Next window overlaps this one a little, so writes racing this run are seen again (recompute is idempotent)
+  const nextCursor = new Date(clock.now() - LIVE_PICKS_CURSOR_OVERLAP_MS);
+  const fullRequests = fullLiveRebuildRequests;
+  const cursor = await getSyncCursor(LIVE_PICKS_CURSOR);
+  const full = forceRebuild || !cursor || fullRequests > fullLiveRebuildsDone;
+
+  // --- Fetch signals: everything, or every signal of the markets touched since the cursor ---
+  let signals;
+  let touchedMarketIds = null;
+
+  if (full) {
+    const { data, error } = await storage.signals.listAll();
+    if (error) return console.error("❌ Failed fetching signals:", error.message);
+    signals = data;
+  } else {
+    const { data: changed, error } = await storage.signals.listChangedSince(cursor);
+    if (error) return console.error("❌ Failed fetching changed signals:", error.message);
+
+    touchedMarketIds = [...new Set(changed.map(s => s.market_id).filter(Boolean))];
+    if (!touchedMarketIds.length) {
+      await saveSyncCursor(LIVE_PICKS_CURSOR, nextCursor);
+      return console.log("✅ No signal changes since last rebuild");
+    }
+
+    const { data, error: touchedError } = await storage.signals.listByMarkets(touchedMarketIds);
+    if (touchedError) return console.error("❌ Failed fetching signals for touched markets:", touchedError.message);
+    signals = data;
+  }
   if (!signals?.length) return console.log("✅ No signals found");
 
+  // --- Wallets still backfilling history, or paused by their rating, can't vote ---
+  const { data: nonVotingWallets } = await storage.wallets.listNonVoting();
+  const nonVotingWalletIds = new Set((nonVotingWallets || []).map(w => w.id));
+
+  // --- Per-segment edge: votes count fully only where a wallet has proven itself ---
+  const { data: segmentRows } = await storage.analytics.listSegmentEdges();
+  const segmentStats = new Map((segmentRows || []).map(r => [segmentKey(r.wallet_id, r.league, r.market_type), r]));
+
+  // --- Clustered wallets (proxies / copy-traders) share one vote ---
+  const { data: clusterRows } = await storage.analytics.listClusterMembers();
+  const clusterOf = new Map((clusterRows || []).map(r => [r.wallet_id, r.cluster_id]));
+
+  // --- Originator / follower roles for entry ordering and early signals ---
+  const { data: leadRows } = await storage.analytics.listRoles();
+  const roleOf = new Map((leadRows || []).map(r => [r.wallet_id, r.role]));
+
   const walletMarketMap = new Map();
+  // Wallet records span all history, not just the touched markets
+  const walletStats = full ? buildWalletStats(signals) : await loadWalletStats([...new Set(signals.map(s => s.wallet_id))]);
 
   // --- Aggregate PnL per wallet per market ---
   for (const sig of signals) {
     if (!sig.wallet_id || !sig.market_id) continue;
+    if (nonVotingWalletIds.has(sig.wallet_id)) continue;
 
     if (!marketInfoMap.has(sig.market_id)) {
       const market = await fetchMarketSafe({
@@ -1081,7 +1401,7 @@ async function rebuildWalletLivePicks(forceRebuild = false) {
         return null;
       });
 
-      const rawResolved = sig.resolved_outcome || getResolvedOutcomeFromMarket(market);
+      const rawResolved = sig.resolved_outcome || marketWinner(market);
       const resolvedString = normalizeOutcome(cleanResolvedOutcome(rawResolved), market);
 
       marketInfoMap.set(sig.market_id, {
@@ -1092,52 +1412,55 @@ async function rebuildWalletLivePicks(forceRebuild = false) {
         market_url: market?.slug ? `https://polymarket.com/event/${market.slug}` : null,
         outcomes: market?.outcomes || [],
         sportsMarketType: market?.sportsMarketType || "UNKNOWN",
+        question: market?.question || sig.market_name || null,
+        line: market?.line ?? null,
+        league: market ? deriveLeague(market) : sig.league || "UNKNOWN",
         gameStartTime: sig.event_start_at || null,
         score: market?.score || null
       });
     }
 
     const info = marketInfoMap.get(sig.market_id);
+
+    // Wallets with a proven lack of edge in this segment don't vote here
+    const walletSegmentFactor = segmentFactor(segmentStats.get(segmentKey(sig.wallet_id, info.league, info.sportsMarketType)));
+    if (walletSegmentFactor === 0) continue;
+
     const normalized = normalizeOutcome(sig.picked_outcome, info);
     if (!normalized) continue;
 
     const key = `${sig.wallet_id}_${sig.market_id}`;
     if (!walletMarketMap.has(key)) walletMarketMap.set(key, {});
     const walletEntry = walletMarketMap.get(key);
-    walletEntry[normalized] = (walletEntry[normalized] || 0) + Number(sig.pnl || 0);
+    if (!walletEntry[normalized]) walletEntry[normalized] = { pnl: 0, stake: 0, enteredAt: null, segmentFactor: walletSegmentFactor };
+    walletEntry[normalized].pnl += Number(sig.pnl || 0);
+    walletEntry[normalized].stake += Number(sig.amount || 0);
+
+    const enteredAt = sig.entered_at || sig.created_at;
+    if (enteredAt && (!walletEntry[normalized].enteredAt || new Date(enteredAt) < new Date(walletEntry[normalized].enteredAt))) {
+      walletEntry[normalized].enteredAt = enteredAt;
+    }
   }
 
   // --- Aggregate wallet counts per market & outcome (side_counts for all sides) ---
   for (const [walletKey, outcomeMap] of walletMarketMap.entries()) {
     const [wallet_id, market_id] = walletKey.split("_");
     if (!marketNetPickMap.has(market_id)) marketNetPickMap.set(market_id, {});
-    const outcomes = marketNetPickMap.get(market_id);
-
-    for (const [outcome, pnl] of Object.entries(outcomeMap)) {
-      if (!outcomes[outcome]) {
-        outcomes[outcome] = { walletIds: new Set(), totalPnl: 0, sideCounts: {} };
-      }
-      outcomes[outcome].walletIds.add(Number(wallet_id));
-      outcomes[outcome].totalPnl += pnl;
-
-      // Count all picks per side (so side_counts shows both teams)
-      for (const sideOutcome of Object.keys(outcomeMap)) {
-        outcomes[outcome].sideCounts[sideOutcome] =
-          (outcomes[outcome].sideCounts[sideOutcome] || 0) + 1;
-      }
-    }
+    tallyWalletVotes(marketNetPickMap.get(market_id), Number(wallet_id), outcomeMap);
   }
 
   // --- Normalize YES/NO keys for moneyline ---
   for (const [market_id, outcomes] of marketNetPickMap.entries()) {
     const info = marketInfoMap.get(market_id);
-    if (info?.outcomes?.length === 2) {
+    if (parseList(info?.outcomes).length === 2) {
       for (const key of Object.keys(outcomes)) {
         const normalizedKey = normalizeOutcome(key, { outcomes: info.outcomes, sportsMarketType: "moneyline" });
         if (normalizedKey !== key) {
-          if (!outcomes[normalizedKey]) outcomes[normalizedKey] = { walletIds: new Set(), totalPnl: 0, sideCounts: {} };
+          if (!outcomes[normalizedKey]) outcomes[normalizedKey] = { walletIds: new Set(), votes: [], totalPnl: 0, totalStake: 0, sideCounts: {} };
           outcomes[key].walletIds.forEach(w => outcomes[normalizedKey].walletIds.add(w));
+          outcomes[normalizedKey].votes.push(...outcomes[key].votes);
           outcomes[normalizedKey].totalPnl += outcomes[key].totalPnl;
+          outcomes[normalizedKey].totalStake += outcomes[key].totalStake;
           Object.entries(outcomes[key].sideCounts).forEach(([side, count]) => {
             outcomes[normalizedKey].sideCounts[side] = (outcomes[normalizedKey].sideCounts[side] || 0) + count;
           });
@@ -1148,7 +1471,9 @@ async function rebuildWalletLivePicks(forceRebuild = false) {
   }
 
   // --- Fetch existing picks to preserve resolved outcomes ---
-  const { data: existingPicks } = await supabase.from("wallet_live_picks").select("*");
+  const { data: existingPicks } = full
+    ? await storage.livePicks.listAll()
+    : await storage.livePicks.listByMarkets(touchedMarketIds);
   const existingMap = new Map((existingPicks || []).map(p => [`${p.market_id}_${p.picked_outcome}`, p]));
 
   // --- Build final live picks ---
@@ -1156,19 +1481,27 @@ async function rebuildWalletLivePicks(forceRebuild = false) {
   for (const [market_id, outcomes] of marketNetPickMap.entries()) {
     const info = marketInfoMap.get(market_id);
 
-    for (const [outcome, data] of Object.entries(outcomes)) {
-      if (data.walletIds.size < MIN_WALLETS_FOR_SIGNAL) continue;
+    const picks = scoreMarketPicks(outcomes, {
+      walletStats,
+      clusterOf,
+      roleOf,
+      minWallets: MIN_WALLETS_FOR_SIGNAL,
+      earlyMinJoiners: EARLY_SIGNAL_MIN_JOINERS
+    });
 
+    for (const { outcome, effectiveVotes, earlySignal, confidence, breakdown, voteCounts } of picks) {
+      const data = outcomes[outcome];
       const canonicalOutcome = normalizeOutcome(outcome, info);
       const resolvedCanonical =
         normalizeOutcome(
           cleanResolvedOutcome(info?.resolved_outcome) ||
           existingMap.get(`${market_id}_${canonicalOutcome}`)?.resolved_outcome ||
-          getResolvedOutcomeFromMarket(info),
+          marketWinner(info),
           info
         );
 
       const status = determineOutcomeStatus(canonicalOutcome, resolvedCanonical);
+      const existingPick = existingMap.get(`${market_id}_${canonicalOutcome}`);
 
       finalLive.push({
         market_id,
@@ -1180,36 +1513,48 @@ async function rebuildWalletLivePicks(forceRebuild = false) {
         gameStartTime: info?.gameStartTime,
         picked_outcome: canonicalOutcome,
         resolved_outcome: resolvedCanonical,
+        resolved_at: resolvedCanonical ? existingPick?.resolved_at || clock.date() : null,
         outcome: status,
         side: determineSide(canonicalOutcome, info),
         wallets: Array.from(data.walletIds),
-        vote_count: data.walletIds.size,
-        vote_counts: Object.fromEntries(Array.from(data.walletIds).map(id => [id, 1])),
+        vote_count: effectiveVotes.length,
+        wallet_count: data.walletIds.size,
+        vote_counts: voteCounts,
         side_counts: data.sideCounts || {},
         pnl: Number(data.totalPnl),
+        stake: Number(data.totalStake),
         score: info?.score || null,
-        fetched_at: new Date(),
-        confidence: data.walletIds.size,
-        market_type: info?.sportsMarketType || "UNKNOWN"
+        fetched_at: clock.date(),
+        confidence,
+        confidence_breakdown: breakdown,
+        entry_order: entryOrder(data.votes, roleOf),
+        early_signal: earlySignal,
+        market_type: info?.sportsMarketType || "UNKNOWN",
+        league: info?.league || "UNKNOWN",
+        outcome_count: parseList(info?.outcomes).length || null,
+        ...pickLineFields(info, canonicalOutcome)
       });
     }
   }
 
-  // --- Upsert live picks safely ---
-  await safeInsert(
-    "wallet_live_picks",
-    finalLive,
-    { upsertColumns: ["market_id", "picked_outcome"] }
-  );
+  // --- Upsert live picks safely; on failure the cursor stays put so the next run retries these markets ---
+  const saved = await safeInsert("wallet_live_picks", finalLive, storage.livePicks.upsert);
+  if (!saved) return console.error("❌ Live picks not saved; keeping the rebuild cursor for a retry");
+
+  await saveSyncCursor(LIVE_PICKS_CURSOR, nextCursor);
+  if (full) fullLiveRebuildsDone = fullRequests;
 
-  console.log(`✅ Rebuilt wallet picks: ${finalLive.length} live`);
+  console.log(
+    `✅ Rebuilt wallet picks: ${finalLive.length} live ` +
+    `(${full ? "full" : `${touchedMarketIds.length} touched market(s)`})`
+  );
 }
 
 /* ===========================
    Batch Normalize Wallet Live Picks
 =========================== */
 async function normalizeExistingPicksBatch(batchSize = 100) {
-  const { data: picks, error } = await supabase.from("wallet_live_picks").select("*");
+  const { data: picks, error } = await storage.livePicks.list();
   if (error) return console.error("❌ Failed fetching wallet_live_picks:", error.message);
   if (!picks?.length) return console.log("✅ No picks to normalize");
 
@@ -1225,28 +1570,23 @@ async function normalizeExistingPicksBatch(batchSize = 100) {
       const resolvedCanonical =
         normalizeOutcome(
           cleanResolvedOutcome(pick.resolved_outcome) ||
-          cleanResolvedOutcome(getResolvedOutcomeFromMarket(market)),
+          cleanResolvedOutcome(marketWinner(market)),
           market
         );
 
       const status = determineOutcomeStatus(normalized, resolvedCanonical);
 
-      const side = market?.outcomes?.length === 2
-        ? normalized === market.outcomes[0] ? "BUY" : "SELL"
-        : null;
+      const side = determineSide(normalized, market);
 
       try {
-        const { error: updateError } = await supabase
-          .from("wallet_live_picks")
-          .update({
-            picked_outcome: normalized,
-            outcome: status,
-            side,
-            resolved_outcome: resolvedCanonical,
-            market_type: market?.sportsMarketType || "UNKNOWN",
-            score: market?.score || null
-          })
-          .eq("id", pick.id);
+        const { error: updateError } = await storage.livePicks.update(pick.id, {
+          picked_outcome: normalized,
+          outcome: status,
+          side,
+          resolved_outcome: resolvedCanonical,
+          market_type: market?.sportsMarketType || "UNKNOWN",
+          score: market?.score || null
+        });
 
         if (updateError) console.error(`❌ Failed updating pick ${pick.id}:`, updateError);
       } catch (e) {
@@ -1264,54 +1604,55 @@ normalizeExistingPicksBatch().catch(console.error);
 
 /* ===========================
    Fetch Wallet Activity (DATA-API, Robust)
+   - Pages forward from the wallet's high-water mark until caught up or maxPages
 =========================== */
-async function fetchWalletPositions(proxyWallet, retries = 3, delayMs = 2000) {
+async function fetchWalletPositions(wallet, maxPages = ACTIVITY_MAX_PAGES) {
+  const proxyWallet = wallet?.polymarket_proxy_wallet;
   if (!proxyWallet) throw new Error("Proxy wallet required");
 
-  const url = `https://data-api.polymarket.com/activity?limit=100&sortBy=TIMESTAMP&sortDirection=DESC&user=${proxyWallet}`;
-
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const res = await fetch(url, {
-        headers: {
-          "User-Agent": "Polymarket-Tracker/1.0",
-          "Accept": "application/json"
-        },
-        timeout: 10000 // 10s timeout
-      });
-
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}`);
-      }
-
-      const data = await res.json();
-      if (!Array.isArray(data)) return [];
-
-      // Map API data to tracker positions
-      return data.map(item => ({
-        asset: item.transactionHash || "",
+  let cursor = getActivityCursor(wallet);
+  const positions = [];
+  let caughtUp = false;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await fetchWalletActivities(proxyWallet, { start: cursor.ts, offset: cursor.offset });
+
+    // Fetch failed — keep what we have, cursor stops at the last good page
+    if (data === null) break;
+
+    // Map API data to tracker positions, numbering each row at its timestamp the way the cursor counts them
+    positions.push(...data.map(item => {
+      cursor = advanceActivityCursor(cursor, [item]);
+      return {
+        tx_hash: item.transactionHash || "",
+        log_index: Number.isInteger(item.logIndex) ? item.logIndex : null,
+        asset: item.asset || "",
+        type: item.type || "TRADE",
+        price: Number(item.price ?? 0),
+        size: Number(item.size ?? 0),
+        outcome_index: Number.isInteger(item.outcomeIndex) ? item.outcomeIndex : null,
+        outcome: item.outcome || null,
         polymarket_id: item.id || "",       // ✅ updated: use Polymarket API ID
         market_id: item.conditionId || "",  // optional: keep original conditionId if needed
         eventSlug: item.eventSlug || item.slug || "",
         title: item.title || "",
         slug: item.slug || "",
-        timestamp: item.timestamp || Math.floor(Date.now() / 1000),
+        timestamp: item.timestamp || Math.floor(clock.now() / 1000),
         side: item.side || "BUY",
-        cashPnl: Number(item.usdcSize ?? item.size ?? 0),
+        usdcSize: Number(item.usdcSize ?? 0),
         resolvedOutcome: item.resolvedOutcome || null, // if available
         outcomeTimestamp: item.outcomeTimestamp || null,
-      }));
+        timestamp_position: cursor.offset - 1
+      };
+    }));
 
-    } catch (err) {
-      console.warn(`⚠️ Attempt ${attempt} failed fetching activity for ${proxyWallet}: ${err.message}`);
-      if (attempt < retries) {
-        await new Promise(r => setTimeout(r, delayMs));
-        continue;
-      }
-      console.error(`❌ Activity fetch failed (fetchWalletPositions) for ${proxyWallet} after ${retries} attempts`);
-      return [];
+    if (data.length < ACTIVITY_PAGE_SIZE) {
+      caughtUp = true;
+      break;
     }
   }
+
+  return { positions, cursor, caughtUp };
 }
 
 // --- Debounced rebuild helper to avoid overlapping runs ---
@@ -1353,39 +1694,31 @@ async function updateNotes(slug, pick, confidenceEmoji) {
     inferTimezone(pick)
   );
 
-  const text = `
+  let text = `
 ⚡️ **NEW MARKET PREDICTION**  
 Market Event: ${eventLink}  
 Event Start: ${eventTime}  
-Prediction: ${pick.picked_outcome || "UNKNOWN"}  
+Prediction: ${pick.pick_label || pick.picked_outcome || "UNKNOWN"}  
 Confidence: ${confidenceEmoji}
 `.trim();
+  if (pick.outcome_count > 2) text += `  \nField: ${pick.outcome_count} outcomes`;
+  if (pick.early_signal) text += `  \nEarly Signal: originator-led (${pick.vote_count} wallets)`;
 
   // Fetch current note content
-  const { data: note } = await supabase
-    .from("notes")
-    .select("content")
-    .eq("slug", slug)
-    .maybeSingle();
+  const { data: note } = await storage.notes.get(slug);
 
   let newContent = note?.content || "";
   newContent += newContent ? `\n\n${text}` : text;
 
   // Update notes page
-  await supabase
-    .from("notes")
-    .update({ content: newContent, public: true })
-    .eq("slug", slug);
+  await publishers.notes.update(slug, { content: newContent, public: true });
 }
 
 /* ===========================
    Notes Update Helper with Result (Markdown)
 =========================== */
-async function updateNotesWithResult(slug, pick, confidenceEmoji) {
-  const outcomeEmoji =
-    pick.outcome === "WIN" ? "✅" :
-    pick.outcome === "LOSS" ? "❌" :
-    "";
+async function updateNotesWithResult(slug, pick, confidenceEmoji, previousOutcome = null) {
+  const outcomeEmoji = RESULT_EMOJIS[pick.outcome] || "";
 
   const eventName = pick.market_name || pick.event_slug || "UNKNOWN";
 
@@ -1407,163 +1740,355 @@ async function updateNotesWithResult(slug, pick, confidenceEmoji) {
 ⚡️ **RESULT FOR MARKET PREDICTION**  
 Market Event: ${eventLink}  
 Event Start: ${eventTime}  
-Prediction: ${pick.picked_outcome || "UNKNOWN"}  
+Prediction: ${pick.pick_label || pick.picked_outcome || "UNKNOWN"}  
 Confidence: ${confidenceEmoji}  
 Outcome: ${pick.outcome} ${outcomeEmoji}
 `.trim();
+  const entryText = previousOutcome
+    ? `${resultText}  \nCorrected: was ${previousOutcome} ${RESULT_EMOJIS[previousOutcome] || ""}`.trim()
+    : resultText;
 
   // Fetch current note content
-  const { data: note } = await supabase
-    .from("notes")
-    .select("content")
-    .eq("slug", slug)
-    .maybeSingle();
+  const { data: note } = await storage.notes.get(slug);
 
   let newContent = note?.content || "";
 
   // Escape for regex
   const escapedEvent = eventName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const escapedOutcome = (pick.picked_outcome || "UNKNOWN").replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const escapedOutcome = (pick.pick_label || pick.picked_outcome || "UNKNOWN").replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-  // Replace previous NEW MARKET PREDICTION for this pick
+  // Replace the previous prediction — or, for a correction, the previous result — for this pick
   const regex = new RegExp(
-    `⚡️ \\*\\*NEW MARKET PREDICTION\\*\\*[\\s\\S]*?Market Event: .*${escapedEvent}.*?Prediction:\\s*${escapedOutcome}[\\s\\S]*?(?=(\\n\\n⚡️|$))`,
+    `⚡️ \\*\\*(?:NEW MARKET PREDICTION|RESULT FOR MARKET PREDICTION)\\*\\*[\\s\\S]*?Market Event: .*${escapedEvent}.*?Prediction:\\s*${escapedOutcome}[\\s\\S]*?(?=(\\n\\n⚡️|$))`,
     "g"
   );
 
   if (regex.test(newContent)) {
-    newContent = newContent.replace(regex, resultText);
+    newContent = newContent.replace(regex, entryText);
   } else {
-    newContent += newContent ? `\n\n${resultText}` : resultText;
+    newContent += newContent ? `\n\n${entryText}` : entryText;
   }
 
   // Update notes page
-  await supabase
-    .from("notes")
-    .update({ content: newContent, public: true })
-    .eq("slug", slug);
+  await publishers.notes.update(slug, { content: newContent, public: true });
 }
 
 /* ===========================
-   Wallet Metrics Update (Optimized) - Rolling 3-day win rate - Auto-pause / Auto-unpause - Single query for all wallets
+   Wallet Ratings (Bayesian) - Beta-posterior win probability + shrunk ROI per window - Latest rating per wallet and window in wallet_ratings - Pause / unpause from the pause window's credible interval
 =========================== */
-async function updateWalletMetricsRolling3DOptimized() {
-  const ROLLING_DAYS = 1;
-  const WIN_RATE_THRESHOLD = 50;
-  const MIN_TOTAL_PICKS = 1;
-
-  // --- Compute rolling window dates ---
-  const now = new Date();
-  const startDate = new Date(now);
-  startDate.setDate(now.getDate() - (ROLLING_DAYS - 1));
-  startDate.setHours(0, 0, 0, 0);
-  const endDate = new Date(now);
-  endDate.setHours(23, 59, 59, 999);
+let lastWalletRatingAt = 0;
+
+// Pushes / voids count toward stake and PnL but not the win probability
+const GRADED_OUTCOMES = ["WIN", "LOSS", ...VOID_OUTCOMES];
+
+function countGrade(record, outcome) {
+  if (outcome === "WIN") record.wins++;
+  else if (outcome === "LOSS") record.losses++;
+  else record.pushes++;
+}
+
+async function updateWalletRatings(force = false) {
+  if (!force && clock.now() - lastWalletRatingAt < WALLET_RATING_INTERVAL_MINUTES * 60_000) return;
+  lastWalletRatingAt = clock.now();
+
+  const windows = [...new Set([...WALLET_RATING_WINDOWS, WALLET_RATING_PAUSE_WINDOW])];
+  const longestWindow = Math.max(...windows);
+  const now = clock.now();
+  const since = new Date(now - longestWindow * 24 * 60 * 60 * 1000);
 
   // --- Fetch all wallets ---
-  const { data: wallets } = await supabase.from("wallets").select("*");
+  const { data: wallets } = await storage.wallets.list();
   if (!wallets?.length) return;
 
   const walletIds = wallets.map(w => w.id);
 
-  // --- Fetch all resolved signals for all wallets in 3-day window ---
-  const { data: signals } = await supabase
-    .from("signals")
-    .select("wallet_id, event_slug, picked_outcome, outcome")
-    .in("wallet_id", walletIds)
-    .gte("outcome_at", startDate.toISOString())
-    .lte("outcome_at", endDate.toISOString())
-    .in("outcome", ["WIN", "LOSS"]);
+  // --- Fetch resolved signals for the longest window ---
+  const { data: signals, error } = await storage.signals.listGraded({
+    columns: "wallet_id, event_slug, picked_outcome, outcome, amount, pnl, outcome_at",
+    outcomes: GRADED_OUTCOMES,
+    walletIds,
+    since: since.toISOString()
+  });
 
-  if (!signals?.length) return; // no resolved signals in 3-day window
+  if (error) return console.error("❌ Failed fetching resolved signals for ratings:", error.message);
 
-  // --- Group signals by wallet → event ---
-  const walletEventsMap = new Map(); // wallet_id → Map(event_slug → [signals])
-  for (const sig of signals) {
-    if (!walletEventsMap.has(sig.wallet_id)) walletEventsMap.set(sig.wallet_id, new Map());
-    const eventsMap = walletEventsMap.get(sig.wallet_id);
-    if (!eventsMap.has(sig.event_slug)) eventsMap.set(sig.event_slug, []);
-    eventsMap.get(sig.event_slug).push(sig);
+  // --- Hedge check from the position ledger (same 5% rule as getWalletNetPick) ---
+  const { data: positions } = await storage.exposure.positionsForWallets(
+    walletIds,
+    "wallet_id, event_slug, outcome, cost_basis, settled_cost"
+  );
+
+  const eventTotals = new Map(); // wallet_id||event_slug → { outcome: stake }
+  for (const pos of positions || []) {
+    if (!pos.outcome) continue;
+    const key = `${pos.wallet_id}||${pos.event_slug}`;
+    if (!eventTotals.has(key)) eventTotals.set(key, {});
+    const totals = eventTotals.get(key);
+    totals[pos.outcome] = (totals[pos.outcome] || 0) + positionExposure(pos);
+  }
+
+  // --- One graded pick per wallet/event: the net pick, hedges skipped ---
+  const picks = [];
+  const seen = new Set();
+  for (const sig of signals || []) {
+    const key = `${sig.wallet_id}||${sig.event_slug}`;
+    if (seen.has(key)) continue;
+
+    const totals = eventTotals.get(key);
+    const netPick = totals ? netOutcome(totals) : sig.picked_outcome;
+    if (netPick !== sig.picked_outcome) continue;
+
+    seen.add(key);
+    picks.push(sig);
+  }
+
+  const ratedAt = clock.date();
+  const ratings = [];
+  const pauseRatings = new Map();
+
+  for (const windowDays of windows) {
+    const windowStart = now - windowDays * 24 * 60 * 60 * 1000;
+
+    const records = new Map(walletIds.map(id => [id, { wins: 0, losses: 0, pushes: 0, stake: 0, pnl: 0 }]));
+    for (const sig of picks) {
+      if (new Date(sig.outcome_at).getTime() < windowStart) continue;
+      const record = records.get(sig.wallet_id);
+      countGrade(record, sig.outcome);
+      record.stake += Number(sig.amount || 0);
+      record.pnl += Number(sig.pnl || 0);
+    }
+
+    const prior = populationPrior([...records.values()], WALLET_RATING_PRIOR_STRENGTH);
+
+    for (const [walletId, record] of records.entries()) {
+      const rating = rateWallet(record, prior, { credibleMass: WALLET_RATING_CREDIBLE_MASS });
+      ratings.push({ wallet_id: walletId, window_days: windowDays, rated_at: ratedAt, ...rating });
+      if (windowDays === WALLET_RATING_PAUSE_WINDOW) pauseRatings.set(walletId, rating);
+    }
+  }
+
+  // --- Store the latest rating per wallet and window ---
+  for (let i = 0; i < ratings.length; i += 500) {
+    const { error: upsertError } = await storage.analytics.saveRatings(ratings.slice(i, i + 500));
+    if (upsertError) console.error("❌ Failed storing wallet ratings:", upsertError.message);
   }
 
   // --- Counters for summary ---
   let totalPaused = 0;
   let totalActive = 0;
 
-  // --- Process each wallet ---
+  // --- Update wallets from the pause window ---
   for (const wallet of wallets) {
-    const eventsMap = walletEventsMap.get(wallet.id);
-    if (!eventsMap) continue; // no signals for this wallet
+    const rating = pauseRatings.get(wallet.id);
+    const paused = decidePause(rating, wallet.paused, {
+      threshold: WALLET_RATING_THRESHOLD,
+      minPicks: WALLET_RATING_MIN_PICKS
+    });
 
-    let totalPicks = 0;
-    let totalWins = 0;
+    if (paused) totalPaused++;
+    else totalActive++;
 
-    for (const [eventSlug, signalsForEvent] of eventsMap.entries()) {
-      const netPick = await getWalletNetPick(wallet.id, eventSlug);
-      if (!netPick) continue; // skip hedged/unresolved
+    if (paused !== Boolean(wallet.paused)) {
+      console.log(
+        `${paused ? "⏸️ Pausing" : "▶️ Unpausing"} wallet ${wallet.id}: ` +
+        `win prob ${(rating.win_prob * 100).toFixed(1)}% ` +
+        `[${(rating.win_prob_lower * 100).toFixed(1)}–${(rating.win_prob_upper * 100).toFixed(1)}] over ${rating.picks} pick(s)`
+      );
+    }
 
-      const sig = signalsForEvent.find(s => s.picked_outcome === netPick);
-      if (!sig) continue;
+    await storage.wallets.update(wallet.id, {
+      win_rate: Math.round(rating.win_prob * 100),
+      win_prob_lower: rating.win_prob_lower,
+      win_prob_upper: rating.win_prob_upper,
+      roi_shrunk: rating.roi_shrunk,
+      rated_at: ratedAt,
+      paused
+    });
+  }
 
-      totalPicks++;
-      if (sig.outcome === "WIN") totalWins++;
-    }
+  // --- Summary log ---
+  console.log(`📊 Wallet Ratings Summary: ${totalActive} active wallets, ${totalPaused} paused wallets`);
 
-    if (totalPicks < MIN_TOTAL_PICKS) continue; // skip low-activity wallets
+  // --- Per-league / market-type breakdown on the same schedule ---
+  await updateWalletSegmentStats();
 
-    const winRate3d = Math.round((totalWins / totalPicks) * 100);
+  // Pauses, vote weights and segment gating all moved
+  requestFullLiveRebuild("wallet ratings updated");
+}
 
-    // --- Determine pause/unpause ---
-    let paused;
-    if (winRate3d < WIN_RATE_THRESHOLD) {
-      paused = true;
-    } else if (wallet.paused && winRate3d >= WIN_RATE_THRESHOLD) {
-      paused = false; // auto-unpause
-    } else {
-      paused = wallet.paused; // no change
+/* ===========================
+   Wallet Segment Stats - Per league × sportsMarketType record from resolved signals - Segment rows drive vote gating in rebuildWalletLivePicks
+=========================== */
+async function updateWalletSegmentStats() {
+  const { data: signals, error } = await storage.signals.listGraded({
+    columns: "id, wallet_id, event_slug, market_id, polymarket_id, outcome, amount, pnl, league, market_type",
+    outcomes: GRADED_OUTCOMES
+  });
+
+  if (error) return console.error("❌ Failed fetching resolved signals for segments:", error.message);
+  if (!signals?.length) return;
+
+  // --- Fill in league / market type on rows written before they were stored ---
+  const missingSlugs = [...new Set(signals.filter(s => !s.league && s.event_slug).map(s => s.event_slug))];
+  for (const slug of missingSlugs) {
+    const market = await fetchMarketSafe({ event_slug: slug });
+    if (!market) continue;
+
+    const league = deriveLeague(market);
+    const marketType = market.sportsMarketType || null;
+    await storage.signals.fillMissingSegment(slug, { league, market_type: marketType, updated_at: clock.date() });
+
+    for (const sig of signals) {
+      if (sig.event_slug !== slug) continue;
+      sig.league = league;
+      sig.market_type = marketType;
     }
+  }
 
-    // --- Update counters ---
-    if (paused) totalPaused++;
-    else totalActive++;
+  // --- Group records by segment, then by wallet ---
+  const segments = new Map(); // league|market_type → Map(wallet_id → record)
+  for (const sig of signals) {
+    const segment = `${sig.league || "UNKNOWN"}|${sig.market_type || "UNKNOWN"}`;
+    if (!segments.has(segment)) segments.set(segment, new Map());
+    const records = segments.get(segment);
+
+    if (!records.has(sig.wallet_id)) records.set(sig.wallet_id, { wins: 0, losses: 0, pushes: 0, stake: 0, pnl: 0 });
+    const record = records.get(sig.wallet_id);
+    countGrade(record, sig.outcome);
+    record.stake += Number(sig.amount || 0);
+    record.pnl += Number(sig.pnl || 0);
+  }
 
-    // --- Update wallet ---
-    await supabase
-      .from("wallets")
-      .update({
-        win_rate: winRate3d,
-        paused,
-        last_checked: new Date()
-      })
-      .eq("id", wallet.id);
+  // --- Rate each wallet against the segment's own population ---
+  const rows = [];
+  for (const [segment, records] of segments.entries()) {
+    const [league, marketType] = segment.split("|");
+    const prior = populationPrior([...records.values()], WALLET_RATING_PRIOR_STRENGTH);
+
+    for (const [walletId, record] of records.entries()) {
+      const rating = rateWallet(record, prior, { credibleMass: WALLET_RATING_CREDIBLE_MASS });
+      rows.push({
+        wallet_id: walletId,
+        league,
+        market_type: marketType,
+        picks: rating.picks,
+        wins: rating.wins,
+        losses: rating.losses,
+        pushes: rating.pushes,
+        stake: rating.stake,
+        pnl: rating.pnl,
+        win_prob: rating.win_prob,
+        win_prob_lower: rating.win_prob_lower,
+        win_prob_upper: rating.win_prob_upper,
+        roi_shrunk: rating.roi_shrunk,
+        edge: classifySegment(rating, { minPicks: SEGMENT_MIN_PICKS, threshold: WALLET_RATING_THRESHOLD }),
+        updated_at: clock.date()
+      });
+    }
   }
 
-  // --- Summary log ---
-  console.log(`📊 Wallet Metrics Summary: ${totalActive} active wallets, ${totalPaused} paused wallets`);
+  await safeInsert("wallet_segment_stats", rows, storage.analytics.saveSegmentStats);
+
+  const proven = rows.filter(r => r.edge === "proven").length;
+  const none = rows.filter(r => r.edge === "none").length;
+  console.log(`📊 Segment Stats: ${rows.length} wallet segment(s), ${proven} proven, ${none} without edge`);
 }
 
 /* ===========================
-   Returns the wallet's NET picked_outcome for an event based on total $ amount per side. Hedged events (<5% difference) return null safely.
+   Wallet Clusters - Links wallets with matching sides + near-simultaneous entries - Stores links and cluster membership for rebuildWalletLivePicks
 =========================== */
-async function getWalletNetPick(walletId, eventSlug) {
-  const totals = await getWalletOutcomeTotals(walletId, eventSlug);
+let lastClusterRunAt = 0;
 
-  const entries = Object.entries(totals);
-  if (entries.length === 0) return null;
+async function updateWalletClusters(force = false) {
+  if (!force && clock.now() - lastClusterRunAt < CLUSTER_INTERVAL_MINUTES * 60_000) return;
+  lastClusterRunAt = clock.now();
 
-  // Sort by total descending
-  entries.sort((a, b) => b[1] - a[1]);
+  const { data: signals, error } = await storage.signals.listEntries();
 
-  const [topOutcome, topAmount] = entries[0];
-  const secondAmount = entries[1]?.[1] ?? 0;
+  if (error) return console.error("❌ Failed fetching signals for clustering:", error.message);
+  if (!signals?.length) return;
 
-  // Ignore near-equal hedges (<5%)
-  if (secondAmount > 0 && topAmount / secondAmount < 1.05) {
-    // ⚠️ Hedged event — return null, don't count as win/loss
-    return null;
+  const pairs = scoreWalletPairs(signals, { coEntryWindowMs: CLUSTER_CO_ENTRY_WINDOW_MINUTES * 60_000 });
+  const { links, clusters } = clusterWallets(pairs, {
+    minShared: CLUSTER_MIN_SHARED_PICKS,
+    minOverlap: CLUSTER_MIN_OVERLAP,
+    minCoEntry: CLUSTER_MIN_CO_ENTRY
+  });
+
+  // --- Cluster sizes ---
+  const sizes = new Map();
+  for (const clusterId of clusters.values()) sizes.set(clusterId, (sizes.get(clusterId) || 0) + 1);
+
+  // --- Upsert this run's membership and links, then drop what it didn't write: wallets that no longer link
+  //     fall back to solo votes, and readers never see an empty table in between ---
+  const runAt = clock.date().toISOString();
+  const members = [...clusters.entries()].map(([walletId, clusterId]) => ({
+    wallet_id: walletId,
+    cluster_id: clusterId,
+    cluster_size: sizes.get(clusterId),
+    updated_at: runAt
+  }));
+  const linkRows = links.map(link => ({
+    wallet_a: link.wallet_a,
+    wallet_b: link.wallet_b,
+    shared: link.shared,
+    agreeing: link.agreeing,
+    overlap: link.overlap,
+    co_entry_rate: link.co_entry_rate,
+    updated_at: runAt
+  }));
+
+  if (members.length) {
+    const { error: membersError } = await storage.analytics.saveClusterMembers(members);
+    if (membersError) return console.error("❌ Failed saving wallet clusters:", membersError.message);
   }
+  if (linkRows.length) {
+    const { error: linksError } = await storage.analytics.saveClusterLinks(linkRows);
+    if (linksError) return console.error("❌ Failed saving wallet cluster links:", linksError.message);
+  }
+
+  const { error: staleError } = await storage.analytics.deleteClustersBefore(runAt);
+  if (staleError) return console.error("❌ Failed dropping stale wallet clusters:", staleError.message);
+
+  console.log(`🔗 Wallet clusters: ${sizes.size} cluster(s) covering ${clusters.size} wallet(s) from ${links.length} link(s)`);
+  requestFullLiveRebuild("wallet clusters updated");
+}
+
+/* ===========================
+   Wallet Lead-Lag - Ranks each wallet's entry within shared picks - Originators lead, followers pile in
+=========================== */
+let lastLeadLagRunAt = 0;
+
+async function updateWalletLeadLag(force = false) {
+  if (!force && clock.now() - lastLeadLagRunAt < LEAD_LAG_INTERVAL_MINUTES * 60_000) return;
+  lastLeadLagRunAt = clock.now();
+
+  const { data: signals, error } = await storage.signals.listEntries({ timedOnly: true });
+
+  if (error) return console.error("❌ Failed fetching signals for lead-lag:", error.message);
+
+  // Upsert this run's roles, then drop what it didn't write: a wallet that no longer qualifies stops weighting votes
+  const runAt = clock.date().toISOString();
+  const rows = scoreLeadLag(signals, { minMarkets: LEAD_LAG_MIN_MARKETS })
+    .map(row => ({ ...row, updated_at: runAt }));
+
+  if (!(await safeInsert("wallet_lead_lag", rows, storage.analytics.saveRoles))) return;
 
-  return topOutcome;
+  const { error: staleError } = await storage.analytics.deleteRolesBefore(runAt);
+  if (staleError) return console.error("❌ Failed dropping stale lead-lag roles:", staleError.message);
+
+  const originators = rows.filter(r => r.role === "originator").length;
+  const followers = rows.filter(r => r.role === "follower").length;
+  console.log(`🏁 Lead-lag: ${originators} originator(s), ${followers} follower(s) across ${rows.length} wallet(s)`);
+  requestFullLiveRebuild("lead-lag roles updated");
+}
+
+/* ===========================
+   Returns the wallet's NET picked_outcome for an event based on total $ amount per side. Hedged events (top outcome <5% above every other outcome combined) return null safely.
+=========================== */
+async function getWalletNetPick(walletId, eventSlug) {
+  const totals = await getWalletOutcomeTotals(walletId, eventSlug);
+  return netOutcome(totals);
 }
 
 /* ===========================
@@ -1573,25 +2098,25 @@ async function processAndSendSignals() {
   const FORCE_SEND = process.env.FORCE_SEND === "true";
 
   // Fetch unresolved picks
-  const { data: livePicks, error } = await supabase
-    .from("wallet_live_picks")
-    .select("*")
-    .is("resolved_outcome", null);
+  const { data: livePicks, error } = await storage.livePicks.listUnresolved();
 
   if (error) return console.error("❌ Failed fetching live picks:", error.message);
   if (!livePicks?.length) return console.log("⚠️ No live picks to send");
 
   for (const pick of livePicks) {
+    // Originator-led early picks skip the wallet minimum, but not when the other side outweighs them
+    const earlySignal = pick.early_signal && earlySignalHolds(pick.confidence_breakdown);
+
     // Skip below min vote_count unless forcing
-    if (pick.vote_count < MIN_WALLETS_FOR_SIGNAL && !FORCE_SEND) {
+    if (pick.vote_count < MIN_WALLETS_FOR_SIGNAL && !earlySignal && !FORCE_SEND) {
       console.log('Skipped: below min vote_count', pick.id, pick.vote_count);
       continue;
     }
 
-    const numericConfidence = resolveNumericConfidence(pick);
+    const numericConfidence = pickConfidence(pick);
 
     // Skip below 1-star confidence unless forcing
-    if (numericConfidence < CONFIDENCE_THRESHOLDS["⭐"] && !FORCE_SEND) {
+    if (numericConfidence < CONFIDENCE_THRESHOLDS["⭐"] && !earlySignal && !FORCE_SEND) {
       console.log('Skipped: below confidence', pick.id, numericConfidence);
       continue;
     }
@@ -1616,25 +2141,31 @@ async function processAndSendSignals() {
     );
 
     // Telegram Markdown
-    const text = `⚡️ NEW MARKET PREDICTION
+    let text = `⚡️ NEW MARKET PREDICTION
 Market Event: [${eventName}](${eventUrl})
 Event Start: ${eventTime}
-Prediction: ${pick.picked_outcome || "UNKNOWN"}
+Prediction: ${pick.pick_label || pick.picked_outcome || "UNKNOWN"}
 Confidence: ${confidenceEmoji}`;
+    if (pick.outcome_count > 2) text += `\nField: ${pick.outcome_count} outcomes`;
+    if (pick.early_signal) text += `\nEarly Signal: originator-led (${pick.vote_count} wallets)`;
 
     try {
-      // Send Telegram + update Notes
-      await sendTelegram(text, false);
+      // Price the pick went out at: the bankroll simulation's entry price
+      const sentPrice = await fetchPickPrice(pick);
+
+      // Send Telegram + update Notes; an unsent pick stays unmarked and is retried next cycle
+      if ((await sendTelegram(text, false)) === "failed") {
+        console.warn(`⚠️ Signal for market ${pick.id} not delivered to Telegram, retrying next cycle`);
+        continue;
+      }
       await updateNotes("midas-sports", pick, confidenceEmoji);
 
       // ✅ Mark as sent (always set current timestamp)
-      await supabase
-        .from("wallet_live_picks")
-        .update({
-          last_confidence_sent: new Date(),
-          signal_sent_at: new Date()
-        })
-        .eq("id", pick.id);
+      await storage.livePicks.update(pick.id, {
+        last_confidence_sent: clock.date(),
+        signal_sent_at: clock.date(),
+        sent_price: sentPrice
+      });
 
       console.log(`🚀 Sent signal for market ${pick.id} (${pick.picked_outcome})`);
     } catch (err) {
@@ -1650,10 +2181,7 @@ async function processAndSendResults() {
   const FORCE_SEND = process.env.FORCE_SEND === "true";
 
   // Fetch picks that are resolved
-  const { data: resolvedPicks, error } = await supabase
-    .from("wallet_live_picks")
-    .select("*")
-    .not("resolved_outcome", "is", null);
+  const { data: resolvedPicks, error } = await storage.livePicks.listResolved();
 
   if (error) return console.error("❌ Failed fetching resolved picks:", error.message);
   if (!resolvedPicks?.length) return console.log("⚠️ No resolved picks to send results for");
@@ -1662,20 +2190,27 @@ async function processAndSendResults() {
     // Skip picks with no signal sent unless forcing
     if (!pick.signal_sent_at && !FORCE_SEND) continue;
 
-    // Skip if result already sent unless forcing
-    if (pick.result_sent_at && !FORCE_SEND) continue;
-
     const resolvedOutcome = pick.resolved_outcome;
-    const outcome = pick.outcome || (pick.picked_outcome === resolvedOutcome ? "WIN" : "LOSS");
+    const outcome = pick.outcome || gradePick(pick.picked_outcome, resolvedOutcome);
+
+    // Results sent before grades were versioned: adopt the current grade as the one sent
+    if (pick.result_sent_at && !pick.result_sent_outcome) {
+      await recordSentResult(pick, outcome, null);
+      continue;
+    }
 
-    const numericConfidence = resolveNumericConfidence(pick);
-    if (numericConfidence < CONFIDENCE_THRESHOLDS["⭐"] && !FORCE_SEND) {
+    // A sent result is revisited only when its grade has since changed
+    const previousOutcome = pick.result_sent_at && pick.result_sent_outcome !== outcome ? pick.result_sent_outcome : null;
+    if (pick.result_sent_at && !previousOutcome && !FORCE_SEND) continue;
+
+    const numericConfidence = pickConfidence(pick);
+    if (numericConfidence < CONFIDENCE_THRESHOLDS["⭐"] && !pick.early_signal && !previousOutcome && !FORCE_SEND) {
       console.log("Skipped: confidence gate", pick.id);
       continue;
     }
 
     const confidenceEmoji = getConfidenceEmoji(numericConfidence);
-    const outcomeEmoji = outcome === "WIN" ? "✅" : "❌";
+    const outcomeEmoji = RESULT_EMOJIS[outcome] || "";
     const eventName = pick.market_name || pick.event_slug || "UNKNOWN";
 
     // Fix event link
@@ -1689,28 +2224,26 @@ async function processAndSendResults() {
     );
 
     // Telegram Markdown
-    const text = `⚡️ RESULT FOR MARKET PREDICTION
+    let text = `${previousOutcome ? "♻️ RESULT CORRECTION" : "⚡️ RESULT FOR MARKET PREDICTION"}
 Market Event: [${eventName}](${eventUrl})
 Event Start: ${eventTime}
-Prediction: ${pick.picked_outcome || "UNKNOWN"}
+Prediction: ${pick.pick_label || pick.picked_outcome || "UNKNOWN"}
 Confidence: ${confidenceEmoji}
 Outcome: ${outcome} ${outcomeEmoji}`;
+    if (previousOutcome) text += `\nCorrected: was ${previousOutcome} ${RESULT_EMOJIS[previousOutcome] || ""}`;
 
     try {
-      // Send Telegram + update Notes
-      await sendTelegram(text, false);
-      await updateNotesWithResult("midas-sports", pick, confidenceEmoji);
-
-      // ✅ Mark result sent
-      await supabase
-        .from("wallet_live_picks")
-        .update({
-          outcome,
-          result_sent_at: new Date()
-        })
-        .eq("id", pick.id);
-
-      console.log(`✅ Sent RESULT for market ${pick.id} (${pick.picked_outcome})`);
+      // Send Telegram + update Notes; the grade is recorded as sent only once Telegram took it
+      if ((await sendTelegram(text, false)) === "failed") {
+        console.warn(`⚠️ Result for market ${pick.id} not delivered to Telegram, retrying next cycle`);
+        continue;
+      }
+      await updateNotesWithResult("midas-sports", { ...pick, outcome }, confidenceEmoji, previousOutcome);
+
+      // ✅ Mark result sent (new version + audit row)
+      await recordSentResult(pick, outcome, previousOutcome);
+
+      console.log(`✅ Sent ${previousOutcome ? "CORRECTION" : "RESULT"} for market ${pick.id} (${pick.picked_outcome}: ${outcome})`);
     } catch (err) {
       console.error(`❌ Failed sending RESULT for market ${pick.id}:`, err.message);
     }
@@ -1718,166 +2251,253 @@ Outcome: ${outcome} ${outcomeEmoji}`;
 }
 
 /* ===========================
-   Send Daily Summary to Telegram + Notes (Once per day)
+   Result versioning - Each sent grade bumps result_version and leaves a row in wallet_live_pick_results
 =========================== */
-async function sendDailySummaryToNotes(slug = "midas-sports") {
-  const today = new Date();
-  const todayStr = today.toISOString().slice(0, 10); // YYYY-MM-DD
+async function recordSentResult(pick, outcome, previousOutcome) {
+  const version = (pick.result_version || 0) + 1;
+  const sentAt = clock.date();
+
+  const { error: auditError } = await storage.livePicks.recordResult({
+    pick_id: pick.id,
+    market_id: pick.market_id,
+    picked_outcome: pick.picked_outcome,
+    version,
+    outcome,
+    resolved_outcome: pick.resolved_outcome,
+    previous_outcome: previousOutcome,
+    previous_resolved_outcome: previousOutcome ? pick.result_sent_resolved_outcome : null,
+    sent_at: sentAt
+  });
+  if (auditError) console.error(`❌ Failed recording result v${version} for pick ${pick.id}:`, auditError.message);
 
-  try {
-    // --- Fetch current note content ---
-    const { data: note } = await supabase
-      .from("notes")
-      .select("content, daily_summary_sent_at")
-      .eq("slug", slug)
-      .maybeSingle();
-
-    const lastSent = note?.daily_summary_sent_at
-      ? new Date(note.daily_summary_sent_at).toISOString().slice(0, 10)
-      : null;
-
-    // Skip if already sent today
-    if (lastSent === todayStr) {
-      console.log("⚠️ Daily summary already sent today, skipping.");
-      return;
+  const { error } = await storage.livePicks.update(pick.id, {
+    outcome,
+    result_sent_at: pick.result_sent_at && !previousOutcome ? pick.result_sent_at : sentAt,
+    result_sent_outcome: outcome,
+    result_sent_resolved_outcome: pick.resolved_outcome,
+    result_version: version
+  });
+  if (error) console.error(`❌ Failed marking result sent for pick ${pick.id}:`, error.message);
+}
+
+/* ===========================
+   Closing line value - Sent picks' side price at game start (the closing line) and when the market closes
+   - start_price: first loop inside [start - CLV_START_LEAD_MINUTES, start + CLV_START_GRACE_MINUTES],
+     read past the market cache; a missed window leaves it null rather than record an in-play price
+   - close_price: first loop that sees the market closed (often already near 0 / 1). A pick graded without
+     its market seen closed, or still unclosed CLV_CLOSE_CUTOFF_HOURS in, gets close_price_at alone and drops out
+   - clv / clv_pct: start_price vs. sent_price (see clv.js)
+=========================== */
+async function snapshotPickPrices() {
+  const { data: picks, error } = await storage.livePicks.listAwaitingClose(
+    "id, market_id, polymarket_id, event_slug, picked_outcome, gameStartTime, event_start_at, signal_sent_at, sent_price, start_price, resolved_outcome"
+  );
+  if (error) return console.error("❌ Failed fetching picks awaiting prices:", error.message);
+
+  const now = clock.now();
+  let started = 0;
+  let closed = 0;
+  let abandoned = 0;
+
+  for (const pick of picks || []) {
+    const startAt = Date.parse(normalizeEventTime(pick.gameStartTime || pick.event_start_at) || "");
+    const hasStart = Number.isFinite(startAt);
+    const inStartWindow = hasStart &&
+      now >= startAt - CLV_START_LEAD_MINUTES * 60_000 &&
+      now <= startAt + CLV_START_GRACE_MINUTES * 60_000;
+
+    // Markets only close once the game is under way
+    if (!inStartWindow && hasStart && now < startAt) continue;
+
+    // The start price is a live quote: don't take it from an open market cached up to MARKET_CACHE_TTL_OPEN ago
+    const wantsStart = pick.start_price == null && inStartWindow;
+    const market = await fetchPickMarket(pick, wantsStart);
+    const price = market ? pickOutcomePrice(market, pick.picked_outcome) : null;
+    const fields = {};
+
+    if (wantsStart && market && price != null && !market.closed) {
+      Object.assign(fields, { start_price: price, start_price_at: new Date(now) }, closingLineValue(pick.sent_price, price));
+      started++;
     }
 
-    // --- Calculate yesterday and overall stats ---
-    const yesterday = new Date(today);
-    yesterday.setDate(today.getDate() - 1);
-    const yesterdayStr = yesterday.toLocaleDateString("en-US", { timeZone: TIMEZONE });
+    const cutoffFrom = hasStart ? startAt : Date.parse(pick.signal_sent_at);
+    if (market?.closed) {
+      Object.assign(fields, { close_price: price, close_price_at: new Date(now) });
+      closed++;
+    } else if (pick.resolved_outcome != null || now > cutoffFrom + CLV_CLOSE_CUTOFF_HOURS * 3600_000) {
+      // Graded already, or never loaded / closed by the cutoff: stop polling without a close price
+      fields.close_price_at = new Date(now);
+      abandoned++;
+    }
 
-    const startOfYesterday = new Date(yesterday);
-    startOfYesterday.setHours(0, 0, 0, 0);
-    const endOfYesterday = new Date(yesterday);
-    endOfYesterday.setHours(23, 59, 59, 999);
+    if (!Object.keys(fields).length) continue;
+    const { error: updateError } = await storage.livePicks.update(pick.id, fields);
+    if (updateError) console.error(`❌ Failed saving price snapshot for pick ${pick.id}:`, updateError.message);
+  }
 
-    // Fetch yesterday's picks
-    const { data: yesterdayPicks, error: yesterdayError } = await supabase
-      .from("wallet_live_picks")
-      .select("picked_outcome, resolved_outcome, confidence")
-      .gte("resolved_at", startOfYesterday.toISOString())
-      .lte("resolved_at", endOfYesterday.toISOString());
+  if (started || closed || abandoned) {
+    console.log(`📈 Price snapshots: ${started} at game start, ${closed} at close, ${abandoned} given up without a close`);
+  }
+}
 
-    if (yesterdayError) return console.error("❌ Failed fetching yesterday picks:", yesterdayError.message);
+/* ===========================
+   Bankroll simulation - Flat / unit-per-star / fractional-Kelly staking over every sent pick
+   (bankroll_simulation per strategy, per-pick stakes and results on wallet_live_picks.simulation)
+=========================== */
+async function updateBankrollSimulation() {
+  const { data: sentPicks, error } = await storage.livePicks.listSent(
+    "id, signal_sent_at, sent_price, outcome, resolved_at, confidence, vote_count, simulation"
+  );
+  if (error) {
+    console.error("❌ Failed fetching sent picks for bankroll simulation:", error.message);
+    return null;
+  }
 
-    let winsYesterday = 0, lossesYesterday = 0, pendingYesterday = 0;
-    const confidenceCountYesterday = {};
+  const result = simulateBankroll(sentPicks, {
+    startingBankroll: BANKROLL_START,
+    flatStake: BANKROLL_FLAT_STAKE,
+    kellyMultiplier: BANKROLL_KELLY_MULTIPLIER,
+    kellyMaxFraction: BANKROLL_KELLY_MAX_FRACTION
+  });
 
-    yesterdayPicks.forEach(pick => {
-      if (pick.resolved_outcome === "WIN") winsYesterday++;
-      else if (pick.resolved_outcome === "LOSS") lossesYesterday++;
-      else pendingYesterday++;
+  const updatedAt = clock.date();
+  await safeInsert(
+    "bankroll_simulation",
+    STRATEGIES.map(strategy => ({ strategy, ...result.strategies[strategy], skipped_picks: result.skipped, updated_at: updatedAt })),
+    storage.reports.saveBankroll
+  );
 
-      const emoji = getConfidenceEmoji(pick.confidence || 0);
-      confidenceCountYesterday[emoji] = (confidenceCountYesterday[emoji] || 0) + 1;
-    });
+  // Only picks whose simulated stake / result moved are written back
+  const previous = new Map(sentPicks.map(p => [p.id, JSON.stringify(p.simulation ?? null)]));
+  for (const { id, ...simulation } of result.picks) {
+    if (previous.get(id) === JSON.stringify(simulation)) continue;
+    const { error: updateError } = await storage.livePicks.update(id, { simulation });
+    if (updateError) console.error(`❌ Failed saving simulation for pick ${id}:`, updateError.message);
+  }
 
-    // Fetch overall picks
-    const { data: allPicks, error: allError } = await supabase
-      .from("wallet_live_picks")
-      .select("picked_outcome, resolved_outcome");
+  const { flat, kelly } = result.strategies;
+  console.log(`💰 Bankroll: flat $${flat.bankroll} (${flat.pnl >= 0 ? "+" : ""}${flat.pnl}), Kelly $${kelly.bankroll}, ${result.skipped} unpriced pick(s) skipped`);
+  return result;
+}
 
-    if (allError) return console.error("❌ Failed fetching all picks:", allError.message);
+function formatBankrollSummary(strategies) {
+  const labels = { flat: `Flat $${BANKROLL_FLAT_STAKE}`, units: "Unit/⭐", kelly: `${BANKROLL_KELLY_MULTIPLIER}× Kelly` };
+  const money = value => `${value < 0 ? "-" : "+"}$${Math.abs(value).toFixed(0)}`;
+  const pct = value => (value == null ? "—" : `${(value * 100).toFixed(1)}%`);
 
-    let totalWins = 0, totalLosses = 0, totalPending = 0;
-    allPicks.forEach(pick => {
-      if (pick.resolved_outcome === "WIN") totalWins++;
-      else if (pick.resolved_outcome === "LOSS") totalLosses++;
-      else totalPending++;
-    });
+  return STRATEGIES.map(strategy => {
+    const s = strategies[strategy];
+    return `${labels[strategy]}: $${s.bankroll.toFixed(0)} (${money(s.pnl)}, ROI ${pct(s.roi)}, max DD ${pct(s.max_drawdown_pct)}, worst streak ${s.longest_losing_streak}L)`;
+  }).join("\n");
+}
 
-    const confidenceBreakdown = Object.entries(confidenceCountYesterday)
-      .map(([emoji, count]) => `${emoji} ${count}`)
-      .join(" | ");
+/* ===========================
+   Calibration - Star tiers' hit rate vs. the prices picks went out at (daily summary section)
+=========================== */
+async function buildCalibrationSummary() {
+  const { data: sentPicks, error } = await storage.livePicks.listSent("id, outcome, confidence, vote_count, sent_price");
+  if (error) {
+    console.error("❌ Failed fetching sent picks for calibration:", error.message);
+    return null;
+  }
 
-    // --- Compose summary ---
-    const summaryMessage = `📊 DAILY SUMMARY (W-L-P)
-🗓 Yesterday (${yesterdayStr}): ✅ ${winsYesterday} - ❌ ${lossesYesterday} - ⚪ ${pendingYesterday} 
-Confidence: ${confidenceBreakdown}
-📈 Overall: ✅ ${totalWins} - ❌ ${totalLosses} - ⚪ ${totalPending}`;
+  const report = calibrationReport(sentPicks, { minPicks: CALIBRATION_MIN_PICKS, credibleMass: CALIBRATION_CREDIBLE_MASS });
+  const rows = formatCalibrationRows(report.tiers);
+  if (!rows.length) return null;
 
-    console.log("📝 Daily Summary:\n", summaryMessage);
+  const flagged = [...report.tiers, ...report.voteCounts].filter(r => r.miscalibrated).map(r => r.group);
+  if (flagged.length) rows.push(`⚠️ Miscalibrated: ${flagged.join(", ")}`);
+  return rows.join("\n");
+}
 
-    // --- Update notes and mark summary as sent today ---
-    let newContent = note?.content || "";
-    const summaryRegex = /^📊 DAILY SUMMARY[\s\S]*?(?=\n\n|$)/;
-    if (summaryRegex.test(newContent)) {
-      newContent = newContent.replace(summaryRegex, summaryMessage);
-    } else {
-      newContent = `${summaryMessage}\n\n${newContent}`;
-    }
+/* ===========================
+   Send Recaps to Telegram + Notes (once per period)
+=========================== */
+// notes column recording each period's last send
+const RECAP_SENT_COLUMNS = {
+  daily: "daily_summary_sent_at",
+  weekly: "weekly_recap_sent_at",
+  monthly: "monthly_recap_sent_at"
+};
 
-    await supabase
-      .from("notes")
-      .update({ content: newContent, public: true, daily_summary_sent_at: new Date() })
-      .eq("slug", slug);
+// Periods whose last recap attempt failed; the tracker loop retries them until one goes through
+const pendingRecaps = new Set();
 
-    // --- Send to Telegram ---
-    await sendTelegram(summaryMessage, false);
+async function sendRecap(period, slug = "midas-sports") {
+  const window = recapWindow(period, clock.date(), TIMEZONE);
+  const sentColumn = RECAP_SENT_COLUMNS[period];
+  pendingRecaps.delete(period);
 
-    console.log("✅ Daily summary updated and sent to Telegram (once per day).");
+  try {
+    const { data: note } = await storage.notes.get(slug, `content, ${sentColumn}`);
 
-  } catch (err) {
-    console.error("❌ Failed sending daily summary:", err.message);
-  }
-}
+    // Already sent once the last send is past the end of the period being recapped
+    if (note?.[sentColumn] && new Date(note[sentColumn]) >= window.to) {
+      console.log(`⚠️ ${period} recap for ${window.label} already sent, skipping.`);
+      return;
+    }
 
-/* ===========================
-   Force Resolve Pending Markets
-=========================== */
-async function forceResolvePendingMarkets() {
-  const { data: pendingSignals, error } = await supabase
-    .from("signals")
-    .select("*")
-    .ilike("outcome", "pending");
+    const { data: sentPicks, error } = await storage.livePicks.listSent(
+      "id, market_name, pick_label, picked_outcome, resolved_outcome, outcome, resolved_at, sent_price, league, confidence, vote_count"
+    );
+    if (error) {
+      pendingRecaps.add(period);
+      return console.error(`❌ Failed fetching sent picks for ${period} recap:`, error.message);
+    }
 
-  if (error) {
-    console.error("❌ Failed fetching pending signals:", error.message);
-    return;
-  }
+    let message = formatRecap(buildRecap(sentPicks, window));
 
-  if (!pendingSignals?.length) {
-    console.log("✅ No pending signals to resolve");
-    return;
-  }
+    if (period === "daily") {
+      const simulation = await updateBankrollSimulation();
+      if (simulation) message += `\n💰 Simulated bankroll ($${BANKROLL_START.toFixed(0)} start)\n${formatBankrollSummary(simulation.strategies)}`;
 
-  const eventSlugs = [...new Set(pendingSignals.map(s => s.event_slug).filter(Boolean))];
+      const calibration = await buildCalibrationSummary();
+      if (calibration) message += `\n🎯 Calibration (hit rate vs. implied)\n${calibration}`;
+    }
 
-  for (const slug of eventSlugs) {
-    try {
-      const market = await fetchMarketSafe({ event_slug: slug }, true);
-      if (!market || !market.outcome) continue;
-
-      const winningOutcome = market.outcome;
-
-      // Update signals
-      for (const sig of pendingSignals.filter(s => s.event_slug === slug)) {
-        const newOutcome = sig.picked_outcome === winningOutcome ? "WIN" : "LOSS";
-        await supabase
-          .from("signals")
-          .update({
-            outcome: newOutcome,
-            resolved_outcome: winningOutcome,
-            outcome_at: new Date()
-          })
-          .eq("id", sig.id);
-      }
+    console.log(`📝 ${period} recap:\n`, message);
 
-      console.log(`✅ Resolved market ${slug} with outcome: ${winningOutcome}`);
-    } catch (err) {
-      console.error(`❌ Error resolving event ${slug}:`, err.message);
+    // --- Drop the period's previous block (and the old daily summary) and prepend the new one ---
+    const header = period === "daily" ? "📊 DAILY (?:SUMMARY|RECAP)" : RECAP_HEADERS[period];
+    const previous = new RegExp(`^${header}[\\s\\S]*?(?:\\n\\n|(?![\\s\\S]))`, "m");
+    const rest = (note?.content || "").replace(previous, "").trimEnd();
+    const newContent = rest ? `${message}\n\n${rest}` : message;
+
+    // Recorded (notes block + sent column) only after Telegram took the recap; a failed send is retried next loop
+    if ((await sendTelegram(message, false)) === "failed") {
+      pendingRecaps.add(period);
+      return console.warn(`⚠️ ${period} recap for ${window.label} not delivered to Telegram, retrying next loop`);
     }
-  }
+    await publishers.notes.update(slug, { content: newContent, public: true, [sentColumn]: clock.date() });
 
-  // Rebuild picks after force resolve
-  try {
-    await rebuildWalletLivePicks(true);
+    console.log(`✅ ${period} recap for ${window.label} added to notes and sent to Telegram.`);
   } catch (err) {
-    console.error("❌ Failed rebuilding wallet live picks:", err.message);
+    pendingRecaps.add(period);
+    console.error(`❌ Failed sending ${period} recap:`, err.message);
   }
+}
 
-  console.log(`🚀 Force-resolve complete for ${eventSlugs.length} market(s)`);
+async function retryPendingRecaps() {
+  for (const period of [...pendingRecaps]) await sendRecap(period);
+}
+
+/* ===========================
+   Resolve Pending Markets — the one resolution entry point (tracker loop + daily cron)
+=========================== */
+async function resolvePendingMarkets() {
+  const summary = await runResolutionCycle(storage, {
+    fetchMarket: ({ event_slug, market_id, polymarket_id }) =>
+      fetchMarketSafe({ event_slug, market_id, polymarket_id }, true),
+    normalizeOutcome,
+    maxMarkets: RESOLUTION_MAX_MARKETS,
+    recheckHours: RESULT_RECHECK_HOURS,
+    now: clock.now
+  });
+
+  console.log(
+    `✅ Resolution: ${summary.resolved}/${summary.checked} market(s) settled, ${summary.regraded} re-graded ` +
+    `(${summary.signals} signal(s), ${summary.picks} live pick(s); ${summary.pending} pending, ${summary.disputed} disputed)`
+  );
 }
 
 /* ===========================
@@ -1896,27 +2516,39 @@ async function trackerLoop() {
   try {
     let forceRebuildSignals = true;
     try {
-      const { data: allSignals, error: sigError } = await supabase.from("signals").select("id").limit(1);
-      if (!sigError) forceRebuildSignals = !allSignals?.length;
+      const { data: hasSignals, error: sigError } = await storage.signals.hasAny();
+      if (!sigError) forceRebuildSignals = !hasSignals;
     } catch { forceRebuildSignals = true; }
 
     let wallets = [];
     try {
-      const { data, error } = await supabase.from("wallets").select("*");
+      const { data, error } = await storage.wallets.list();
       if (!error && data?.length) wallets = data;
       if (!wallets.length) return console.log("⚠️ No wallets found");
     } catch { return; }
 
-    await Promise.allSettled(wallets.map(wallet =>
+    await mapWithConcurrency(wallets, WALLET_CONCURRENCY, wallet =>
       trackWallet(wallet, forceRebuildSignals).catch(err => console.error(`❌ Failed tracking wallet ${wallet.id}:`, err))
-    ));
+    );
 
-    await safeStep("forceResolvePendingMarkets", forceResolvePendingMarkets);
+    await safeStep("markWalletPositionsToMarket", markWalletPositionsToMarket);
+    await safeStep("resolvePendingMarkets", resolvePendingMarkets);
     await safeStep("rebuildWalletLivePicks", () => rebuildWalletLivePicks(forceRebuildSignals));
-    await safeStep("resolveMarkets", resolveMarkets);
     await safeStep("processAndSendResults", processAndSendResults);
     await safeStep("processAndSendSignals", processAndSendSignals);
-    await safeStep("updateWalletMetricsRolling3DOptimized", updateWalletMetricsRolling3DOptimized);
+    await safeStep("snapshotPickPrices", snapshotPickPrices);
+    await safeStep("updateBankrollSimulation", updateBankrollSimulation);
+    await safeStep("retryPendingRecaps", retryPendingRecaps);
+    await safeStep("updateWalletRatings", () => updateWalletRatings());
+    await safeStep("updateWalletClusters", () => updateWalletClusters());
+    await safeStep("updateWalletLeadLag", () => updateWalletLeadLag());
+
+    const cache = marketCache.stats();
+    console.log(`📦 Market cache: ${cache.hits} hits (${cache.persisted_hits} from DB) / ${cache.misses} misses, ${cache.size}/${cache.max_entries} entries, ${cache.evictions} evicted`);
+
+    for (const [host, m] of Object.entries(polymarketApi.stats().hosts)) {
+      console.log(`🌐 ${host}: ${m.requests} requests, ${m.ok} ok / ${m.failed} failed, ${m.retries} retries, ${m.rate_limited} rate-limited, ${m.short_circuited} short-circuited, avg ${m.avg_ms}ms, circuit ${m.circuit}`);
+    }
 
   } catch (err) {
     console.error("❌ Tracker loop failed:", err);
@@ -1952,10 +2584,16 @@ async function main() {
       await fetchAndInsertLeaderboardWallets(safeInsert);
       await rebuildWalletLivePicks(true);
       await trackerLoop();
-      await sendDailySummaryToNotes("midas-sports");
+      await resolvePendingMarkets();
+      await marketCache.prune();
+      await sendRecap("daily", "midas-sports");
     } catch (err) { console.error("❌ Daily cron failed:", err); }
   }, { timezone: TIMEZONE });
 
+  // Weekly (Mon–Sun) and monthly recaps
+  cron.schedule(RECAP_WEEKLY_CRON, () => sendRecap("weekly", "midas-sports"), { timezone: TIMEZONE });
+  cron.schedule(RECAP_MONTHLY_CRON, () => sendRecap("monthly", "midas-sports"), { timezone: TIMEZONE });
+
   // HTTP heartbeat for Render / uptime monitoring
   http.createServer((req, res) => {
     res.writeHead(200, { "Content-Type": "text/plain" });
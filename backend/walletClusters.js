@@ -0,0 +1,132 @@
+/* ===========================
+   Wallet Clustering
+   Links wallets that pick the same sides and enter together, then groups them
+=========================== */
+
+/**
+ * Score every wallet pair that shares at least one market
+ * - overlap: same-side picks / the smaller wallet's market count
+ * - co_entry_rate: same-side picks entered within `coEntryWindowMs` / same-side picks with entry times
+ * @param {Array<object>} signals - rows with wallet_id, market_id, picked_outcome, entered_at
+ * @param {{ coEntryWindowMs?: number }} [options]
+ * @returns {Array<object>} pair stats
+ */
+export function scoreWalletPairs(signals, { coEntryWindowMs = 10 * 60 * 1000 } = {}) {
+  // market_id → wallet_id → { outcome, enteredAt }
+  const byMarket = new Map();
+  const marketCounts = new Map();
+
+  for (const sig of signals || []) {
+    if (!sig.wallet_id || !sig.market_id || !sig.picked_outcome) continue;
+    if (!byMarket.has(sig.market_id)) byMarket.set(sig.market_id, new Map());
+    const wallets = byMarket.get(sig.market_id);
+    if (wallets.has(sig.wallet_id)) continue;
+
+    wallets.set(sig.wallet_id, {
+      outcome: sig.picked_outcome,
+      enteredAt: sig.entered_at ? new Date(sig.entered_at).getTime() : null
+    });
+    marketCounts.set(sig.wallet_id, (marketCounts.get(sig.wallet_id) || 0) + 1);
+  }
+
+  const pairs = new Map();
+  for (const wallets of byMarket.values()) {
+    const entries = [...wallets.entries()].sort((a, b) => a[0] - b[0]);
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const [walletA, pickA] = entries[i];
+        const [walletB, pickB] = entries[j];
+        const key = `${walletA}|${walletB}`;
+        if (!pairs.has(key)) {
+          pairs.set(key, { wallet_a: walletA, wallet_b: walletB, shared: 0, agreeing: 0, timed: 0, co_entered: 0 });
+        }
+        const pair = pairs.get(key);
+
+        pair.shared++;
+        if (pickA.outcome !== pickB.outcome) continue;
+        pair.agreeing++;
+
+        if (pickA.enteredAt == null || pickB.enteredAt == null) continue;
+        pair.timed++;
+        if (Math.abs(pickA.enteredAt - pickB.enteredAt) <= coEntryWindowMs) pair.co_entered++;
+      }
+    }
+  }
+
+  return [...pairs.values()].map(pair => {
+    const smaller = Math.min(marketCounts.get(pair.wallet_a), marketCounts.get(pair.wallet_b));
+    return {
+      ...pair,
+      overlap: smaller ? pair.agreeing / smaller : 0,
+      co_entry_rate: pair.timed ? pair.co_entered / pair.timed : 0
+    };
+  });
+}
+
+/**
+ * Connected components over the pairs that clear every threshold
+ * @param {Array<object>} pairs - from scoreWalletPairs
+ * @param {{ minShared?: number, minOverlap?: number, minCoEntry?: number }} [options]
+ * @returns {{ links: Array<object>, clusters: Map<number, number> }} clusters maps wallet_id → cluster id (lowest member id)
+ */
+export function clusterWallets(pairs, { minShared = 5, minOverlap = 0.6, minCoEntry = 0.5 } = {}) {
+  const links = pairs.filter(p =>
+    p.agreeing >= minShared && p.overlap >= minOverlap && p.co_entry_rate >= minCoEntry
+  );
+
+  const parent = new Map();
+  const find = id => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    // Lowest wallet id names the cluster
+    if (rootA < rootB) parent.set(rootB, rootA);
+    else parent.set(rootA, rootB);
+  };
+
+  for (const link of links) union(link.wallet_a, link.wallet_b);
+
+  const clusters = new Map();
+  for (const id of parent.keys()) clusters.set(id, find(id));
+  return { links, clusters };
+}
+
+/**
+ * Collapse votes from the same cluster into one effective vote led by its earliest entrant
+ * @param {Array<object>} votes - { wallet_id, stake, enteredAt, segmentFactor? }
+ * @param {Map<number, number>} clusterOf - wallet_id → cluster id
+ * @returns {Array<object>} votes, each with `members`
+ */
+export function collapseClusterVotes(votes, clusterOf) {
+  const groups = new Map();
+
+  for (const vote of votes) {
+    const clusterId = clusterOf.get(vote.wallet_id) ?? `wallet:${vote.wallet_id}`;
+    if (!groups.has(clusterId)) groups.set(clusterId, []);
+    groups.get(clusterId).push(vote);
+  }
+
+  return [...groups.values()].map(members => {
+    if (members.length === 1) return { ...members[0], members: [members[0].wallet_id] };
+
+    const lead = members.reduce((first, v) => {
+      if (!v.enteredAt) return first;
+      if (!first.enteredAt) return v;
+      return new Date(v.enteredAt) < new Date(first.enteredAt) ? v : first;
+    });
+
+    return {
+      ...lead,
+      segmentFactor: Math.max(...members.map(v => v.segmentFactor ?? 1)),
+      members: members.map(v => v.wallet_id)
+    };
+  });
+}
@@ -0,0 +1,160 @@
+/* ===========================
+   Wallet Skill Rating
+   Beta-posterior win probability + shrunk ROI, pooled toward the population
+=========================== */
+
+/* ---------- Beta distribution helpers ---------- */
+
+function logGamma(x) {
+  // Lanczos approximation (g = 7)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function betaContinuedFraction(x, a, b) {
+  const MAX_ITER = 200;
+  const EPS = 1e-12;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < 1e-300) d = 1e-300;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITER; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta I_x(a, b) — the Beta(a, b) CDF at x
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Beta(a, b) quantile by bisection
+ * @param {number} p - probability in (0, 1)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function betaQuantile(p, a, b) {
+  let lo = 0, hi = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (betaCdf(mid, a, b) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/* ---------- Rating ---------- */
+
+/**
+ * Empirical-Bayes prior from every wallet's record in the window
+ * @param {Array<{ wins: number, losses: number, stake: number, pnl: number }>} records
+ * @param {number} strength - prior weight in pseudo-picks
+ * @returns {{ alpha: number, beta: number, winProb: number, roi: number }}
+ */
+export function populationPrior(records, strength = 20) {
+  let wins = 0, losses = 0, stake = 0, pnl = 0;
+  for (const r of records) {
+    wins += r.wins;
+    losses += r.losses;
+    stake += r.stake;
+    pnl += r.pnl;
+  }
+
+  const winProb = wins + losses > 0 ? wins / (wins + losses) : 0.5;
+  return {
+    alpha: Math.max(winProb * strength, 0.5),
+    beta: Math.max((1 - winProb) * strength, 0.5),
+    winProb,
+    roi: stake > 0 ? pnl / stake : 0
+  };
+}
+
+/**
+ * Posterior win probability (mean + central credible interval) and ROI shrunk toward the population.
+ * Pushes only move stake / PnL (ROI); they are neither wins nor losses.
+ * @param {{ wins: number, losses: number, pushes?: number, stake: number, pnl: number }} record
+ * @param {{ alpha: number, beta: number, roi: number }} prior
+ * @param {{ credibleMass?: number, roiPriorPicks?: number }} [options]
+ * @returns {object} rating
+ */
+export function rateWallet(record, prior, { credibleMass = 0.9, roiPriorPicks = 20 } = {}) {
+  const picks = record.wins + record.losses;
+  const a = prior.alpha + record.wins;
+  const b = prior.beta + record.losses;
+  const tail = (1 - credibleMass) / 2;
+
+  const roi = record.stake > 0 ? record.pnl / record.stake : null;
+  const roiShrunk = roi == null
+    ? prior.roi
+    : (picks * roi + roiPriorPicks * prior.roi) / (picks + roiPriorPicks);
+
+  return {
+    picks,
+    wins: record.wins,
+    losses: record.losses,
+    pushes: record.pushes || 0,
+    stake: record.stake,
+    pnl: record.pnl,
+    win_prob: a / (a + b),
+    win_prob_lower: betaQuantile(tail, a, b),
+    win_prob_upper: betaQuantile(1 - tail, a, b),
+    roi,
+    roi_shrunk: roiShrunk,
+    prior_win_prob: prior.winProb,
+    prior_roi: prior.roi
+  };
+}
+
+/**
+ * Pause only when the wallet is credibly below the bar; unpause once its posterior mean is back above it
+ * @param {object} rating - from rateWallet
+ * @param {boolean} paused - current state
+ * @param {{ threshold?: number, minPicks?: number }} [options]
+ * @returns {boolean}
+ */
+export function decidePause(rating, paused, { threshold = 0.5, minPicks = 5 } = {}) {
+  if (rating.picks < minPicks) return Boolean(paused);
+  if (rating.win_prob_upper < threshold) return true;
+  if (paused && rating.win_prob >= threshold) return false;
+  return Boolean(paused);
+}
@@ -6,41 +6,92 @@ const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_KEY
 );
 
+const STRATEGY_LABELS = { flat: "Flat $100", units: "1 unit per ⭐", kelly: "Fractional Kelly" };
+
+const money = value => (value == null ? "—" : `${value < 0 ? "-" : ""}$${Math.abs(Number(value)).toFixed(2)}`);
+const cents = value => (value == null ? "—" : `${value >= 0 ? "+" : ""}${(Number(value) * 100).toFixed(1)}¢`);
+const pct = value => (value == null ? "—" : `${(Number(value) * 100).toFixed(1)}%`);
+
 export default function Dashboard() {
-  const [signals, setSignals] = useState([]);
+  const [picks, setPicks] = useState([]);
+  const [bankroll, setBankroll] = useState([]);
 
   useEffect(() => {
-    async function loadSignals() {
+    async function loadPicks() {
       const { data } = await supabase
-        .from("signals")
-        .select("*")
-        .order("created_at", { ascending: false })
+        .from("wallet_live_picks")
+        .select("id, market_name, pick_label, picked_outcome, sent_price, start_price, clv, outcome, signal_sent_at, simulation")
+        .not("signal_sent_at", "is", null)
+        .order("signal_sent_at", { ascending: false })
         .limit(50);
-      setSignals(data);
+      setPicks(data || []);
+
+      const { data: strategies } = await supabase.from("bankroll_simulation").select("*");
+      setBankroll(strategies || []);
     }
 
-    loadSignals();
-    const interval = setInterval(loadSignals, 10000); // refresh every 10s
+    loadPicks();
+    const interval = setInterval(loadPicks, 10000); // refresh every 10s
     return () => clearInterval(interval);
   }, []);
 
   return (
     <div>
       <h1>Curated Polymarket Signals</h1>
+
+      <h2>Simulated Bankroll</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Staking</th>
+            <th>Bankroll</th>
+            <th>PnL</th>
+            <th>ROI</th>
+            <th>W-L-P</th>
+            <th>Longest Losing Streak</th>
+            <th>Max Drawdown</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bankroll.map(s => (
+            <tr key={s.strategy}>
+              <td>{STRATEGY_LABELS[s.strategy] || s.strategy}</td>
+              <td>{money(s.bankroll)}</td>
+              <td>{money(s.pnl)}</td>
+              <td>{pct(s.roi)}</td>
+              <td>{s.wins}-{s.losses}-{s.pushes}</td>
+              <td>{s.longest_losing_streak}</td>
+              <td>{money(s.max_drawdown)} ({pct(s.max_drawdown_pct)})</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2>Published Picks</h2>
       <table>
         <thead>
           <tr>
-            <th>Signal</th>
+            <th>Market</th>
+            <th>Pick</th>
+            <th>Price at Send</th>
+            <th>Closing Line</th>
+            <th>CLV</th>
+            <th>Result</th>
             <th>Simulated $100 PnL</th>
-            <th>Timestamp</th>
+            <th>Sent</th>
           </tr>
         </thead>
         <tbody>
-          {signals.map(s => (
-            <tr key={s.id}>
-              <td>{s.signal}</td>
-              <td>{s.pnl.toFixed(2)}</td>
-              <td>{new Date(s.created_at).toLocaleString()}</td>
+          {picks.map(p => (
+            <tr key={p.id}>
+              <td>{p.market_name}</td>
+              <td>{p.pick_label || p.picked_outcome}</td>
+              <td>{p.sent_price == null ? "—" : Number(p.sent_price).toFixed(3)}</td>
+              <td>{p.start_price == null ? "—" : Number(p.start_price).toFixed(3)}</td>
+              <td>{cents(p.clv)}</td>
+              <td>{p.outcome}</td>
+              <td>{money(p.simulation?.pnl?.flat)}</td>
+              <td>{new Date(p.signal_sent_at).toLocaleString()}</td>
             </tr>
           ))}
         </tbody>
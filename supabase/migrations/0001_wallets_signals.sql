@@ -0,0 +1,126 @@
+-- Tracked wallets: leaderboard proxies with their warning / pause state
+create table if not exists wallets (
+  id serial primary key,
+  polymarket_proxy_wallet text not null,
+  polymarket_username text,
+  created_at timestamptz default now(),
+  last_checked timestamptz,
+  force_fetch boolean default false,
+  live_markets int default 0,
+  live_picks int default 0,
+  -- win_rate is the posterior win probability in % (pause window)
+  win_rate int default 0,
+  paused boolean default false,
+  losing_streak int default 0,
+  warning text,
+  warning_logged_at timestamptz
+);
+
+-- Databases set up from the old schema.sql: columns it never declared, and a required wallet_address nothing writes
+alter table wallets add column if not exists polymarket_proxy_wallet text;
+alter table wallets add column if not exists polymarket_username text;
+alter table wallets add column if not exists created_at timestamptz default now();
+alter table wallets add column if not exists last_checked timestamptz;
+alter table wallets add column if not exists force_fetch boolean default false;
+alter table wallets add column if not exists live_markets int default 0;
+alter table wallets add column if not exists live_picks int default 0;
+alter table wallets add column if not exists win_rate int default 0;
+alter table wallets add column if not exists paused boolean default false;
+alter table wallets add column if not exists losing_streak int default 0;
+alter table wallets add column if not exists warning text;
+alter table wallets add column if not exists warning_logged_at timestamptz;
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'wallets' and column_name = 'wallet_address'
+  ) then
+    alter table wallets alter column wallet_address drop not null;
+  end if;
+end $$;
+
+-- Activity ingestion: per-wallet high-water mark + one-time backfill flag
+alter table wallets add column if not exists activity_cursor_ts bigint default 0;
+alter table wallets add column if not exists activity_cursor_offset int default 0;
+alter table wallets add column if not exists backfill_complete boolean default false;
+
+-- Position ledger roll-ups
+alter table wallets add column if not exists avg_entry_price numeric;
+alter table wallets add column if not exists avg_entry_price_live numeric;
+alter table wallets add column if not exists realized_pnl numeric;
+alter table wallets add column if not exists unrealized_pnl numeric;
+
+-- Bayesian rating (pause window)
+alter table wallets add column if not exists win_prob_lower numeric;
+alter table wallets add column if not exists win_prob_upper numeric;
+alter table wallets add column if not exists roi_shrunk numeric;
+alter table wallets add column if not exists rated_at timestamptz;
+
+create unique index if not exists wallets_polymarket_proxy_wallet_key on wallets (polymarket_proxy_wallet);
+
+-- One net pick per wallet and market group
+create table if not exists signals (
+  id serial primary key,
+  wallet_id int references wallets(id),
+  market_id text,
+  polymarket_id bigint,
+  market_name text,
+  event_slug text,
+  picked_outcome text,
+  signal text,
+  side text,
+  amount numeric,
+  pnl numeric,
+  win_rate int,
+  -- outcome: Pending | WIN | LOSS | PUSH | VOID
+  outcome text,
+  resolved_outcome text,
+  outcome_at timestamptz,
+  event_start_at timestamptz,
+  tx_hash text,
+  created_at timestamptz default now()
+);
+
+-- Columns the old schema.sql never had
+alter table signals add column if not exists market_id text;
+alter table signals add column if not exists polymarket_id bigint;
+alter table signals add column if not exists market_name text;
+alter table signals add column if not exists event_slug text;
+alter table signals add column if not exists picked_outcome text;
+alter table signals add column if not exists side text;
+alter table signals add column if not exists amount numeric;
+alter table signals add column if not exists win_rate int;
+alter table signals add column if not exists outcome text;
+alter table signals add column if not exists resolved_outcome text;
+alter table signals add column if not exists outcome_at timestamptz;
+alter table signals add column if not exists event_start_at timestamptz;
+alter table signals add column if not exists tx_hash text;
+alter table signals alter column signal drop not null;
+
+-- signals.amount = stake held on the pick, signals.pnl = realized + unrealized
+alter table signals add column if not exists avg_entry_price numeric;
+
+-- Weighted consensus: first-entry time per signal
+alter table signals add column if not exists entered_at timestamptz;
+
+-- Wallet specialization: league × sportsMarketType of the pick
+alter table signals add column if not exists league text;
+alter table signals add column if not exists market_type text;
+
+-- Spread / total lines: line is signed for the picked side, pick_label e.g. "Lakers -4.5" / "Over 215.5"
+alter table signals add column if not exists line numeric;
+alter table signals add column if not exists line_side text;
+alter table signals add column if not exists pick_label text;
+
+-- Resolution engine: when a signal was graded
+alter table signals add column if not exists resolved_at timestamptz;
+
+-- Incremental live-pick rebuild: updated_at marks changed markets
+alter table signals add column if not exists updated_at timestamptz default now();
+
+-- Upsert target for net signals; signals are anchored on the first fill ("<transactionHash>:<logIndex>")
+create unique index if not exists signals_wallet_event_pick_key on signals (wallet_id, event_slug, picked_outcome);
+create unique index if not exists signals_tx_hash_key on signals (tx_hash);
+create index if not exists signals_market_id_idx on signals (market_id);
+create index if not exists signals_updated_at_idx on signals (updated_at);
+create index if not exists signals_outcome_at_idx on signals (outcome_at);
@@ -0,0 +1,63 @@
+-- Underlying fills behind each signal, keyed on the on-chain trade
+create table if not exists signal_trades (
+  id bigserial primary key,
+  wallet_id int references wallets(id),
+  tx_hash text not null,
+  log_index int not null,
+  event_slug text,
+  market_id text,
+  condition_id text,
+  market_name text,
+  asset text,
+  type text,
+  side text,
+  price numeric,
+  size numeric,
+  amount numeric,
+  picked_outcome text,
+  traded_at timestamptz,
+  created_at timestamptz default now(),
+  unique (wallet_id, tx_hash, log_index)
+);
+create index if not exists signal_trades_wallet_event_idx on signal_trades (wallet_id, event_slug);
+
+-- Outcome token index each fill was attributed to (Gamma outcomes / clobTokenIds order)
+alter table signal_trades add column if not exists outcome_index int;
+
+-- Position ledger: shares + cost basis per wallet and outcome token
+create table if not exists wallet_positions (
+  id bigserial primary key,
+  wallet_id int references wallets(id),
+  asset text not null,
+  condition_id text,
+  event_slug text,
+  market_id text,
+  outcome text,
+  outcome_index int,
+  shares numeric default 0,
+  cost_basis numeric default 0,
+  avg_entry_price numeric default 0,
+  bought_shares numeric default 0,
+  bought_cost numeric default 0,
+  settled_cost numeric default 0,
+  realized_pnl numeric default 0,
+  current_price numeric,
+  unrealized_pnl numeric,
+  status text default 'open',
+  updated_at timestamptz default now(),
+  unique (wallet_id, asset)
+);
+create index if not exists wallet_positions_wallet_event_idx on wallet_positions (wallet_id, event_slug);
+
+-- Net exposure per wallet and event: stake per outcome and the side it nets to
+create table if not exists wallet_event_exposure (
+  id bigserial primary key,
+  wallet_id int references wallets(id),
+  event_slug text not null,
+  market_id text,
+  totals jsonb,
+  net_outcome text,
+  net_amount numeric,
+  updated_at timestamptz default now()
+);
+create unique index if not exists wallet_event_exposure_wallet_event_key on wallet_event_exposure (wallet_id, event_slug);
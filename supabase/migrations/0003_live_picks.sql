@@ -0,0 +1,71 @@
+-- Consensus picks, one per market group and outcome. Grouped negRisk events use market_id = 'event-<gamma event id>'
+create table if not exists wallet_live_picks (
+  id bigserial primary key,
+  market_id text not null,
+  picked_outcome text not null,
+  wallet_id int,
+  polymarket_id bigint,
+  market_name text,
+  event_slug text,
+  market_url text,
+  market_type text,
+  league text,
+  "gameStartTime" timestamptz,
+  event_start_at timestamptz,
+  event_timezone text,
+  side text,
+  wallets jsonb,
+  vote_count int,
+  vote_counts jsonb,
+  side_counts jsonb,
+  confidence numeric,
+  pnl numeric,
+  score text,
+  fetched_at timestamptz,
+  -- Grading: outcome Pending | WIN | LOSS | PUSH | VOID
+  outcome text,
+  resolved_outcome text,
+  last_confidence_sent timestamptz,
+  signal_sent_at timestamptz,
+  result_sent_at timestamptz,
+  created_at timestamptz default now()
+);
+
+-- Stake held on the pick, 0–100 confidence breakdown
+alter table wallet_live_picks add column if not exists stake numeric;
+alter table wallet_live_picks add column if not exists confidence_breakdown jsonb;
+
+-- Votes: vote_count = effective (cluster-collapsed) votes, wallet_count = distinct wallets
+alter table wallet_live_picks add column if not exists wallet_count int;
+alter table wallet_live_picks add column if not exists entry_order jsonb;
+alter table wallet_live_picks add column if not exists early_signal boolean default false;
+
+-- Spread / total lines and multi-outcome markets
+alter table wallet_live_picks add column if not exists line numeric;
+alter table wallet_live_picks add column if not exists line_side text;
+alter table wallet_live_picks add column if not exists pick_label text;
+alter table wallet_live_picks add column if not exists outcome_count int;
+
+-- Resolution engine and result versioning: when the pick was graded, the grade last sent
+alter table wallet_live_picks add column if not exists resolved_at timestamptz;
+alter table wallet_live_picks add column if not exists result_version int default 0;
+alter table wallet_live_picks add column if not exists result_sent_outcome text;
+alter table wallet_live_picks add column if not exists result_sent_resolved_outcome text;
+
+create unique index if not exists wallet_live_picks_market_pick_key on wallet_live_picks (market_id, picked_outcome);
+create index if not exists wallet_live_picks_resolved_at_idx on wallet_live_picks (resolved_at);
+
+-- One row per sent result version (first grade, then every correction)
+create table if not exists wallet_live_pick_results (
+  id bigserial primary key,
+  pick_id bigint not null,
+  market_id text,
+  picked_outcome text,
+  version int not null,
+  outcome text,
+  resolved_outcome text,
+  previous_outcome text,
+  previous_resolved_outcome text,
+  sent_at timestamptz default now(),
+  unique (pick_id, version)
+);
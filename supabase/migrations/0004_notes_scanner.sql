@@ -0,0 +1,40 @@
+-- Public notes pages (midasmill.com); the tracker appends predictions, results and the daily summary
+create table if not exists notes (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null,
+  title text,
+  content text,
+  emoji text,
+  category text,
+  public boolean default false,
+  session_id text,
+  ai_generated boolean default false,
+  daily_summary_sent_at timestamptz,
+  created_at timestamptz default now()
+);
+create unique index if not exists notes_slug_key on notes (slug);
+
+-- NO-extremes scanner: open markets with NO priced at 10% or less
+create table if not exists market_no_extremes (
+  id bigserial primary key,
+  polymarket_id bigint not null,
+  condition_id text,
+  market_id text,
+  event_slug text,
+  question text,
+  market_name text,
+  market_type text,
+  category text,
+  event_start_at timestamptz,
+  market_end_at timestamptz,
+  hours_to_resolution numeric,
+  yes_price numeric,
+  no_price numeric,
+  volume numeric,
+  liquidity numeric,
+  open_interest numeric,
+  is_active boolean,
+  is_resolved boolean default false,
+  fetched_at timestamptz default now()
+);
+create unique index if not exists market_no_extremes_polymarket_id_key on market_no_extremes (polymarket_id);
@@ -0,0 +1,74 @@
+-- Bayesian wallet ratings: one row per wallet, window and run
+create table if not exists wallet_ratings (
+  id bigserial primary key,
+  wallet_id int references wallets(id),
+  window_days int not null,
+  rated_at timestamptz not null default now(),
+  picks int,
+  wins int,
+  losses int,
+  stake numeric,
+  pnl numeric,
+  win_prob numeric,
+  win_prob_lower numeric,
+  win_prob_upper numeric,
+  roi numeric,
+  roi_shrunk numeric,
+  prior_win_prob numeric,
+  prior_roi numeric
+);
+create index if not exists wallet_ratings_wallet_window_idx on wallet_ratings (wallet_id, window_days, rated_at desc);
+
+-- Wallet specialization: record per league × sportsMarketType, edge = proven | unproven | none
+create table if not exists wallet_segment_stats (
+  id bigserial primary key,
+  wallet_id int references wallets(id),
+  league text not null,
+  market_type text not null,
+  picks int,
+  wins int,
+  losses int,
+  stake numeric,
+  pnl numeric,
+  win_prob numeric,
+  win_prob_lower numeric,
+  win_prob_upper numeric,
+  roi_shrunk numeric,
+  edge text,
+  updated_at timestamptz default now(),
+  unique (wallet_id, league, market_type)
+);
+
+-- PUSH / VOID grades count toward stake / PnL but not win probability
+alter table wallet_ratings add column if not exists pushes int default 0;
+alter table wallet_segment_stats add column if not exists pushes int default 0;
+
+-- Sybil / copy-trader clusters: linked pairs + membership (cluster_id = lowest member wallet id)
+create table if not exists wallet_cluster_links (
+  wallet_a int references wallets(id),
+  wallet_b int references wallets(id),
+  shared int,
+  agreeing int,
+  overlap numeric,
+  co_entry_rate numeric,
+  updated_at timestamptz default now(),
+  primary key (wallet_a, wallet_b)
+);
+
+create table if not exists wallet_clusters (
+  wallet_id int primary key references wallets(id),
+  cluster_id int not null,
+  cluster_size int,
+  updated_at timestamptz default now()
+);
+
+-- Lead-lag: per-wallet entry rank within shared picks (role = originator | neutral | follower)
+create table if not exists wallet_lead_lag (
+  wallet_id int primary key references wallets(id),
+  markets int,
+  first_entries int,
+  avg_rank numeric,
+  lead_score numeric,
+  role text,
+  updated_at timestamptz default now()
+);
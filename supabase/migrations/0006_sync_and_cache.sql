@@ -0,0 +1,18 @@
+-- Last-processed point per incremental job (e.g. the live-pick rebuild's signals.updated_at cursor)
+create table if not exists sync_cursors (
+  name text primary key,
+  cursor_at timestamptz,
+  updated_at timestamptz default now()
+);
+
+-- Market cache: Gamma market JSON by lookup key (slug / id / group:<event slug>), expiring by market state
+create table if not exists markets (
+  cache_key text primary key,
+  market_id text,
+  slug text,
+  state text,
+  data jsonb not null,
+  fetched_at timestamptz default now(),
+  expires_at timestamptz not null
+);
+create index if not exists markets_expires_at_idx on markets (expires_at);
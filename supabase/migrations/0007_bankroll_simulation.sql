@@ -0,0 +1,26 @@
+-- Outcome price (0–1) of the picked side when the signal went out; the simulated entry price
+alter table wallet_live_picks add column if not exists sent_price numeric;
+
+-- Per-pick simulated stakes / results under each staking strategy (see backend/bankroll.js)
+alter table wallet_live_picks add column if not exists simulation jsonb;
+
+-- Running bankroll per staking strategy (flat / units / kelly) over every sent pick
+create table if not exists bankroll_simulation (
+  strategy text primary key,
+  starting_bankroll numeric not null,
+  bankroll numeric not null,
+  staked numeric,
+  pnl numeric,
+  roi numeric,
+  picks int,
+  wins int,
+  losses int,
+  pushes int,
+  open int,
+  losing_streak int,
+  longest_losing_streak int,
+  max_drawdown numeric,
+  max_drawdown_pct numeric,
+  skipped_picks int,
+  updated_at timestamptz default now()
+);
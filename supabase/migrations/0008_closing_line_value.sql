@@ -0,0 +1,8 @@
+-- Closing line value: the picked side's price at game start (the closing line) and when the market closed,
+-- next to sent_price (0007). clv = start_price - sent_price in probability points, clv_pct relative to sent_price
+alter table wallet_live_picks add column if not exists start_price numeric;
+alter table wallet_live_picks add column if not exists start_price_at timestamptz;
+alter table wallet_live_picks add column if not exists close_price numeric;
+alter table wallet_live_picks add column if not exists close_price_at timestamptz;
+alter table wallet_live_picks add column if not exists clv numeric;
+alter table wallet_live_picks add column if not exists clv_pct numeric;
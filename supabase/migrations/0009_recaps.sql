@@ -0,0 +1,3 @@
+-- When the weekly / monthly recaps last went out (the daily recap keeps daily_summary_sent_at); one send per period
+alter table notes add column if not exists weekly_recap_sent_at timestamptz;
+alter table notes add column if not exists monthly_recap_sent_at timestamptz;
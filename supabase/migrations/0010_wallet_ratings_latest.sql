@@ -0,0 +1,8 @@
+-- wallet_ratings keeps the latest run per wallet and window (upserted every rating run) instead of a row per run.
+-- Older runs are dropped so the key can be enforced
+delete from wallet_ratings older
+  using wallet_ratings newer
+  where older.wallet_id = newer.wallet_id
+    and older.window_days = newer.window_days
+    and (older.rated_at, older.id) < (newer.rated_at, newer.id);
+create unique index if not exists wallet_ratings_wallet_window_key on wallet_ratings (wallet_id, window_days);
@@ -0,0 +1,3 @@
+-- The market slug each fill traded (activity `slug`): spread / total lines are read off that market,
+-- not the group the fill is tallied under
+alter table signal_trades add column if not exists market_slug text;
@@ -0,0 +1,10 @@
+-- Wallets tracked before activity cursors existed: their history is already in signals (old ingestion, no
+-- signal_trades yet), so their cursor starts now and they keep voting instead of re-crawling it unfiltered.
+-- Wallets added since go through the normal backfill
+update wallets w
+  set activity_cursor_ts = extract(epoch from now())::bigint,
+      activity_cursor_offset = 0,
+      backfill_complete = true
+  where coalesce(w.activity_cursor_ts, 0) = 0
+    and exists (select 1 from signals s where s.wallet_id = w.id)
+    and not exists (select 1 from signal_trades t where t.wallet_id = w.id);